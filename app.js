@@ -2,7 +2,7 @@
 /**
  * Floorplan Space & Wall Analyzer
  * - Fabric.js for drawing
- * - State persisted to localStorage
+ * - State persisted to IndexedDB (floor images stored as blobs); Save/Open Project writes a portable versioned file
  * - Scale per floor
  * - Excel export via SheetJS
  *
@@ -22,9 +22,61 @@
   // --------------------------
   // Constants and helpers
   // --------------------------
-  const STORAGE_KEY = "fp_floorplan_app_state_v1";
+  const STORAGE_KEY = "fp_floorplan_app_state_v1"; // legacy localStorage slot, migrated to IndexedDB on first load
+  const DB_NAME = "fp_floorplan_app_db";
+  const DB_VERSION = 1;
+  const DB_STORE_PROJECTS = "projects"; // projectId -> { id, updatedAt, state: AppState snapshot without image data }
+  const DB_STORE_IMAGES = "images";     // imageKey -> Blob
+  const ACTIVE_PROJECT_KEY = "fp_active_project_id"; // localStorage: id of the project open in this browser
+  const SNAP_SETTINGS_KEY = "fp_snap_settings"; // localStorage: snapping preferences (per browser, not per project)
+  const SAVE_DEBOUNCE_MS = 150;
+  // PDF import (pdf.js legacy build loaded in index.html)
+  const PDFJS_WORKER_SRC = "https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/legacy/build/pdf.worker.min.js";
+  const PDF_DEFAULT_DPI = 150;
+  const PDF_MIN_DPI = 36;
+  const PDF_MAX_DPI = 600;
+  const PDF_POINTS_PER_INCH = 72;
+
+  // Drawing scale presets. ratio = real length / paper length (1/4" = 1'-0" -> 48)
+  const SCALE_PRESETS = [
+    { group: "Imperial architectural", id: "arch-1-16", label: '1/16" = 1\'-0"', ratio: 192 },
+    { group: "Imperial architectural", id: "arch-3-32", label: '3/32" = 1\'-0"', ratio: 128 },
+    { group: "Imperial architectural", id: "arch-1-8", label: '1/8" = 1\'-0"', ratio: 96 },
+    { group: "Imperial architectural", id: "arch-3-16", label: '3/16" = 1\'-0"', ratio: 64 },
+    { group: "Imperial architectural", id: "arch-1-4", label: '1/4" = 1\'-0"', ratio: 48 },
+    { group: "Imperial architectural", id: "arch-3-8", label: '3/8" = 1\'-0"', ratio: 32 },
+    { group: "Imperial architectural", id: "arch-1-2", label: '1/2" = 1\'-0"', ratio: 24 },
+    { group: "Imperial architectural", id: "arch-3-4", label: '3/4" = 1\'-0"', ratio: 16 },
+    { group: "Imperial architectural", id: "arch-1", label: '1" = 1\'-0"', ratio: 12 },
+    { group: "Imperial architectural", id: "arch-1-1-2", label: '1-1/2" = 1\'-0"', ratio: 8 },
+    { group: "Imperial architectural", id: "arch-3", label: '3" = 1\'-0"', ratio: 4 },
+    { group: "Imperial engineering", id: "eng-10", label: '1" = 10\'', ratio: 120 },
+    { group: "Imperial engineering", id: "eng-20", label: '1" = 20\'', ratio: 240 },
+    { group: "Imperial engineering", id: "eng-30", label: '1" = 30\'', ratio: 360 },
+    { group: "Imperial engineering", id: "eng-40", label: '1" = 40\'', ratio: 480 },
+    { group: "Imperial engineering", id: "eng-50", label: '1" = 50\'', ratio: 600 },
+    { group: "Imperial engineering", id: "eng-60", label: '1" = 60\'', ratio: 720 },
+    { group: "Imperial engineering", id: "eng-100", label: '1" = 100\'', ratio: 1200 },
+    { group: "Metric", id: "m-1-10", label: "1:10", ratio: 10 },
+    { group: "Metric", id: "m-1-20", label: "1:20", ratio: 20 },
+    { group: "Metric", id: "m-1-25", label: "1:25", ratio: 25 },
+    { group: "Metric", id: "m-1-50", label: "1:50", ratio: 50 },
+    { group: "Metric", id: "m-1-75", label: "1:75", ratio: 75 },
+    { group: "Metric", id: "m-1-100", label: "1:100", ratio: 100 },
+    { group: "Metric", id: "m-1-200", label: "1:200", ratio: 200 },
+    { group: "Metric", id: "m-1-250", label: "1:250", ratio: 250 },
+    { group: "Metric", id: "m-1-500", label: "1:500", ratio: 500 },
+    { group: "Metric", id: "m-1-1000", label: "1:1000", ratio: 1000 },
+  ];
+  const SCALE_PRESET_CUSTOM = "custom";
+  // Portable project files: bump PROJECT_FILE_VERSION when the saved AppState shape changes
+  // and teach migrateState() how to upgrade the older shape.
+  const PROJECT_FILE_FORMAT = "area-takeoff-project";
+  const PROJECT_FILE_VERSION = 2;
+  const PROJECT_FILE_EXTENSION = ".takeoff.json";
   const DEFAULT_CANVAS_WIDTH = 1200;
   const DEFAULT_CANVAS_HEIGHT = 800;
+  const PANEL_BUFFER = 380; // canvas width kept clear on the left for the overlay panel
 
   // Visual constants
   const COLOR_SPACE = "rgba(16, 185, 129, 0.18)"; // greenish
@@ -38,6 +90,8 @@
   const COLOR_CEILING = "rgba(168, 85, 247, 0.18)"; // purple for ceiling
   const COLOR_CEILING_STROKE = "#a855f7"; // purple stroke
   const COLOR_CEILING_SELECTED = "rgba(168, 85, 247, 0.25)"; // selected ceiling
+  const COLOR_VOID = "rgba(255, 255, 255, 0.6)"; // knocks back the space fill so holes read as open
+  const COLOR_VOID_STROKE = "#64748b"; // slate
 // Configurable edge hover/selection buffer (in pixels in canvas space)
 const EDGE_HIT_BUFFER_PX = 6;
   // Configurable vertex drag/hover radius and handle size
@@ -48,6 +102,9 @@ const EDGE_HIT_BUFFER_PX = 6;
   const TEMP_EDGE_THICKNESS_PX = 2; // thickness for temp draw segments
   // Configurable proximity (in pixels) to close polygon by clicking near first vertex
   const SPACE_CLOSE_THRESHOLD_PX = 12;
+  // Default snap tolerance (screen pixels) to vertices, edge midpoints and edges of other spaces
+  const SNAP_RADIUS_PX = 10;
+  const COLOR_SNAP = "#f43f5e";
 
   // Units: Keep internal values in feet; convert for UI/export
   const METERS_PER_FOOT = 0.3048;
@@ -61,6 +118,9 @@ const EDGE_HIT_BUFFER_PX = 6;
   function feet2ToDisplayArea(feet2) {
     return (AppState.displayUnit === "meters") ? feet2 * (METERS_PER_FOOT * METERS_PER_FOOT) : feet2;
   }
+  function feet3ToDisplayVolume(feet3) {
+    return (AppState.displayUnit === "meters") ? feet3 * (METERS_PER_FOOT * METERS_PER_FOOT * METERS_PER_FOOT) : feet3;
+  }
 
   // IDs
   const dom = {
@@ -79,18 +139,60 @@ const EDGE_HIT_BUFFER_PX = 6;
     btnDeleteFloor: document.getElementById("btnDeleteFloor"),
     btnRenameFloor: document.getElementById("btnRenameFloor"),
     fileFloorImage: document.getElementById("fileFloorImage"),
+    floorSourceInfo: document.getElementById("floorSourceInfo"),
+    btnRerenderPdf: document.getElementById("btnRerenderPdf"),
+    filePdfRerender: document.getElementById("filePdfRerender"),
 
     // Drawing
     btnDrawSpace: document.getElementById("btnDrawSpace"),
     btnDeleteSpace: document.getElementById("btnDeleteSpace"),
     btnInsertVertex: document.getElementById("btnInsertVertex"),
     btnDeleteVertex: document.getElementById("btnDeleteVertex"),
+    btnUndo: document.getElementById("btnUndo"),
+    btnRedo: document.getElementById("btnRedo"),
     btnScaleDraw: document.getElementById("btnScaleDraw"),
     btnScaleToggle: document.getElementById("btnScaleToggle"),
 
     // Scale
     scaleLength: document.getElementById("scaleLength"),
     scaleUnit: document.getElementById("scaleUnit"),
+    scaleFactorInfo: document.getElementById("scaleFactorInfo"),
+    btnScalePreset: document.getElementById("btnScalePreset"),
+    scaleDialog: document.getElementById("scaleDialog"),
+    scalePresetSelect: document.getElementById("scalePresetSelect"),
+    scaleCustomRatio: document.getElementById("scaleCustomRatio"),
+    scaleCustomRow: document.getElementById("scaleCustomRow"),
+    scaleDpi: document.getElementById("scaleDpi"),
+    scaleDialogResult: document.getElementById("scaleDialogResult"),
+    btnApplyScalePreset: document.getElementById("btnApplyScalePreset"),
+    scaleTwoAxis: document.getElementById("scaleTwoAxis"),
+    scaleAxisButtons: document.getElementById("scaleAxisButtons"),
+    btnScaleAxisH: document.getElementById("btnScaleAxisH"),
+    btnScaleAxisV: document.getElementById("btnScaleAxisV"),
+    btnScaleVerify: document.getElementById("btnScaleVerify"),
+    btnDrawRectangle: document.getElementById("btnDrawRectangle"),
+    btnOrtho: document.getElementById("btnOrtho"),
+    orthoAngle: document.getElementById("orthoAngle"),
+    btnPickOrthoAngle: document.getElementById("btnPickOrthoAngle"),
+    dimensionEntry: document.getElementById("dimensionEntry"),
+    vertexEditor: document.getElementById("vertexEditor"),
+    vertexX: document.getElementById("vertexX"),
+    vertexY: document.getElementById("vertexY"),
+    vertexXUnit: document.getElementById("vertexXUnit"),
+    vertexYUnit: document.getElementById("vertexYUnit"),
+    snapEnabled: document.getElementById("snapEnabled"),
+    snapVertices: document.getElementById("snapVertices"),
+    snapMidpoints: document.getElementById("snapMidpoints"),
+    snapEdges: document.getElementById("snapEdges"),
+    snapRadius: document.getElementById("snapRadius"),
+    btnMeasure: document.getElementById("btnMeasure"),
+    btnMeasurePolyline: document.getElementById("btnMeasurePolyline"),
+    measureKeep: document.getElementById("measureKeep"),
+    dimensionList: document.getElementById("dimensionList"),
+    btnScaleAverage: document.getElementById("btnScaleAverage"),
+    scaleTolerance: document.getElementById("scaleTolerance"),
+    scaleCheckList: document.getElementById("scaleCheckList"),
+    btnCloseScaleDialog: document.getElementById("btnCloseScaleDialog"),
 
     // Space props
     spaceName: document.getElementById("spaceName"),
@@ -99,6 +201,18 @@ const EDGE_HIT_BUFFER_PX = 6;
     spaceExteriorPerim: document.getElementById("spaceExteriorPerim"),
     spaceCeilingUnit: document.getElementById("spaceCeilingUnit"),
     spaceCeilingArea: document.getElementById("spaceCeilingArea"),
+    spaceCeilingSurfaceArea: document.getElementById("spaceCeilingSurfaceArea"),
+    spaceVolume: document.getElementById("spaceVolume"),
+    spaceConditioned: document.getElementById("spaceConditioned"),
+    spaceCeilingLowHeight: document.getElementById("spaceCeilingLowHeight"),
+    spaceCeilingLowHeightUnit: document.getElementById("spaceCeilingLowHeightUnit"),
+    ceilingLowHeightRow: document.getElementById("ceilingLowHeightRow"),
+    floorConditionedArea: document.getElementById("floorConditionedArea"),
+    floorConditionedVolume: document.getElementById("floorConditionedVolume"),
+    buildingConditionedArea: document.getElementById("buildingConditionedArea"),
+    buildingConditionedVolume: document.getElementById("buildingConditionedVolume"),
+    ceilingSlopeList: document.getElementById("ceilingSlopeList"),
+    btnAddCeilingSlope: document.getElementById("btnAddCeilingSlope"),
     
     // Ceiling controls
     ceilingSameAsFloor: document.getElementById("ceilingSameAsFloor"),
@@ -110,24 +224,74 @@ const EDGE_HIT_BUFFER_PX = 6;
     ceilingManualInputRow: document.getElementById("ceilingManualInputRow"),
     ceilingManualArea: document.getElementById("ceilingManualArea"),
     ceilingManualAreaUnit: document.getElementById("ceilingManualAreaUnit"),
+    btnDrawVoid: document.getElementById("btnDrawVoid"),
+    btnSplitSpace: document.getElementById("btnSplitSpace"),
+    btnMergeSpace: document.getElementById("btnMergeSpace"),
+    btnCopySpace: document.getElementById("btnCopySpace"),
+    btnCutSpace: document.getElementById("btnCutSpace"),
+    btnPasteSpace: document.getElementById("btnPasteSpace"),
+    btnDuplicateSpace: document.getElementById("btnDuplicateSpace"),
+    transformEditor: document.getElementById("transformEditor"),
+    moveOffsetX: document.getElementById("moveOffsetX"),
+    moveOffsetY: document.getElementById("moveOffsetY"),
+    moveOffsetXUnit: document.getElementById("moveOffsetXUnit"),
+    moveOffsetYUnit: document.getElementById("moveOffsetYUnit"),
+    btnMoveSpaces: document.getElementById("btnMoveSpaces"),
+    rotateAngle: document.getElementById("rotateAngle"),
+    btnRotateSpaces: document.getElementById("btnRotateSpaces"),
+    btnRotateDrag: document.getElementById("btnRotateDrag"),
+    btnMirrorH: document.getElementById("btnMirrorH"),
+    btnMirrorV: document.getElementById("btnMirrorV"),
+    btnSelectSpaceEdges: document.getElementById("btnSelectSpaceEdges"),
+    btnSelectExteriorEdges: document.getElementById("btnSelectExteriorEdges"),
+    btnBoxSelectEdges: document.getElementById("btnBoxSelectEdges"),
+    edgeBulkInfo: document.getElementById("edgeBulkInfo"),
+    edgeDirectionAuto: document.getElementById("edgeDirectionAuto"),
+    northAngle: document.getElementById("northAngle"),
+    exteriorTolerance: document.getElementById("exteriorTolerance"),
+    exteriorToleranceUnit: document.getElementById("exteriorToleranceUnit"),
+    btnDetectExterior: document.getElementById("btnDetectExterior"),
+    exteriorPreview: document.getElementById("exteriorPreview"),
+    exteriorPreviewSummary: document.getElementById("exteriorPreviewSummary"),
+    exteriorPreviewList: document.getElementById("exteriorPreviewList"),
+    btnApplyExterior: document.getElementById("btnApplyExterior"),
+    btnDiscardExterior: document.getElementById("btnDiscardExterior"),
+    voidList: document.getElementById("voidList"),
 
     // Edge props
     edgeIsExterior: document.getElementById("edgeIsExterior"),
     edgeHeight: document.getElementById("edgeHeight"),
-    edgeWinWidth: document.getElementById("edgeWinWidth"),
-    edgeWinHeight: document.getElementById("edgeWinHeight"),
     edgeDirection: document.getElementById("edgeDirection"),
     edgeLength: document.getElementById("edgeLength"),
+    edgeLengthUnit: document.getElementById("edgeLengthUnit"),
+    edgeLengthAnchor: document.getElementById("edgeLengthAnchor"),
     edgeWallArea: document.getElementById("edgeWallArea"),
     edgeWindowArea: document.getElementById("edgeWindowArea"),
     edgeHeightUnit: document.getElementById("edgeHeightUnit"),
-    edgeWinWidthUnit: document.getElementById("edgeWinWidthUnit"),
-    edgeWinHeightUnit: document.getElementById("edgeWinHeightUnit"),
+    edgeHeightLabel: document.getElementById("edgeHeightLabel"),
+    edgeHeightProfile: document.getElementById("edgeHeightProfile"),
+    edgeHeightEnd: document.getElementById("edgeHeightEnd"),
+    edgeHeightEndUnit: document.getElementById("edgeHeightEndUnit"),
+    edgePeakHeight: document.getElementById("edgePeakHeight"),
+    edgePeakHeightUnit: document.getElementById("edgePeakHeightUnit"),
+    edgePeakPosition: document.getElementById("edgePeakPosition"),
+    edgePeakPositionUnit: document.getElementById("edgePeakPositionUnit"),
+    edgeOpeningsUnit: document.getElementById("edgeOpeningsUnit"),
     wallTypeSelect: document.getElementById("wallTypeSelect"),
-    windowTypeSelect: document.getElementById("windowTypeSelect"),
-    edgeWindowTypeRow: document.getElementById("edgeWindowTypeRow"),
+    edgeOpeningsList: document.getElementById("edgeOpeningsList"),
+    btnAddOpening: document.getElementById("btnAddOpening"),
     doorCheckbox: document.getElementById("doorCheckbox"),
     doorQty: document.getElementById("doorQty"),
+    doorWidth: document.getElementById("doorWidth"),
+    doorHeight: document.getElementById("doorHeight"),
+    doorWidthUnit: document.getElementById("doorWidthUnit"),
+    doorHeightUnit: document.getElementById("doorHeightUnit"),
+    edgeDoorSizeRow: document.getElementById("edgeDoorSizeRow"),
+    edgeDoorArea: document.getElementById("edgeDoorArea"),
+    edgeDoorAreaRow: document.getElementById("edgeDoorAreaRow"),
+    edgeNetArea: document.getElementById("edgeNetArea"),
+    edgeNetAreaRow: document.getElementById("edgeNetAreaRow"),
+    edgeOpeningsWarning: document.getElementById("edgeOpeningsWarning"),
     doorTypeSelect: document.getElementById("doorTypeSelect"),
     edgeDoorRow: document.getElementById("edgeDoorRow"),
     // Space skylight
@@ -136,8 +300,10 @@ const EDGE_HIT_BUFFER_PX = 6;
     skylightTypeSelect: document.getElementById("skylightTypeSelect"),
     skylightAreaRow: document.getElementById("skylightAreaRow"),
     edgeHeightRow: document.getElementById("edgeHeightRow"),
-    edgeWinWidthRow: document.getElementById("edgeWinWidthRow"),
-    edgeWinHeightRow: document.getElementById("edgeWinHeightRow"),
+    edgeProfileRow: document.getElementById("edgeProfileRow"),
+    edgeHeightEndRow: document.getElementById("edgeHeightEndRow"),
+    edgePeakRow: document.getElementById("edgePeakRow"),
+    edgeOpeningsRow: document.getElementById("edgeOpeningsRow"),
     edgeDirectionRow: document.getElementById("edgeDirectionRow"),
     edgeLengthRow: document.getElementById("edgeLengthRow"),
     edgeWallAreaRow: document.getElementById("edgeWallAreaRow"),
@@ -156,6 +322,21 @@ const EDGE_HIT_BUFFER_PX = 6;
 
     // Export
     btnExportExcel: document.getElementById("btnExportExcel"),
+    // Save error banner
+    saveErrorBanner: document.getElementById("saveErrorBanner"),
+    saveErrorText: document.getElementById("saveErrorText"),
+    btnSaveRetry: document.getElementById("btnSaveRetry"),
+    btnSaveErrorToFile: document.getElementById("btnSaveErrorToFile"),
+    // Project library
+    btnProjects: document.getElementById("btnProjects"),
+    projectLibrary: document.getElementById("projectLibrary"),
+    projectLibraryList: document.getElementById("projectLibraryList"),
+    btnNewProject: document.getElementById("btnNewProject"),
+    btnCloseProjectLibrary: document.getElementById("btnCloseProjectLibrary"),
+    // Project files
+    btnSaveProject: document.getElementById("btnSaveProject"),
+    btnOpenProject: document.getElementById("btnOpenProject"),
+    fileProjectOpen: document.getElementById("fileProjectOpen"),
   };
 
   function uid(prefix = "id") {
@@ -204,6 +385,12 @@ const EDGE_HIT_BUFFER_PX = 6;
     return inside;
   }
 
+  // Inside the outer ring and outside every void ring
+  function isPointInSpace(point, space) {
+    if (!isPointInPolygon(point, space.vertices)) return false;
+    return !getSpaceVoids(space).some(v => isPointInPolygon(point, v.vertices));
+  }
+
   // Shoelace area
   function polygonArea(pts) {
     let area = 0;
@@ -221,15 +408,19 @@ const EDGE_HIT_BUFFER_PX = 6;
   const AppState = {
     projectName: "",
     displayUnit: "feet",
-    floors: [], // [{ id, name, imageSrc, backgroundFit, scale: { realLenFeet, pixelLen, unit, line }, spaces: [Space] }]
+    floors: [], // [{ id, name, imageKey, imageDpi?, pdfSource?, backgroundFit, scale: { realLenFeet, pixelLen, unit, line }, spaces: [Space] }]
     activeFloorId: null,
-    types: {
+    types: defaultTypes(),
+  };
+
+  function defaultTypes() {
+    return {
       wall: [{ id: uid("walltype"), name: "Wall Type 1" }],
       window: [{ id: uid("wintype"), name: "Window Type 1" }],
       skylight: [{ id: uid("skytype"), name: "Skylight Type 1" }],
       door: [{ id: uid("doortype"), name: "Door Type 1" }],
-    },
-  };
+    };
+  }
 
   // Fabric canvas
   const canvas = new fabric.Canvas(dom.canvasEl, {
@@ -241,6 +432,14 @@ const EDGE_HIT_BUFFER_PX = 6;
 
   // Current interaction mode flags
   let isDrawingSpace = false;
+  let drawSpaceShape = "polygon"; // "polygon" | "rectangle" (two opposite corners)
+  let orthoLocked = false; // constrain new segments to the floor's reference axes (also while Shift is held)
+  let tempRectPreview = null;
+  let lastPointerClient = null; // viewport coords of the last canvas mouse move (dimension entry placement)
+  let snapSettings = { enabled: true, vertices: true, midpoints: true, edges: true, radiusPx: SNAP_RADIUS_PX };
+  let snapIndicator = null;
+  let isPickingOrthoAngle = false;
+  let tempOrthoPoints = [];
   let tempDrawPoints = []; // for polygon drawing
   let tempDrawCircles = [];
   let tempDrawLines = [];
@@ -251,6 +450,22 @@ const EDGE_HIT_BUFFER_PX = 6;
   const SCALE_VERTEX_RADIUS_PX = 4.5; // visual during draw
   const COLOR_SCALE = "#ef4444"; // red
 
+  let scaleAxisDrawing = null; // "horizontal" | "vertical" while drawing a two-axis reference line
+  let tempAxisPoints = [];
+
+  // Measure tool: "segment" | "polyline" while active; never changes floor.scale
+  let measureMode = null;
+  let measurePoints = [];
+  let measureObjects = []; // in-progress or last measurement visuals
+  const COLOR_MEASURE = "#ec4899"; // pink
+  const MEASURE_LINE_WIDTH_PX = 2;
+  const MEASURE_FONT_SIZE_PX = 12;
+
+  let isVerifyingScale = false; // scale verification check lines
+  let tempCheckPoints = [];
+  const COLOR_SCALE_CHECK = "#06b6d4"; // cyan
+  const SCALE_CHECK_DEFAULT_TOLERANCE_PCT = 1;
+
   let isInsertingVertex = false; // insert vertex mode
   
   // Zoom state (not persisted - always starts at 100%)
@@ -264,9 +479,29 @@ const EDGE_HIT_BUFFER_PX = 6;
   let tempCeilingCircles = [];
   let tempCeilingLines = [];
 
+  let isDrawingVoid = false; // void (hole) drawing mode for the selected space
+  let tempVoidPoints = [];
+  let tempVoidCircles = [];
+  let tempVoidLines = [];
+
+  let isSplittingSpace = false; // drawing a cut line across a space
+  let splitSpaceId = null; // kept separately: clicking outside the space clears the selection
+  let splitPoints = [];
+  let isPickingMergeSpace = false; // waiting for the space to merge into the source
+  let mergeSourceSpaceId = null;
+
+  let isRotatingSpaces = false; // rotating the selected spaces by drag
+  let rotateSpaceIds = [];
+  let rotatePivot = null;
+  let rotateStartAngle = null; // radians; set while the mouse button is down
+
+  let isBoxSelectingEdges = false; // dragging a box to select walls
+  let boxSelectStart = null; // canvas point while the mouse button is down
+
   // Selected objects
   let selectedSpaceId = null;
   let selectedEdgeIndex = null; // index within selected space polygon edges
+  let bulkEdgeIds = []; // edge ids of a multi-edge selection; the selected edge is always one of them
   let hoverEdgeIndex = null;    // edge index under cursor for the selected space (or null)
   let canDragSelectedSpace = false; // true when inside selected space and not near an edge
   let suppressDeselectUntilMouseUp = false; // guards background deselect while pointer is active near edge
@@ -277,49 +512,792 @@ const EDGE_HIT_BUFFER_PX = 6;
   let selectedVertexVisual = null; // highlight circle for selected vertex
   let selectedCeilingVertexIndex = null; // currently selected ceiling vertex index
   let selectedCeilingVertexVisual = null; // highlight circle for selected ceiling vertex
+  let selectedVoidVertex = null; // { voidId, index } of the selected void vertex; shares selectedVertexVisual
 
   // Mapping from polygon object to space id
   const polygonIdToSpaceId = new Map(); // fabric object id -> spaceId
   const spaceIdToPolygon = new Map();   // spaceId -> fabric.Polygon
   const spaceIdToCeiling = new Map();   // spaceId -> fabric.Polygon (ceiling)
+  const voidIdToPolygon = new Map();    // voidId -> fabric.Polygon (void)
+
+  // --------------------------
+  // Storage (IndexedDB)
+  // --------------------------
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("IndexedDB is not available in this browser."));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(DB_STORE_PROJECTS)) db.createObjectStore(DB_STORE_PROJECTS);
+          if (!db.objectStoreNames.contains(DB_STORE_IMAGES)) db.createObjectStore(DB_STORE_IMAGES);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error("Storage is blocked by another open tab of this app."));
+      });
+      // Allow a later retry to reopen the database
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  // Run one request in its own transaction; resolves with the request result once the transaction commits
+  function dbRequest(storeName, mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      let result;
+      req.onsuccess = () => { result = req.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error || req.error);
+      tx.onabort = () => reject(tx.error || new Error("Storage transaction was aborted."));
+    }));
+  }
+  function dbGet(storeName, key) { return dbRequest(storeName, "readonly", store => store.get(key)); }
+  function dbPut(storeName, key, value) { return dbRequest(storeName, "readwrite", store => store.put(value, key)); }
+  function dbDelete(storeName, key) { return dbRequest(storeName, "readwrite", store => store.delete(key)); }
+  function dbGetAll(storeName) { return dbRequest(storeName, "readonly", store => store.getAll()); }
+
+  // Floor images live in their own store; floors keep only the imageKey
+  const imageUrlCache = new Map(); // imageKey -> object URL
+  async function storeFloorImage(blob) {
+    const key = uid("img");
+    await dbPut(DB_STORE_IMAGES, key, blob);
+    return key;
+  }
+
+  async function getFloorImageUrl(floor) {
+    if (!floor) return null;
+    // imageSrc is legacy inline data not yet moved into the image store
+    if (!floor.imageKey) return floor.imageSrc || null;
+    if (imageUrlCache.has(floor.imageKey)) return imageUrlCache.get(floor.imageKey);
+    const blob = await dbGet(DB_STORE_IMAGES, floor.imageKey);
+    if (!blob) return null;
+    const url = URL.createObjectURL(blob);
+    imageUrlCache.set(floor.imageKey, url);
+    return url;
+  }
+
+  function deleteFloorImage(imageKey) {
+    if (!imageKey) return Promise.resolve();
+    const url = imageUrlCache.get(imageKey);
+    if (url) {
+      URL.revokeObjectURL(url);
+      imageUrlCache.delete(imageKey);
+    }
+    return dbDelete(DB_STORE_IMAGES, imageKey).catch(e => console.warn("Failed to delete floor image", e));
+  }
+
+  function dataUrlToBlob(dataUrl) {
+    return fetch(dataUrl).then(r => r.blob());
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Move inline floor.imageSrc data URLs (legacy localStorage, project files)
+  // into the image store. If one fails, those already stored are deleted and the state is left as it was.
+  async function moveInlineImagesToStore(state) {
+    const stored = new Map(); // floor -> imageKey
+    try {
+      for (const f of state.floors) {
+        if (f.imageSrc) stored.set(f, await storeFloorImage(await dataUrlToBlob(f.imageSrc)));
+      }
+    } catch (e) {
+      stored.forEach(key => deleteFloorImage(key));
+      throw e;
+    }
+    state.floors.forEach(f => {
+      if (stored.has(f)) f.imageKey = stored.get(f);
+      delete f.imageSrc;
+    });
+  }
 
   // --------------------------
   // Persistence
   // --------------------------
+  let activeProjectId = null;
+  let saveTimer = null;
   function saveState() {
+    scheduleHistoryCheckpoint();
+    // Coalesce bursts of edits (typing, dragging) into a single IndexedDB write
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      persistState();
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  async function persistState() {
     try {
       const stateToSave = JSON.parse(JSON.stringify(AppState));
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(stateToSave));
+      await dbPut(DB_STORE_PROJECTS, activeProjectId, { id: activeProjectId, updatedAt: Date.now(), state: stateToSave });
+      hideSaveError();
     } catch (e) {
       console.warn("Failed to save state", e);
+      showSaveError(e);
+    }
+  }
+
+  function flushPendingSave() {
+    if (saveTimer === null) return Promise.resolve();
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return persistState();
+  }
+
+  // --------------------------
+  // Undo / redo history
+  // --------------------------
+  // Every saveState() marks a checkpoint; all saves within one event handler collapse into a
+  // single undo step. Snapshots cover drawing data, scale and types, not the viewed floor.
+  // A floor's sheet image is left out: restored floors keep whatever image they have now.
+  const HISTORY_LIMIT = 100;
+  const HISTORY_COALESCE_MS = 800; // consecutive keystrokes in one field form one step
+  let undoStack = [];
+  let redoStack = [];
+  let historyBaseline = null;
+  let historyCapturePending = false;
+  let lastHistorySource = null;
+  let lastHistoryAt = 0;
+  let historyRestoreQueue = Promise.resolve();
+  const FLOOR_IMAGE_FIELDS = ["imageKey", "imageSrc", "imageDpi", "pdfSource", "backgroundFit"];
+  // floorId -> image fields of floors that are deleted (or undone) but could come back through
+  // undo/redo; their stored images are deleted once history is reset or the page goes away
+  const retiredFloorImages = new Map();
+
+  function pickFloorImageFields(floor) {
+    const fields = {};
+    FLOOR_IMAGE_FIELDS.forEach(k => { if (k in floor) fields[k] = floor[k]; });
+    return fields;
+  }
+
+  function historyFloor(floor) {
+    const copy = { ...floor };
+    FLOOR_IMAGE_FIELDS.forEach(k => { delete copy[k]; });
+    return copy;
+  }
+
+  function historySnapshot() {
+    return JSON.stringify({
+      floors: AppState.floors.map(historyFloor),
+      types: AppState.types,
+      displayUnit: AppState.displayUnit,
+    });
+  }
+
+  function retireFloorImage(floor) {
+    if (floor.imageKey || floor.imageSrc) retiredFloorImages.set(floor.id, pickFloorImageFields(floor));
+  }
+
+  function purgeRetiredFloorImages() {
+    retiredFloorImages.forEach((fields, floorId) => {
+      if (!AppState.floors.some(f => f.id === floorId)) deleteFloorImage(fields.imageKey);
+    });
+    retiredFloorImages.clear();
+  }
+
+  function resetHistory() {
+    purgeRetiredFloorImages();
+    undoStack = [];
+    redoStack = [];
+    historyBaseline = historySnapshot();
+    lastHistorySource = null;
+    updateUndoRedoButtons();
+  }
+
+  function scheduleHistoryCheckpoint() {
+    if (historyCapturePending) return;
+    historyCapturePending = true;
+    Promise.resolve().then(() => {
+      historyCapturePending = false;
+      recordHistoryCheckpoint();
+    });
+  }
+
+  function recordHistoryCheckpoint() {
+    if (historyBaseline === null) return;
+    const snapshot = historySnapshot();
+    if (snapshot === historyBaseline) return;
+    const now = Date.now();
+    const source = document.activeElement;
+    const isTextEntry = !!source && (source.tagName === "TEXTAREA" || (source.tagName === "INPUT" && source.type !== "checkbox"));
+    const coalesce = isTextEntry && source === lastHistorySource && (now - lastHistoryAt) < HISTORY_COALESCE_MS;
+    if (!coalesce) {
+      undoStack.push(historyBaseline);
+      if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    redoStack = [];
+    historyBaseline = snapshot;
+    lastHistorySource = isTextEntry ? source : null;
+    lastHistoryAt = now;
+    updateUndoRedoButtons();
+  }
+
+  // Restores run one at a time: a second undo waits until the first has finished loading its floor
+  function queueHistoryRestore(step) {
+    historyRestoreQueue = historyRestoreQueue.then(step).catch(e => {
+      console.warn("Failed to restore history", e);
+      setStatus(`Undo/redo failed: ${(e && e.message) || e}`);
+    });
+  }
+
+  function undo() {
+    queueHistoryRestore(async () => {
+      recordHistoryCheckpoint(); // fold in any edit still waiting for its checkpoint
+      if (undoStack.length === 0) return;
+      redoStack.push(historyBaseline);
+      await restoreHistorySnapshot(undoStack.pop());
+      setStatus("Undo.");
+    });
+  }
+
+  function redo() {
+    queueHistoryRestore(async () => {
+      recordHistoryCheckpoint();
+      if (redoStack.length === 0) return;
+      undoStack.push(historyBaseline);
+      await restoreHistorySnapshot(redoStack.pop());
+      setStatus("Redo.");
+    });
+  }
+
+  async function restoreHistorySnapshot(snapshot) {
+    const snap = JSON.parse(snapshot);
+    // Show the floor the change happened on
+    const changedFloor = snap.floors.find(f => {
+      const current = AppState.floors.find(x => x.id === f.id);
+      return !current || JSON.stringify(historyFloor(current)) !== JSON.stringify(f);
+    });
+    // Images stay with the live floors; floors leaving the plan keep theirs in case they return
+    AppState.floors.filter(f => !snap.floors.some(x => x.id === f.id)).forEach(retireFloorImage);
+    snap.floors.forEach(f => {
+      const current = AppState.floors.find(x => x.id === f.id);
+      Object.assign(f, current ? pickFloorImageFields(current) : retiredFloorImages.get(f.id));
+      retiredFloorImages.delete(f.id);
+    });
+    const keepSpaceId = selectedSpaceId;
+    const keepEdgeIndex = selectedEdgeIndex;
+
+    discardTempDrawing();
+    clearSelectionState();
+    AppState.floors = snap.floors;
+    AppState.types = snap.types;
+    AppState.displayUnit = snap.displayUnit;
+    historyBaseline = snapshot;
+    lastHistorySource = null;
+
+    const floorSwitch = changedFloor && changedFloor.id !== AppState.activeFloorId;
+    if (floorSwitch) AppState.activeFloorId = changedFloor.id;
+    if (!activeFloor()) AppState.activeFloorId = AppState.floors[0]?.id ?? null;
+    updateFloorSelectOptions();
+    renderTypeManager();
+    populateTypeDropdowns();
+    renderCeilingSlopeEditor(true);
+    updateUnitSuffixes();
+    const floor = activeFloor();
+    if (floor && floorSwitch) {
+      await loadFloorIntoCanvas(floor);
+    } else if (floor) {
+      clearCanvasOverlays();
+      refreshAllPolygonsForFloor(floor);
+      setScaleInputsFromFloor(floor);
+      updateOrthoAngleInput(floor);
+      updateNorthControls(floor);
+      updateScaleToggleLabel();
+    }
+
+    // Keep the previous selection when it still exists
+    const space = floor?.spaces.find(s => s.id === keepSpaceId);
+    const poly = space ? spaceIdToPolygon.get(space.id) : null;
+    if (space && poly && !floorSwitch) {
+      canvas.setActiveObject(poly);
+      selectSpace(space.id, false);
+      const segments = getSpaceEdgeSegments(space, getPolygonAbsolutePoints(poly));
+      if (keepEdgeIndex != null && keepEdgeIndex < segments.length) {
+        selectedEdgeIndex = keepEdgeIndex;
+        highlightSelectedEdge(segments, keepEdgeIndex);
+        updateEdgePanelFromSelection();
+      }
+    } else {
+      onCanvasSelectionCleared();
+      renderSpacesList();
+    }
+    canvas.requestRenderAll();
+    // Persist without recording the restore itself as a new step
+    historyBaseline = historySnapshot();
+    saveState();
+    updateUndoRedoButtons();
+  }
+
+  function updateUndoRedoButtons() {
+    if (dom.btnUndo) dom.btnUndo.disabled = undoStack.length === 0;
+    if (dom.btnRedo) dom.btnRedo.disabled = redoStack.length === 0;
+  }
+
+  function setActiveProjectId(id) {
+    activeProjectId = id;
+    try {
+      localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+    } catch (e) {
+      console.warn("Failed to remember active project", e);
     }
   }
 
-  function loadState() {
+  async function loadState() {
+    // Fallback id so saves have a target even if storage can't be read
+    activeProjectId = localStorage.getItem(ACTIVE_PROJECT_KEY) || uid("project");
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (parsed && parsed.floors) {
-          AppState.floors = parsed.floors;
-          AppState.activeFloorId = parsed.activeFloorId || (parsed.floors[0]?.id ?? null);
-          if (parsed.projectName) AppState.projectName = parsed.projectName;
-          if (parsed.displayUnit) AppState.displayUnit = parsed.displayUnit;
-          if (parsed.types) AppState.types = parsed.types;
-          // migrate scale to internal feet
-          AppState.floors.forEach(f => {
-            if (!f.scale) return;
-            if (typeof f.scale.realLenFeet !== 'number') {
-              const unit = f.scale.unit || 'feet';
-              const real = clampNum(f.scale.realLen);
-              f.scale.realLenFeet = unit === 'meters' ? (real / METERS_PER_FOOT) : real;
+      let record = await dbGet(DB_STORE_PROJECTS, activeProjectId);
+      if (!record) {
+        // Remembered project is gone: open the most recently modified one
+        const records = await dbGetAll(DB_STORE_PROJECTS);
+        records.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        record = records[0] || null;
+      }
+      if (!record) record = await migrateLocalStorageProject();
+      if (record) {
+        setActiveProjectId(record.id);
+        if (record.state && record.state.floors) hydrateState(record.state);
+      } else {
+        setActiveProjectId(activeProjectId);
+      }
+    } catch (e) {
+      console.warn("Failed to load state", e);
+      showSaveError(e);
+      // Keep working from the legacy slot in memory so nothing appears lost
+      try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : null;
+        if (parsed && parsed.floors) hydrateState(parsed);
+      } catch (e2) {
+        console.warn("Failed to load legacy state", e2);
+      }
+    }
+  }
+
+  // One-time move of the single localStorage project into IndexedDB
+  async function migrateLocalStorageProject() {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed || !Array.isArray(parsed.floors)) return null;
+    migrateState(parsed);
+    await moveInlineImagesToStore(parsed);
+    const record = { id: uid("project"), updatedAt: Date.now(), state: parsed };
+    await dbPut(DB_STORE_PROJECTS, record.id, record);
+    // Only drop the legacy copy once the IndexedDB write has committed
+    localStorage.removeItem(STORAGE_KEY);
+    return record;
+  }
+
+  function describeStorageError(e) {
+    if (e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED")) {
+      return "browser storage is full";
+    }
+    return (e && e.message) ? e.message : "unknown storage error";
+  }
+
+  function showSaveError(e) {
+    if (!dom.saveErrorBanner) return;
+    if (dom.saveErrorText) {
+      dom.saveErrorText.textContent = `Saving failed (${describeStorageError(e)}). Recent changes exist only in this tab — retry, or save the project to a file to keep them.`;
+    }
+    dom.saveErrorBanner.style.display = '';
+  }
+
+  function hideSaveError() {
+    if (dom.saveErrorBanner) dom.saveErrorBanner.style.display = 'none';
+  }
+
+  // Upgrade a parsed state object (localStorage or project file) to the current shape in place
+  function migrateState(parsed) {
+    // migrate scale to internal feet
+    parsed.floors.forEach(f => {
+      if (!Array.isArray(f.spaces)) f.spaces = [];
+      f.spaces.forEach(s => {
+        if (!Array.isArray(s.voids)) s.voids = [];
+        // Directions other than the old "N" default were picked by hand; keep them
+        [s.edges, ...s.voids.map(v => v.edges)].forEach(edges => {
+          (edges || []).forEach(e => {
+            if (!e) return;
+            if (e.directionManual === undefined) e.directionManual = !!e.direction && e.direction !== "N";
+            // One window per wall became a list of openings; 0 x 0 meant "no windows"
+            if (!Array.isArray(e.openings)) {
+              const hadWindow = clampNum(e.winWidth) > 0 || clampNum(e.winHeight) > 0;
+              e.openings = hadWindow ? [{
+                width: e.winWidth,
+                height: e.winHeight,
+                qty: 1,
+                type: e.windowType || "",
+                sill: undefined,
+                position: undefined,
+              }] : [];
             }
+            delete e.winWidth;
+            delete e.winHeight;
+            delete e.windowType;
           });
+        });
+      });
+      if (!f.scale) return;
+      if (typeof f.scale.realLenFeet !== 'number') {
+        const unit = f.scale.unit || 'feet';
+        const real = clampNum(f.scale.realLen);
+        f.scale.realLenFeet = unit === 'meters' ? (real / METERS_PER_FOOT) : real;
+      }
+    });
+    // Every type category needs at least one entry for the dropdowns
+    if (parsed.types) {
+      const defaults = defaultTypes();
+      Object.keys(defaults).forEach(cat => {
+        if (!Array.isArray(parsed.types[cat]) || parsed.types[cat].length === 0) {
+          parsed.types[cat] = defaults[cat];
         }
+      });
+    }
+    return parsed;
+  }
+
+  function hydrateState(parsed) {
+    migrateState(parsed);
+    AppState.floors = parsed.floors;
+    AppState.activeFloorId = parsed.activeFloorId || (parsed.floors[0]?.id ?? null);
+    AppState.projectName = parsed.projectName || "";
+    AppState.displayUnit = parsed.displayUnit || "feet";
+    AppState.types = parsed.types || defaultTypes();
+  }
+
+  // --------------------------
+  // Project files
+  // --------------------------
+  // Project files carry floor images inline as data URLs so they are self-contained
+  async function serializeProjectFile() {
+    const state = JSON.parse(JSON.stringify(AppState));
+    for (const f of state.floors) {
+      if (f.imageKey) {
+        const blob = await dbGet(DB_STORE_IMAGES, f.imageKey);
+        if (blob) f.imageSrc = await blobToDataUrl(blob);
+        delete f.imageKey;
       }
+    }
+    return JSON.stringify({
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_FILE_VERSION,
+      savedAt: new Date().toISOString(),
+      state,
+    });
+  }
+
+  // Returns the state object from a project file, or throws an Error describing why it can't be opened
+  function parseProjectFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
     } catch (e) {
-      console.warn("Failed to load state", e);
+      throw new Error("The file is not a valid project file (could not be read as JSON).");
+    }
+    if (!data || data.format !== PROJECT_FILE_FORMAT) {
+      throw new Error("The file is not an Area Takeoff project.");
+    }
+    const version = data.version;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`The project file has an unknown schema version (${JSON.stringify(version)}). Nothing was loaded.`);
+    }
+    if (version > PROJECT_FILE_VERSION) {
+      throw new Error(`This project was saved by a newer version of the app (file version ${version}, this app reads up to version ${PROJECT_FILE_VERSION}). Update the app to open it. Nothing was loaded.`);
+    }
+    if (!data.state || !Array.isArray(data.state.floors)) {
+      throw new Error("The project file does not contain any floor data. Nothing was loaded.");
+    }
+    return data.state;
+  }
+
+  async function saveProjectToFile() {
+    let text;
+    try {
+      text = await serializeProjectFile();
+    } catch (e) {
+      console.warn("Failed to build project file", e);
+      alert(`Could not save the project file: ${describeStorageError(e)}.`);
+      return;
+    }
+    const blob = new Blob([text], { type: "application/json" });
+    const projectName = AppState.projectName && AppState.projectName.trim() ? AppState.projectName.trim() : "Project";
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${projectName}${PROJECT_FILE_EXTENSION}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    setStatus("Project saved to file.");
+  }
+
+  function openProjectFromFile(file) {
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let parsed;
+      try {
+        parsed = parseProjectFile(reader.result);
+      } catch (e) {
+        alert(`Could not open "${file.name}".\n\n${e.message}`);
+        return;
+      }
+      try {
+        migrateState(parsed);
+        await moveInlineImagesToStore(parsed);
+      } catch (e) {
+        console.warn("Failed to store project images", e);
+        showSaveError(e);
+        alert(`Could not open "${file.name}": the floor images could not be stored (${describeStorageError(e)}). The current project was kept.`);
+        return;
+      }
+      // Opened files become a new library entry; the current project stays in the library
+      await flushPendingSave();
+      setActiveProjectId(uid("project"));
+      hydrateState(parsed);
+      await persistState();
+      await reloadProjectIntoUI();
+      setStatus(`Opened project "${file.name}".`);
+    };
+    reader.onerror = () => {
+      alert(`Could not read "${file.name}".`);
+    };
+    reader.readAsText(file);
+  }
+
+  // --------------------------
+  // Project library
+  // --------------------------
+  function projectDisplayName(state) {
+    const name = state && typeof state.projectName === "string" ? state.projectName.trim() : "";
+    return name || "Untitled Project";
+  }
+
+  async function listProjects() {
+    const records = await dbGetAll(DB_STORE_PROJECTS);
+    return records
+      .map(r => {
+        const floors = Array.isArray(r.state?.floors) ? r.state.floors : [];
+        return {
+          id: r.id,
+          name: projectDisplayName(r.state),
+          updatedAt: r.updatedAt || 0,
+          floorCount: floors.length,
+          spaceCount: floors.reduce((n, f) => n + (Array.isArray(f.spaces) ? f.spaces.length : 0), 0),
+        };
+      })
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function switchProject(projectId) {
+    if (projectId === activeProjectId) return;
+    await flushPendingSave();
+    let record;
+    try {
+      record = await dbGet(DB_STORE_PROJECTS, projectId);
+    } catch (e) {
+      console.warn("Failed to read project", e);
+      setStatus(`Could not open the project: ${describeStorageError(e)}.`);
+      return;
+    }
+    if (!record || !record.state) {
+      alert("That project could not be found.");
+      return;
+    }
+    setActiveProjectId(record.id);
+    hydrateState(record.state);
+    await reloadProjectIntoUI();
+    setStatus(`Switched to project "${projectDisplayName(record.state)}".`);
+  }
+
+  async function createProject() {
+    const name = promptText("Enter name for the new project:", "New Project");
+    if (!name) return;
+    await flushPendingSave();
+    setActiveProjectId(uid("project"));
+    hydrateState({ floors: [], projectName: name });
+    await persistState();
+    await reloadProjectIntoUI();
+    setStatus(`Created project "${name}".`);
+  }
+
+  async function duplicateProject(projectId) {
+    await flushPendingSave();
+    const record = await dbGet(DB_STORE_PROJECTS, projectId);
+    if (!record || !record.state) return;
+    const state = JSON.parse(JSON.stringify(record.state));
+    state.projectName = `${projectDisplayName(record.state)} (Copy)`;
+    try {
+      // Give the copy its own image blobs so deleting either project never breaks the other
+      for (const f of state.floors) {
+        if (!f.imageKey) continue;
+        const blob = await dbGet(DB_STORE_IMAGES, f.imageKey);
+        f.imageKey = blob ? await storeFloorImage(blob) : null;
+      }
+      const copyId = uid("project");
+      await dbPut(DB_STORE_PROJECTS, copyId, { id: copyId, updatedAt: Date.now(), state });
+    } catch (e) {
+      console.warn("Failed to duplicate project", e);
+      alert(`Could not duplicate the project: ${describeStorageError(e)}.`);
+      return;
+    }
+    setStatus(`Duplicated project as "${state.projectName}".`);
+  }
+
+  async function renameProject(projectId) {
+    if (projectId === activeProjectId) {
+      const newName = promptText("Rename project:", projectDisplayName(AppState));
+      if (!newName) return;
+      AppState.projectName = newName;
+      setProjectNameUI(newName);
+      await persistState();
+      return;
+    }
+    const record = await dbGet(DB_STORE_PROJECTS, projectId);
+    if (!record || !record.state) return;
+    const newName = promptText("Rename project:", projectDisplayName(record.state));
+    if (!newName) return;
+    record.state.projectName = newName;
+    record.updatedAt = Date.now();
+    try {
+      await dbPut(DB_STORE_PROJECTS, projectId, record);
+    } catch (e) {
+      alert(`Could not rename the project: ${describeStorageError(e)}.`);
+    }
+  }
+
+  async function deleteProject(projectId) {
+    let record;
+    try {
+      record = await dbGet(DB_STORE_PROJECTS, projectId);
+    } catch (e) {
+      console.warn("Failed to read project", e);
+      setStatus(`Could not delete the project: ${describeStorageError(e)}.`);
+      return;
+    }
+    if (!record) return;
+    if (!confirmAction(`Delete project "${projectDisplayName(record.state)}" and all its floors? This cannot be undone.`)) return;
+    if (projectId === activeProjectId) {
+      // Drop any pending write so the deleted project isn't recreated
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    try {
+      await dbDelete(DB_STORE_PROJECTS, projectId);
+    } catch (e) {
+      alert(`Could not delete the project: ${describeStorageError(e)}.`);
+      return;
     }
+    (record.state?.floors || []).forEach(f => deleteFloorImage(f.imageKey));
+    if (projectId !== activeProjectId) return;
+    let remaining;
+    try {
+      remaining = await listProjects();
+    } catch (e) {
+      console.warn("Failed to list projects", e);
+      remaining = [];
+    }
+    if (remaining.length > 0) {
+      activeProjectId = null;
+      await switchProject(remaining[0].id);
+    } else {
+      setActiveProjectId(uid("project"));
+      hydrateState({ floors: [] });
+      await persistState();
+      await reloadProjectIntoUI();
+    }
+  }
+
+  function formatProjectDate(ms) {
+    if (!ms) return "-";
+    return new Date(ms).toLocaleString();
+  }
+
+  async function renderProjectLibrary() {
+    if (!dom.projectLibraryList) return;
+    let projects;
+    try {
+      projects = await listProjects();
+    } catch (e) {
+      dom.projectLibraryList.innerHTML = "";
+      const err = document.createElement("div");
+      err.className = "hint";
+      err.textContent = `Could not read the project library (${describeStorageError(e)}).`;
+      dom.projectLibraryList.appendChild(err);
+      return;
+    }
+    dom.projectLibraryList.innerHTML = "";
+    if (projects.length === 0) {
+      dom.projectLibraryList.innerHTML = '<div class="hint">No saved projects yet.</div>';
+      return;
+    }
+    const table = document.createElement("table");
+    table.className = "project-table";
+    const head = document.createElement("tr");
+    ["Project", "Last Modified", "Floors", "Spaces", ""].forEach(label => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    projects.forEach(p => {
+      const tr = document.createElement("tr");
+      if (p.id === activeProjectId) tr.classList.add("active");
+      [p.name + (p.id === activeProjectId ? " (open)" : ""), formatProjectDate(p.updatedAt), String(p.floorCount), String(p.spaceCount)].forEach(text => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const actions = document.createElement("td");
+      actions.className = "project-actions";
+      const addAction = (label, handler, className) => {
+        const btn = document.createElement("button");
+        btn.textContent = label;
+        if (className) btn.className = className;
+        btn.addEventListener("click", async () => {
+          await handler(p.id);
+          renderProjectLibrary();
+        });
+        actions.appendChild(btn);
+      };
+      if (p.id !== activeProjectId) {
+        addAction("Open", async (id) => {
+          await switchProject(id);
+          hideProjectLibrary();
+        });
+      }
+      addAction("Rename", renameProject);
+      addAction("Duplicate", duplicateProject);
+      addAction("Delete", deleteProject, "danger");
+      tr.appendChild(actions);
+      table.appendChild(tr);
+    });
+    dom.projectLibraryList.appendChild(table);
+  }
+
+  async function showProjectLibrary() {
+    if (!dom.projectLibrary) return;
+    await flushPendingSave();
+    dom.projectLibrary.style.display = '';
+    renderProjectLibrary();
+  }
+
+  function hideProjectLibrary() {
+    if (dom.projectLibrary) dom.projectLibrary.style.display = 'none';
   }
 
   // --------------------------
@@ -366,36 +1344,116 @@ const EDGE_HIT_BUFFER_PX = 6;
     return AppState.floors.find(f => f.id === AppState.activeFloorId) || null;
   }
 
-  function ensureEdgeArrayForSpace(space) {
-    const n = space.vertices.length;
-    if (!Array.isArray(space.edges)) space.edges = [];
-    if (space.edges.length !== n) {
-      const existing = space.edges.slice(0);
-      const newEdges = [];
-      for (let i = 0; i < n; i++) {
-        newEdges[i] = existing[i] || {
-          id: uid("edge"),
-          isExterior: false,
-          height: undefined,
-          winWidth: undefined,
-          winHeight: undefined,
-          direction: "N",
-          length: 0,
-          winArea: 0,
-        };
-      }
-      space.edges = newEdges;
+  function createEdge() {
+    return {
+      id: uid("edge"),
+      isExterior: false,
+      height: undefined, // the start height unless heightProfile is "flat"; see getHeightProfile()
+      heightProfile: "flat",
+      heightEnd: undefined,
+      peakHeight: undefined,
+      peakPosition: undefined,
+      openings: [], // windows; see createOpening()
+      direction: "N",
+      directionManual: false, // true once picked by hand; otherwise derived from the geometry
+      length: 0,
+      winArea: 0,
+    };
+  }
+
+  function ensureEdgeArray(edges, n) {
+    if (Array.isArray(edges) && edges.length === n) return edges;
+    const existing = Array.isArray(edges) ? edges : [];
+    const newEdges = [];
+    for (let i = 0; i < n; i++) {
+      newEdges[i] = existing[i] || createEdge();
     }
+    return newEdges;
   }
 
-  function getScaleFactorForFloor(floor) {
+  function ensureEdgeArrayForSpace(space) {
+    space.edges = ensureEdgeArray(space.edges, space.vertices.length);
+    getSpaceVoids(space).forEach(v => {
+      v.edges = ensureEdgeArray(v.edges, v.vertices.length);
+    });
+  }
+
+  function getSpaceVoids(space) {
+    return Array.isArray(space?.voids) ? space.voids : [];
+  }
+
+  // Walls of a space as one flat list: the outer ring first, then each void ring in order.
+  // Edge indices (selectedEdgeIndex, "Edge N" labels) refer to this list.
+  // outerPts lets callers pass live polygon points while a drag is in progress.
+  function getSpaceEdgeSegments(space, outerPts = space.vertices) {
+    const segments = [];
+    const addRing = (pts, edges, voidId) => {
+      pts.forEach((a, i) => {
+        segments.push({ a, b: pts[(i + 1) % pts.length], edge: edges?.[i] || null, voidId, ringIndex: i });
+      });
+    };
+    addRing(outerPts, space.edges, null);
+    getSpaceVoids(space).forEach(v => addRing(v.vertices, v.edges, v.id));
+    return segments;
+  }
+
+  function getAllSpaceEdges(space) {
+    return [...(space.edges || []), ...getSpaceVoids(space).flatMap(v => v.edges || [])];
+  }
+
+  function getUniformScaleFactor(floor) {
     if (!floor?.scale) return 0;
     const pixelLen = clampNum(floor.scale.pixelLen);
     const realLenFeet = clampNum(floor.scale.realLenFeet);
     if (pixelLen <= 0 || realLenFeet <= 0) return 0;
+    // Canvas pixels, not image pixels: re-rendering a PDF page rescales backgroundFit so this stays valid
     return realLenFeet / pixelLen; // feet per canvas pixel (zoom-independent)
   }
 
+  // Solve feet per pixel on each axis from a horizontal and a vertical reference line.
+  // Each line gives L² = (sx·dx)² + (sy·dy)², which is linear in sx² and sy².
+  function solveTwoAxisScale(axes) {
+    const h = axes?.horizontal;
+    const v = axes?.vertical;
+    if (!h?.line || !v?.line || !(h.realLenFeet > 0) || !(v.realLenFeet > 0)) return null;
+    const a1 = (h.line.x2 - h.line.x1) ** 2, b1 = (h.line.y2 - h.line.y1) ** 2, c1 = h.realLenFeet ** 2;
+    const a2 = (v.line.x2 - v.line.x1) ** 2, b2 = (v.line.y2 - v.line.y1) ** 2, c2 = v.realLenFeet ** 2;
+    const det = a1 * b2 - a2 * b1;
+    // Near-parallel lines cannot separate the axes
+    if (Math.abs(det) < 1e-6 * (a1 * b2 + a2 * b1)) return null;
+    const sx2 = (c1 * b2 - c2 * b1) / det;
+    const sy2 = (a1 * c2 - a2 * c1) / det;
+    if (!(sx2 > 0) || !(sy2 > 0)) return null;
+    return { x: Math.sqrt(sx2), y: Math.sqrt(sy2) };
+  }
+
+  // Feet per canvas pixel along x and y; equal unless a two-axis calibration is active
+  function getScaleFactorsForFloor(floor) {
+    if (floor?.scale?.twoAxis) {
+      const solved = solveTwoAxisScale(floor.scale.axes);
+      if (solved) return solved;
+    }
+    const f = getUniformScaleFactor(floor);
+    return { x: f, y: f };
+  }
+
+  // Single feet-per-pixel value; the geometric mean of both axes so areas stay consistent
+  function getScaleFactorForFloor(floor) {
+    const { x, y } = getScaleFactorsForFloor(floor);
+    return Math.sqrt(x * y);
+  }
+
+  function scaledDistance(a, b, factors) {
+    return Math.sqrt(((b.x - a.x) * factors.x) ** 2 + ((b.y - a.y) * factors.y) ** 2);
+  }
+
+  // Canvas pixels spanning `feet` along unit direction dir (per-axis factors for two-axis scales)
+  function pixelsForFeetAlong(floor, dir, feet) {
+    const factors = getScaleFactorsForFloor(floor);
+    const feetPerPx = Math.sqrt((dir.x * factors.x) ** 2 + (dir.y * factors.y) ** 2);
+    return feetPerPx > 0 ? feet / feetPerPx : 0;
+  }
+
   // Helper functions to get zoom-adjusted visual constants
   function getZoomAdjustedEdgeOverlayThickness() {
     return EDGE_OVERLAY_THICKNESS_PX / currentZoom;
@@ -415,6 +1473,9 @@ const EDGE_HIT_BUFFER_PX = 6;
   function getZoomAdjustedCloseThreshold() {
     return SPACE_CLOSE_THRESHOLD_PX / currentZoom;
   }
+  function getZoomAdjustedSnapRadius() {
+    return clampNum(snapSettings.radiusPx) / currentZoom;
+  }
   function getZoomAdjustedScaleLineWidth() {
     return SCALE_LINE_WIDTH / currentZoom;
   }
@@ -449,7 +1510,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     
     // Update all polygon corner sizes
     canvas.getObjects().forEach(obj => {
-      if (obj.get("fpType") === "space" || obj.get("fpType") === "ceiling") {
+      if (obj.get("fpType") === "space" || obj.get("fpType") === "ceiling" || obj.get("fpType") === "void") {
         obj.set("cornerSize", getZoomAdjustedVertexHandleSize());
         obj.set("touchCornerSize", Math.max(getZoomAdjustedVertexHandleSize(), 24));
         obj.setCoords();
@@ -467,9 +1528,10 @@ const EDGE_HIT_BUFFER_PX = 6;
     // Update selected edge highlight if exists
     if (selectedEdgeIndex != null && selectedSpaceId) {
       const poly = spaceIdToPolygon.get(selectedSpaceId);
-      if (poly) {
+      const space = floor?.spaces.find(s => s.id === selectedSpaceId);
+      if (poly && space) {
         const absPts = getPolygonAbsolutePoints(poly);
-        highlightSelectedEdge(absPts, selectedEdgeIndex);
+        highlightSelectedEdge(getSpaceEdgeSegments(space, absPts), selectedEdgeIndex);
       }
     }
     
@@ -484,6 +1546,11 @@ const EDGE_HIT_BUFFER_PX = 6;
       }
     }
     
+    if (selectedVoidVertex) {
+      const p = selectedVoidVertexPoint();
+      if (p) drawVertexHighlightAt(p);
+    }
+
     // Update selected ceiling vertex highlight if exists
     if (selectedCeilingVertexIndex != null && selectedSpaceId) {
       const ceiling = spaceIdToCeiling.get(selectedSpaceId);
@@ -496,7 +1563,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     }
     
     // Redraw scale line if visible
-    if (floor?.scale?.line && floor.scale.visible !== false) {
+    if (hasScaleLines(floor) && floor.scale.visible !== false) {
       removeScaleVisuals();
       drawScaleLineForFloor(floor);
     }
@@ -549,6 +1616,13 @@ const EDGE_HIT_BUFFER_PX = 6;
   }
 
   function setScaleInputsFromFloor(floor) {
+    updateScaleFactorInfo(floor);
+    renderScaleCheckList(floor);
+    if (dom.scaleTwoAxis) {
+      dom.scaleTwoAxis.checked = !!floor?.scale?.twoAxis;
+      dom.scaleTwoAxis.disabled = !floor;
+    }
+    if (dom.scaleAxisButtons) dom.scaleAxisButtons.style.display = floor?.scale?.twoAxis ? '' : 'none';
     if (!floor || !floor.scale) {
       dom.scaleLength.value = "";
       dom.scaleUnit.value = AppState.displayUnit || "feet";
@@ -559,15 +1633,162 @@ const EDGE_HIT_BUFFER_PX = 6;
     dom.scaleUnit.value = AppState.displayUnit || "feet";
   }
 
+  // Show the floor's resulting length per canvas pixel so a scale can be sanity-checked
+  function updateScaleFactorInfo(floor) {
+    if (!dom.scaleFactorInfo) return;
+    const factor = getScaleFactorForFloor(floor);
+    if (!factor) {
+      dom.scaleFactorInfo.textContent = floor?.scale?.twoAxis
+        ? "Two-axis scale: draw both a horizontal and a vertical reference line."
+        : (floor ? "Scale not set." : "");
+      return;
+    }
+    const unit = unitAbbrev();
+    if (floor.scale.twoAxis) {
+      const solved = solveTwoAxisScale(floor.scale.axes);
+      if (solved) {
+        const px = feetToDisplayLength(solved.x);
+        const py = feetToDisplayLength(solved.y);
+        const skew = (solved.x / solved.y - 1) * 100;
+        dom.scaleFactorInfo.textContent = `Two-axis scale: 1 px = ${px.toPrecision(4)} ${unit} horizontal, ${py.toPrecision(4)} ${unit} vertical (${skew >= 0 ? "+" : ""}${skew.toFixed(2)}%)`;
+        return;
+      }
+    }
+    const perPx = feetToDisplayLength(factor);
+    const preset = floor.scale.preset;
+    const source = preset ? `Sheet scale ${preset.label} at ${preset.dpi} DPI. ` : "";
+    const fallback = floor.scale.twoAxis ? "Two-axis lines incomplete or invalid; using the single scale. " : "";
+    dom.scaleFactorInfo.textContent = `${fallback}${source}1 px = ${perPx.toPrecision(4)} ${unit} (${(1 / perPx).toFixed(2)} px/${unit})`;
+  }
+
   // --------------------------
-  // Fabric helpers
+  // Scale presets
   // --------------------------
-  function fitBackgroundImageToCanvas(img, floor) {
-    // Compute scale to fit within canvas dimensions with left buffer
-    const PANEL_BUFFER = 380;
-    const canvasW = canvas.getWidth();
-    const canvasH = canvas.getHeight();
-    const imgW = img.width;
+  function findScalePreset(id) {
+    return SCALE_PRESETS.find(p => p.id === id) || null;
+  }
+
+  function populateScalePresetSelect() {
+    if (!dom.scalePresetSelect) return;
+    dom.scalePresetSelect.innerHTML = "";
+    const groups = new Map();
+    for (const preset of SCALE_PRESETS) {
+      if (!groups.has(preset.group)) {
+        const og = document.createElement("optgroup");
+        og.label = preset.group;
+        groups.set(preset.group, og);
+        dom.scalePresetSelect.appendChild(og);
+      }
+      const opt = document.createElement("option");
+      opt.value = preset.id;
+      opt.textContent = preset.label;
+      groups.get(preset.group).appendChild(opt);
+    }
+    const custom = document.createElement("option");
+    custom.value = SCALE_PRESET_CUSTOM;
+    custom.textContent = "Custom 1:N";
+    dom.scalePresetSelect.appendChild(custom);
+  }
+
+  // Selected sheet scale in the dialog, or null when the custom ratio is invalid
+  function readScaleDialogPreset() {
+    const id = dom.scalePresetSelect.value;
+    if (id !== SCALE_PRESET_CUSTOM) return findScalePreset(id);
+    const ratio = parseFloat(dom.scaleCustomRatio.value);
+    if (!(ratio > 0)) return null;
+    return { id: SCALE_PRESET_CUSTOM, label: `1:${ratio}`, ratio };
+  }
+
+  // Feet per canvas pixel for a sheet scale: one image pixel is 1/dpi paper inches,
+  // and backgroundFit maps image pixels to canvas pixels
+  function computePresetScale(floor, ratio, dpi) {
+    const fit = clampNum(floor?.backgroundFit?.scaleX || 0);
+    if (!(fit > 0) || !(dpi > 0) || !(ratio > 0)) return null;
+    // One paper inch: its length in canvas pixels and in real feet
+    return { pixelLen: dpi * fit, realLenFeet: ratio / 12 };
+  }
+
+  function updateScaleDialogResult() {
+    const floor = activeFloor();
+    const isCustom = dom.scalePresetSelect.value === SCALE_PRESET_CUSTOM;
+    if (dom.scaleCustomRow) dom.scaleCustomRow.style.display = isCustom ? '' : 'none';
+    const preset = readScaleDialogPreset();
+    const dpi = parseFloat(dom.scaleDpi.value);
+    const result = preset ? computePresetScale(floor, preset.ratio, dpi) : null;
+    dom.btnApplyScalePreset.disabled = !result;
+    if (!result) {
+      dom.scaleDialogResult.textContent = "Enter a sheet scale and the image DPI.";
+      return;
+    }
+    const perPx = feetToDisplayLength(result.realLenFeet / result.pixelLen);
+    dom.scaleDialogResult.textContent = `Result: 1 px = ${perPx.toPrecision(4)} ${unitAbbrev()}`;
+  }
+
+  function showScaleDialog() {
+    const floor = activeFloor();
+    if (!floor) {
+      alert("Add a floor first.");
+      return;
+    }
+    if (!dom.scaleDialog) return;
+    const current = floor.scale?.preset;
+    if (current && current.id === SCALE_PRESET_CUSTOM) {
+      dom.scalePresetSelect.value = SCALE_PRESET_CUSTOM;
+      dom.scaleCustomRatio.value = current.ratio;
+    } else {
+      dom.scalePresetSelect.value = current?.id || (AppState.displayUnit === "meters" ? "m-1-100" : "arch-1-4");
+    }
+    dom.scaleDpi.value = floor.imageDpi || "";
+    // PDF pages were rendered at a known DPI; a different value would give a wrong scale
+    dom.scaleDpi.readOnly = !!floor.pdfSource;
+    dom.scaleDialog.style.display = '';
+    updateScaleDialogResult();
+  }
+
+  function hideScaleDialog() {
+    if (dom.scaleDialog) dom.scaleDialog.style.display = 'none';
+  }
+
+  function applyScalePreset() {
+    const floor = activeFloor();
+    if (!floor) return;
+    const preset = readScaleDialogPreset();
+    const dpi = parseFloat(dom.scaleDpi.value);
+    const result = preset ? computePresetScale(floor, preset.ratio, dpi) : null;
+    if (!result) {
+      alert("Enter a valid sheet scale and image DPI.");
+      return;
+    }
+    if (floor.scale?.line) removeScaleVisuals();
+    floor.scale = {
+      realLenFeet: result.realLenFeet,
+      pixelLen: result.pixelLen,
+      unit: dom.scaleUnit.value,
+      line: null,
+      visible: true,
+      preset: { id: preset.id, label: preset.label, ratio: preset.ratio, dpi },
+      // Keep any two-axis lines for later, but the preset is now the active scale
+      axes: floor.scale?.axes,
+      twoAxis: false,
+    };
+    floor.imageDpi = dpi;
+    saveState();
+    recalcAllSpacesForFloor(floor);
+    setScaleInputsFromFloor(floor);
+    updateScaleToggleLabel();
+    hideScaleDialog();
+    canvas.renderAll();
+    setStatus(`Scale set from sheet scale ${preset.label}.`);
+  }
+
+  // --------------------------
+  // Fabric helpers
+  // --------------------------
+  function fitBackgroundImageToCanvas(img, floor) {
+    // Compute scale to fit within canvas dimensions with left buffer
+    const canvasW = canvas.getWidth();
+    const canvasH = canvas.getHeight();
+    const imgW = img.width;
     const imgH = img.height;
     const availableW = canvasW - PANEL_BUFFER;
     const scale = Math.min(availableW / imgW, canvasH / imgH);
@@ -586,16 +1807,22 @@ const EDGE_HIT_BUFFER_PX = 6;
     };
   }
 
-  function setBackgroundFromFloor(floor) {
+  async function setBackgroundFromFloor(floor) {
+    let imageUrl = null;
+    try {
+      imageUrl = await getFloorImageUrl(floor);
+    } catch (e) {
+      console.warn("Failed to load floor image", e);
+    }
     return new Promise((resolve) => {
-      if (!floor?.imageSrc) {
+      if (!imageUrl) {
         canvas.setBackgroundImage(null, () => {
           canvas.renderAll();
           resolve();
         });
         return;
       }
-      fabric.Image.fromURL(floor.imageSrc, (img) => {
+      fabric.Image.fromURL(imageUrl, (img) => {
         if (!floor.backgroundFit) {
           fitBackgroundImageToCanvas(img, floor);
         } else {
@@ -627,12 +1854,14 @@ const EDGE_HIT_BUFFER_PX = 6;
   function removeScaleVisuals() {
     const toRemove = canvas.getObjects().filter(o => {
       const t = o.get("fpType");
-      return t === "scaleLine" || t === "scaleLabel" || t === "scaleLabelLeader" || t === "scaleVertex";
+      return t === "scaleLine" || t === "scaleAxisLine" || t === "scaleCheckLine" || t === "scaleLabel" || t === "scaleLabelLeader" || t === "scaleVertex";
     });
     toRemove.forEach(o => canvas.remove(o));
   }
 
   function drawScaleLineForFloor(floor) {
+    drawScaleCheckLinesForFloor(floor);
+    drawScaleAxisLinesForFloor(floor);
     if (!floor?.scale?.line) return;
     const visible = floor.scale.visible !== false; // default visible
     const { x1, y1, x2, y2 } = floor.scale.line;
@@ -664,6 +1893,53 @@ const EDGE_HIT_BUFFER_PX = 6;
     canvas.renderAll();
   }
 
+  function addScaleRect(line, { fill, height, fpType, visible, opacity = 1 }) {
+    const { x1, y1, x2, y2 } = line;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const rect = new fabric.Rect({
+      left: (x1 + x2) / 2,
+      top: (y1 + y2) / 2,
+      originX: "center",
+      originY: "center",
+      width: Math.sqrt(dx * dx + dy * dy),
+      height,
+      angle: Math.atan2(dy, dx) * 180 / Math.PI,
+      fill,
+      opacity,
+      stroke: null,
+      selectable: false,
+      evented: false,
+      hoverCursor: "default",
+      visible
+    });
+    rect.set("fpType", fpType);
+    canvas.add(rect);
+    rect.bringToFront();
+    return rect;
+  }
+
+  // Two-axis reference lines are only drawn while that calibration is active
+  function drawScaleAxisLinesForFloor(floor) {
+    if (!floor?.scale?.twoAxis) return;
+    const visible = floor.scale.visible !== false;
+    ["horizontal", "vertical"].forEach(axis => {
+      const ref = floor.scale.axes?.[axis];
+      if (!ref?.line) return;
+      addScaleRect(ref.line, { fill: COLOR_SCALE, height: getZoomAdjustedScaleLineWidth(), fpType: "scaleAxisLine", visible, opacity: 0.7 });
+    });
+  }
+
+  // Check lines follow the scale line's visibility
+  function drawScaleCheckLinesForFloor(floor) {
+    const checks = floor?.scaleVerification?.checks;
+    if (!Array.isArray(checks) || checks.length === 0) return;
+    const visible = floor.scale?.visible !== false;
+    checks.forEach(check => {
+      addScaleRect(check.line, { fill: COLOR_SCALE_CHECK, height: getZoomAdjustedScaleLineWidth() * 0.6, fpType: "scaleCheckLine", visible });
+    });
+  }
+
   function addPolygonForSpace(space) {
     // Points stored as absolute canvas coords. Convert to polygon points relative to left/top.
     const pts = space.vertices.map(p => ({ x: p.x, y: p.y }));
@@ -714,23 +1990,18 @@ const EDGE_HIT_BUFFER_PX = 6;
     const overlays = canvas.getObjects().filter(o => o.get && o.get("fpType") === "edgeOverlay");
     overlays.forEach(o => canvas.remove(o));
     // Remove existing ceilings
-    const ceilings = canvas.getObjects().filter(o => o.get && o.get("fpType") === "ceiling");
+    const ceilings = canvas.getObjects().filter(o => o.get && (o.get("fpType") === "ceiling" || o.get("fpType") === "void"));
     ceilings.forEach(o => canvas.remove(o));
     polygonIdToSpaceId.clear();
     spaceIdToPolygon.clear();
     spaceIdToCeiling.clear();
+    voidIdToPolygon.clear();
 
-    floor.spaces.forEach(space => {
-      addPolygonForSpace(space);
-      updateEdgeOverlaysForSpace(space.id);
-      // Add ceiling if exists
-      if (space.ceilingVertices && space.ceilingVertices.length >= 3) {
-        addCeilingForSpace(space);
-        recalcCeilingArea(space);
-      }
-    });
-    // After polygons, draw scale line overlay
+    floor.spaces.forEach(space => addSpaceToCanvas(space));
+    // After polygons, draw scale line overlay and dimensions
     drawScaleLineForFloor(floor);
+    drawDimensionsForFloor(floor);
+    renderDimensionList(floor);
     canvas.renderAll();
   }
 
@@ -751,20 +2022,20 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (!poly) return;
 
     removeEdgeOverlaysForSpace(spaceId);
-    const pts = getPolygonAbsolutePoints(poly);
     ensureEdgeArrayForSpace(space);
-    for (let i = 0; i < pts.length; i++) {
-      const a = pts[i];
-      const b = pts[(i + 1) % pts.length];
+    const segments = getSpaceEdgeSegments(space, getPolygonAbsolutePoints(poly));
+    for (let i = 0; i < segments.length; i++) {
+      const { a, b, edge } = segments[i];
       const dx = b.x - a.x;
       const dy = b.y - a.y;
       const len = Math.sqrt(dx * dx + dy * dy);
       const cx = (a.x + b.x) / 2;
       const cy = (a.y + b.y) / 2;
       const angleDeg = Math.atan2(dy, dx) * 180 / Math.PI;
-      const edge = space.edges[i];
       const isExterior = !!(edge && edge.isExterior);
-      const baseColor = isExterior ? COLOR_EDGE_EXTERIOR : ((selectedSpaceId === spaceId) ? COLOR_SPACE_SELECTED_STROKE : COLOR_SPACE_STROKE);
+      const isBulkSelected = !!(edge && bulkEdgeIds.length > 1 && bulkEdgeIds.includes(edge.id));
+      const baseColor = isBulkSelected ? COLOR_EDGE_SELECTED
+        : isExterior ? COLOR_EDGE_EXTERIOR : ((selectedSpaceId === spaceId) ? COLOR_SPACE_SELECTED_STROKE : COLOR_SPACE_STROKE);
       const rect = new fabric.Rect({
         left: cx,
         top: cy,
@@ -829,6 +2100,8 @@ const EDGE_HIT_BUFFER_PX = 6;
       onPolygonModified(polygon);
     });
     polygon.on("mousedown", () => {
+      // A void is a hole: clicking it never selects the space around it
+      if (polygon.get("fpType") === "void") return;
       selectSpaceByPolygon(polygon);
     });
   }
@@ -852,8 +2125,13 @@ const EDGE_HIT_BUFFER_PX = 6;
     const currentControl = polygon.controls[polygon.__corner];
     const canvas = polygon.canvas;
     
-    // Get the actual pointer position from the event
-    const pointer = canvas.getPointer(eventData.e);
+    // Get the actual pointer position from the event, snapped to other spaces on the floor.
+    // A ceiling may snap to its own space's outline; a space vertex skips its own space.
+    const rawPointer = canvas.getPointer(eventData.e);
+    const excludeSpaceId = polygon.get("fpType") === "space" ? polygon.get("spaceId") : null;
+    const snap = findSnapPoint(rawPointer, { excludeSpaceId, e: eventData.e });
+    showSnapIndicator(snap);
+    const pointer = snap || rawPointer;
     
     // Get the polygon's transform matrix
     const transformMatrix = polygon.calcTransformMatrix();
@@ -891,6 +2169,12 @@ const EDGE_HIT_BUFFER_PX = 6;
         if (absPts[selectedVertexIndex]) updateVertexHighlightPosition(absPts[selectedVertexIndex]);
       }
       
+      // Void vertex highlight
+      if (fpType === "void" && polygon.get("voidId") === selectedVoidVertex?.voidId && currentControl.pointIndex === selectedVoidVertex.index) {
+        const p = selectedVoidVertexPoint();
+        if (p) updateVertexHighlightPosition(p);
+      }
+
       // Ceiling vertex highlight
       if (fpType === "ceiling" && spaceId === selectedSpaceId && selectedCeilingVertexIndex != null && currentControl.pointIndex === selectedCeilingVertexIndex) {
         const absPts = getPolygonAbsolutePoints(polygon);
@@ -913,27 +2197,33 @@ const EDGE_HIT_BUFFER_PX = 6;
   // --------------------------
   // Interactions
   // --------------------------
-  function enterDrawSpaceMode() {
-    // Toggle behavior: if already drawing space, cancel
-    if (isDrawingSpace) {
+  function enterDrawSpaceMode(shape = "polygon") {
+    // Toggle behavior: if already drawing this kind of space, cancel
+    if (isDrawingSpace && drawSpaceShape === shape) {
       cancelDrawSpaceMode();
       return;
     }
     
     cancelAllModes();
     isDrawingSpace = true;
+    drawSpaceShape = shape;
     tempDrawPoints = [];
     tempDrawCircles.forEach(c => canvas.remove(c));
     tempDrawLines.forEach(l => canvas.remove(l));
     tempDrawCircles = [];
     tempDrawLines = [];
-    setStatus("Drawing space: click to add vertices, click near first point to finish.");
     // Crosshair while drawing spaces
     canvas.defaultCursor = "crosshair";
-    // Highlight both draw space buttons
-    if (dom.btnDrawSpace) dom.btnDrawSpace.classList.add('active');
-    const btnDrawSpaceFromSpaces = document.getElementById("btnDrawSpaceFromSpaces");
-    if (btnDrawSpaceFromSpaces) btnDrawSpaceFromSpaces.classList.add('active');
+    if (shape === "rectangle") {
+      setStatus("Drawing rectangle: click two opposite corners.");
+      if (dom.btnDrawRectangle) dom.btnDrawRectangle.classList.add('active');
+    } else {
+      setStatus("Drawing space: click to add vertices, click near first point to finish. Hold Shift for ortho.");
+      // Highlight both draw space buttons
+      if (dom.btnDrawSpace) dom.btnDrawSpace.classList.add('active');
+      const btnDrawSpaceFromSpaces = document.getElementById("btnDrawSpaceFromSpaces");
+      if (btnDrawSpaceFromSpaces) btnDrawSpaceFromSpaces.classList.add('active');
+    }
     // Deselect any selected space when starting a new draw
     canvas.discardActiveObject();
     onCanvasSelectionCleared();
@@ -949,6 +2239,8 @@ const EDGE_HIT_BUFFER_PX = 6;
   
   function cancelDrawSpaceMode() {
     isDrawingSpace = false;
+    removeRectPreview();
+    hideSnapIndicator();
     tempDrawPoints = [];
     tempDrawCircles.forEach(c => canvas.remove(c));
     tempDrawLines.forEach(l => canvas.remove(l));
@@ -959,6 +2251,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (dom.btnDrawSpace) dom.btnDrawSpace.classList.remove('active');
     const btnDrawSpaceFromSpaces = document.getElementById("btnDrawSpaceFromSpaces");
     if (btnDrawSpaceFromSpaces) btnDrawSpaceFromSpaces.classList.remove('active');
+    if (dom.btnDrawRectangle) dom.btnDrawRectangle.classList.remove('active');
     setStatus("Draw space cancelled.");
     canvas.requestRenderAll();
   }
@@ -997,11 +2290,516 @@ const EDGE_HIT_BUFFER_PX = 6;
     // Do not clear existing scale data; only replace on completion
   }
 
+  // --------------------------
+  // Measure tool and dimensions
+  // --------------------------
+  function measuredLengthFeet(floor, points) {
+    const factors = getScaleFactorsForFloor(floor);
+    let total = 0;
+    for (let i = 1; i < points.length; i++) total += scaledDistance(points[i - 1], points[i], factors);
+    return total;
+  }
+
+  function formatMeasuredLength(floor, points) {
+    if (!getScaleFactorForFloor(floor)) {
+      let px = 0;
+      for (let i = 1; i < points.length; i++) px += distance(points[i - 1], points[i]);
+      return `${Math.round(px)} px (no scale)`;
+    }
+    return `${feetToDisplayLength(measuredLengthFeet(floor, points)).toFixed(2)} ${unitAbbrev()}`;
+  }
+
+  // Lines, end ticks and a label for a measured path, sized for the current zoom
+  function buildMeasureObjects(points, label, fpType) {
+    const objs = [];
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      objs.push(new fabric.Line([a.x, a.y, b.x, b.y], {
+        stroke: COLOR_MEASURE,
+        strokeWidth: MEASURE_LINE_WIDTH_PX / currentZoom,
+        selectable: false,
+        evented: false,
+        objectCaching: false,
+      }));
+    }
+    points.forEach(p => {
+      objs.push(new fabric.Circle({
+        radius: SCALE_VERTEX_RADIUS_PX / currentZoom,
+        fill: COLOR_MEASURE,
+        left: p.x,
+        top: p.y,
+        originX: "center",
+        originY: "center",
+        selectable: false,
+        evented: false,
+      }));
+    });
+    if (label && points.length >= 2) {
+      const a = points[points.length - 2];
+      const b = points[points.length - 1];
+      objs.push(new fabric.Text(label, {
+        left: (a.x + b.x) / 2,
+        top: (a.y + b.y) / 2 - 10 / currentZoom,
+        originX: "center",
+        originY: "bottom",
+        fontSize: MEASURE_FONT_SIZE_PX / currentZoom,
+        fontFamily: "sans-serif",
+        fill: "#0f172a",
+        backgroundColor: "rgba(255,255,255,0.85)",
+        selectable: false,
+        evented: false,
+      }));
+    }
+    objs.forEach(o => o.set("fpType", fpType));
+    return objs;
+  }
+
+  function clearMeasureVisuals() {
+    measureObjects.forEach(o => canvas.remove(o));
+    measureObjects = [];
+  }
+
+  function renderMeasureInProgress(pointer = null) {
+    const floor = activeFloor();
+    clearMeasureVisuals();
+    if (!floor) return;
+    const pts = pointer ? [...measurePoints, pointer] : measurePoints;
+    if (pts.length === 0) return;
+    let label = formatMeasuredLength(floor, pts);
+    if (pts.length > 2) label = `${formatMeasuredLength(floor, pts.slice(-2))} (total ${label})`;
+    measureObjects = buildMeasureObjects(pts, label, "measure");
+    measureObjects.forEach(o => {
+      canvas.add(o);
+      o.bringToFront();
+    });
+    canvas.requestRenderAll();
+  }
+
+  function enterMeasureMode(mode) {
+    if (measureMode === mode) {
+      cancelAllModes();
+      canvas.renderAll();
+      setStatus("Measure tool off.");
+      return;
+    }
+    if (!activeFloor()) {
+      alert("Add a floor first.");
+      return;
+    }
+    cancelAllModes();
+    canvas.discardActiveObject();
+    onCanvasSelectionCleared();
+    measureMode = mode;
+    measurePoints = [];
+    canvas.defaultCursor = "crosshair";
+    const btn = mode === "segment" ? dom.btnMeasure : dom.btnMeasurePolyline;
+    if (btn) btn.classList.add('active');
+    setStatus(mode === "segment"
+      ? "Measure: click two points."
+      : "Measure polyline: click points, double-click or press Enter to finish.");
+  }
+
+  function addMeasurePoint(pointer) {
+    // A finished measurement stays visible until the next one starts
+    if (measurePoints.length === 0) clearMeasureVisuals();
+    const last = measurePoints[measurePoints.length - 1];
+    // The second click of a double-click lands on the same spot
+    if (last && distance(last, pointer) < 2 / currentZoom) return;
+    measurePoints.push({ x: pointer.x, y: pointer.y });
+    if (measureMode === "segment" && measurePoints.length === 2) {
+      finishMeasurement();
+      return;
+    }
+    renderMeasureInProgress();
+  }
+
+  function finishMeasurement() {
+    const floor = activeFloor();
+    if (!floor || measurePoints.length < 2) return;
+    const points = measurePoints;
+    measurePoints = [];
+    const label = formatMeasuredLength(floor, points);
+    if (dom.measureKeep?.checked) {
+      floor.dimensions = floor.dimensions || [];
+      const name = promptText("Name this dimension:", `Dimension ${floor.dimensions.length + 1}`);
+      if (name) {
+        floor.dimensions.push({ id: uid("dim"), name, points, visible: true });
+        clearMeasureVisuals();
+        saveState();
+        drawDimensionsForFloor(floor);
+        renderDimensionList(floor);
+        setStatus(`Dimension "${name}" saved: ${label}.`);
+        return;
+      }
+    }
+    measurePoints = points;
+    renderMeasureInProgress();
+    measurePoints = [];
+    setStatus(`Measured ${label}.`);
+  }
+
+  // Persisted dimensions; labels use the current scale so they follow recalibration
+  function drawDimensionsForFloor(floor) {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "dimension").forEach(o => canvas.remove(o));
+    if (!floor || !Array.isArray(floor.dimensions)) return;
+    floor.dimensions.forEach(dim => {
+      if (dim.visible === false || !Array.isArray(dim.points) || dim.points.length < 2) return;
+      const label = `${dim.name}: ${formatMeasuredLength(floor, dim.points)}`;
+      buildMeasureObjects(dim.points, label, "dimension").forEach(o => {
+        canvas.add(o);
+        o.bringToFront();
+      });
+    });
+    canvas.requestRenderAll();
+  }
+
+  function renderDimensionList(floor) {
+    if (!dom.dimensionList) return;
+    dom.dimensionList.innerHTML = "";
+    const dims = floor?.dimensions || [];
+    dims.forEach(dim => {
+      const row = document.createElement("div");
+      row.className = "dimension-row";
+      const toggle = document.createElement("input");
+      toggle.type = "checkbox";
+      toggle.checked = dim.visible !== false;
+      toggle.setAttribute("aria-label", `Show dimension ${dim.name}`);
+      toggle.addEventListener("change", () => {
+        dim.visible = toggle.checked;
+        saveState();
+        drawDimensionsForFloor(floor);
+      });
+      const text = document.createElement("span");
+      text.textContent = `${dim.name}: ${formatMeasuredLength(floor, dim.points)}`;
+      const btnDelete = document.createElement("button");
+      btnDelete.className = "danger";
+      btnDelete.textContent = "Delete";
+      btnDelete.setAttribute("aria-label", `Delete dimension ${dim.name}`);
+      btnDelete.addEventListener("click", () => {
+        floor.dimensions = floor.dimensions.filter(d => d.id !== dim.id);
+        saveState();
+        drawDimensionsForFloor(floor);
+        renderDimensionList(floor);
+      });
+      row.appendChild(toggle);
+      row.appendChild(text);
+      row.appendChild(btnDelete);
+      dom.dimensionList.appendChild(row);
+    });
+  }
+
+  // --------------------------
+  // Two-axis scale
+  // --------------------------
+  function enterScaleAxisMode(axis) {
+    const wasActive = scaleAxisDrawing === axis;
+    cancelAllModes();
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+    if (wasActive) {
+      canvas.renderAll();
+      setStatus("Reference line cancelled.");
+      return;
+    }
+    if (!activeFloor()) {
+      alert("Add a floor first.");
+      return;
+    }
+    scaleAxisDrawing = axis;
+    tempAxisPoints = [];
+    canvas.defaultCursor = "crosshair";
+    const btn = axis === "horizontal" ? dom.btnScaleAxisH : dom.btnScaleAxisV;
+    if (btn) btn.classList.add('active');
+    setStatus(`Two-axis scale: click two points along a mostly ${axis} dimension of known length.`);
+  }
+
+  function setScaleAxisLine(floor, axis, p1, p2) {
+    const dx = Math.abs(p2.x - p1.x);
+    const dy = Math.abs(p2.y - p1.y);
+    if (dx === 0 && dy === 0) return;
+    const isHorizontal = dx >= dy;
+    if ((axis === "horizontal") !== isHorizontal) {
+      alert(`The ${axis} reference line must run mostly ${axis}.`);
+      return;
+    }
+    const existing = floor.scale?.axes?.[axis];
+    const defaultLen = existing?.realLenFeet ? String(toFixedSmart(feetToDisplayLength(existing.realLenFeet), 4)) : "";
+    const entered = promptText(`Enter the real length of the ${axis} reference line (${unitAbbrev()}):`, defaultLen);
+    if (entered === null) return;
+    const num = parseFloat(entered);
+    if (!(num > 0)) {
+      alert("Real length must be a positive number.");
+      return;
+    }
+    floor.scale = floor.scale || { realLenFeet: 0, pixelLen: 0, unit: dom.scaleUnit.value, line: null };
+    floor.scale.axes = floor.scale.axes || {};
+    floor.scale.axes[axis] = {
+      line: { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y },
+      realLenFeet: displayLengthToFeet(num),
+    };
+    floor.scale.twoAxis = true;
+    saveState();
+    recalcAllSpacesForFloor(floor);
+    setScaleInputsFromFloor(floor);
+    removeScaleVisuals();
+    drawScaleLineForFloor(floor);
+    updateScaleToggleLabel();
+    const other = axis === "horizontal" ? "vertical" : "horizontal";
+    if (!floor.scale.axes[other]?.line) {
+      setStatus(`${axis === "horizontal" ? "Horizontal" : "Vertical"} reference set. Now draw the ${other} reference line.`);
+    } else if (!solveTwoAxisScale(floor.scale.axes)) {
+      setStatus("The two reference lines do not give a valid two-axis scale. Redraw one of them.");
+    } else {
+      setStatus("Two-axis scale set.");
+    }
+  }
+
+  // --------------------------
+  // Scale verification
+  // --------------------------
+  function getScaleVerification(floor) {
+    if (!floor.scaleVerification) {
+      floor.scaleVerification = { tolerancePct: SCALE_CHECK_DEFAULT_TOLERANCE_PCT, checks: [], averagedAt: null };
+    }
+    return floor.scaleVerification;
+  }
+
+  function enterVerifyScaleMode() {
+    if (isVerifyingScale) {
+      cancelAllModes();
+      canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+      canvas.renderAll();
+      setStatus("Scale verification cancelled.");
+      return;
+    }
+    const floor = activeFloor();
+    if (!floor) {
+      alert("Add a floor first.");
+      return;
+    }
+    if (!getScaleFactorForFloor(floor)) {
+      alert("Set a scale before verifying it.");
+      return;
+    }
+    cancelAllModes();
+    isVerifyingScale = true;
+    tempCheckPoints = [];
+    canvas.defaultCursor = "crosshair";
+    if (dom.btnScaleVerify) dom.btnScaleVerify.classList.add('active');
+    setStatus("Verify scale: click two points along a dimension of known length.");
+  }
+
+  // Recompute each check's measured length and deviation against the current scale factor
+  function refreshScaleChecks(floor) {
+    const checks = floor?.scaleVerification?.checks;
+    if (!Array.isArray(checks)) return;
+    const factors = getScaleFactorsForFloor(floor);
+    const factor = getScaleFactorForFloor(floor);
+    checks.forEach(check => {
+      check.measuredLenFeet = scaledDistance({ x: check.line.x1, y: check.line.y1 }, { x: check.line.x2, y: check.line.y2 }, factors);
+      check.deviationPct = (factor && check.knownLenFeet > 0)
+        ? (check.measuredLenFeet - check.knownLenFeet) / check.knownLenFeet * 100
+        : null;
+    });
+  }
+
+  function isScaleCheckOutOfTolerance(floor, check) {
+    const tol = clampNum(floor.scaleVerification?.tolerancePct ?? SCALE_CHECK_DEFAULT_TOLERANCE_PCT);
+    return check.deviationPct != null && Math.abs(check.deviationPct) > tol;
+  }
+
+  function addScaleCheck(floor, p1, p2) {
+    const pixelLen = distance(p1, p2);
+    if (pixelLen <= 0) return;
+    const entered = promptText(`Enter the known length of this check line (${unitAbbrev()}):`, "");
+    if (entered === null) {
+      setStatus("Check line discarded.");
+      return;
+    }
+    const knownLenFeet = parseLengthInput(entered);
+    if (!(knownLenFeet > 0)) {
+      alert(`Could not read "${entered}" as a length. Try 12'6", 12.5ft or 3.8m.`);
+      return;
+    }
+    const verification = getScaleVerification(floor);
+    const check = {
+      id: uid("scalecheck"),
+      line: { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y },
+      pixelLen,
+      knownLenFeet,
+      measuredLenFeet: 0,
+      deviationPct: null,
+      checkedAt: new Date().toISOString(),
+    };
+    verification.checks.push(check);
+    refreshScaleChecks(floor);
+    saveState();
+    removeScaleVisuals();
+    drawScaleLineForFloor(floor);
+    renderScaleCheckList(floor);
+    const dev = check.deviationPct;
+    setStatus(`Check line: ${dev >= 0 ? "+" : ""}${dev.toFixed(2)}% from the current scale.`);
+    if (isScaleCheckOutOfTolerance(floor, check)) {
+      const ok = confirmAction(`This check line deviates ${dev.toFixed(2)}% from the current scale, above the ${verification.tolerancePct}% tolerance.\n\nAverage the scale with all check lines?`);
+      if (ok) averageScaleCalibrations(floor);
+    }
+  }
+
+  // Combine the reference scale and every check line into one length-weighted scale factor.
+  // Always averages from the reference as it was before any averaging, so repeating it is stable;
+  // a scale set since the last average (new length or line) becomes the new reference.
+  function averageScaleCalibrations(floor) {
+    const checks = floor?.scaleVerification?.checks || [];
+    const pixelLen = clampNum(floor?.scale?.pixelLen);
+    if (!getScaleFactorForFloor(floor) || checks.length === 0) {
+      alert("Draw at least one check line on a scaled floor first.");
+      return;
+    }
+    if (floor.scale.twoAxis) {
+      alert("Averaging applies to a single scale. Turn off two-axis scale first.");
+      return;
+    }
+    const verification = floor.scaleVerification;
+    const stillAveraged = verification.averagedRealLenFeet === floor.scale.realLenFeet
+      && verification.originalPixelLen === pixelLen
+      && Number.isFinite(verification.originalRealLenFeet);
+    if (!stillAveraged) {
+      verification.originalRealLenFeet = clampNum(floor.scale.realLenFeet);
+      verification.originalPixelLen = pixelLen;
+    }
+    let totalFeet = verification.originalRealLenFeet;
+    let totalPx = pixelLen;
+    checks.forEach(check => {
+      totalFeet += check.knownLenFeet;
+      totalPx += check.pixelLen;
+    });
+    const factor = totalFeet / totalPx;
+    floor.scale.realLenFeet = factor * pixelLen;
+    // The averaged factor no longer matches the sheet scale exactly
+    delete floor.scale.preset;
+    verification.averagedRealLenFeet = floor.scale.realLenFeet;
+    verification.averagedAt = new Date().toISOString();
+    recalcAllSpacesForFloor(floor);
+    setScaleInputsFromFloor(floor);
+    updateScaleToggleLabel();
+    setStatus(`Scale averaged over ${checks.length + 1} calibrations.`);
+  }
+
+  function deleteScaleCheck(floor, checkId) {
+    const verification = floor?.scaleVerification;
+    if (!verification) return;
+    verification.checks = verification.checks.filter(c => c.id !== checkId);
+    saveState();
+    removeScaleVisuals();
+    drawScaleLineForFloor(floor);
+    renderScaleCheckList(floor);
+    canvas.renderAll();
+  }
+
+  function renderScaleCheckList(floor) {
+    if (!dom.scaleCheckList) return;
+    dom.scaleCheckList.innerHTML = "";
+    const verification = floor?.scaleVerification;
+    if (dom.scaleTolerance) {
+      dom.scaleTolerance.value = floor ? (verification?.tolerancePct ?? SCALE_CHECK_DEFAULT_TOLERANCE_PCT) : "";
+      dom.scaleTolerance.disabled = !floor;
+    }
+    const checks = verification?.checks || [];
+    if (dom.btnScaleAverage) dom.btnScaleAverage.disabled = checks.length === 0;
+    if (checks.length === 0) return;
+    const unit = unitAbbrev();
+    const table = document.createElement("table");
+    table.className = "scale-check-table";
+    const head = document.createElement("tr");
+    ["Known", "Measured", "Deviation", ""].forEach(label => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    checks.forEach(check => {
+      const tr = document.createElement("tr");
+      if (isScaleCheckOutOfTolerance(floor, check)) tr.className = "out-of-tolerance";
+      const dev = check.deviationPct;
+      const cells = [
+        `${feetToDisplayLength(check.knownLenFeet).toFixed(2)} ${unit}`,
+        `${feetToDisplayLength(check.measuredLenFeet).toFixed(2)} ${unit}`,
+        dev == null ? "—" : `${dev >= 0 ? "+" : ""}${dev.toFixed(2)}%`,
+      ];
+      cells.forEach(text => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const tdActions = document.createElement("td");
+      const btnDelete = document.createElement("button");
+      btnDelete.className = "danger";
+      btnDelete.textContent = "Delete";
+      btnDelete.setAttribute("aria-label", "Delete check line");
+      btnDelete.addEventListener("click", () => deleteScaleCheck(floor, check.id));
+      tdActions.appendChild(btnDelete);
+      tr.appendChild(tdActions);
+      table.appendChild(tr);
+    });
+    dom.scaleCheckList.appendChild(table);
+    if (verification.averagedAt) {
+      const note = document.createElement("div");
+      note.className = "hint";
+      note.textContent = `Scale averaged with check lines on ${new Date(verification.averagedAt).toLocaleString()}.`;
+      dom.scaleCheckList.appendChild(note);
+    }
+  }
+
   function cancelAllModes() {
     isDrawingSpace = false;
+    removeRectPreview();
+    hideSnapIndicator();
+    if (dom.dimensionEntry && dom.dimensionEntry.style.display !== 'none') closeDimensionEntry();
+    if (dom.btnDrawRectangle) dom.btnDrawRectangle.classList.remove('active');
+    isPickingOrthoAngle = false;
+    tempOrthoPoints = [];
+    if (dom.btnPickOrthoAngle) dom.btnPickOrthoAngle.classList.remove('active');
     isDrawingScale = false;
+    isVerifyingScale = false;
+    tempCheckPoints = [];
+    if (dom.btnScaleVerify) dom.btnScaleVerify.classList.remove('active');
+    scaleAxisDrawing = null;
+    tempAxisPoints = [];
+    if (measureMode) {
+      measureMode = null;
+      measurePoints = [];
+      clearMeasureVisuals();
+    }
+    if (dom.btnMeasure) dom.btnMeasure.classList.remove('active');
+    if (dom.btnMeasurePolyline) dom.btnMeasurePolyline.classList.remove('active');
+    if (dom.btnScaleAxisH) dom.btnScaleAxisH.classList.remove('active');
+    if (dom.btnScaleAxisV) dom.btnScaleAxisV.classList.remove('active');
     isInsertingVertex = false;
     isDrawingCeiling = false;
+    isDrawingVoid = false;
+    if (dom.btnDrawVoid) dom.btnDrawVoid.classList.remove('active');
+    isSplittingSpace = false;
+    splitSpaceId = null;
+    splitPoints = [];
+    clearSplitVisuals();
+    if (dom.btnSplitSpace) dom.btnSplitSpace.classList.remove('active');
+    isPickingMergeSpace = false;
+    mergeSourceSpaceId = null;
+    if (dom.btnMergeSpace) dom.btnMergeSpace.classList.remove('active');
+    if (isRotatingSpaces || isBoxSelectingEdges) {
+      canvas.selection = true;
+      canvas.skipTargetFind = false;
+    }
+    isBoxSelectingEdges = false;
+    boxSelectStart = null;
+    clearBoxSelectVisuals();
+    if (dom.btnBoxSelectEdges) dom.btnBoxSelectEdges.classList.remove('active');
+    isRotatingSpaces = false;
+    rotateSpaceIds = [];
+    rotatePivot = null;
+    rotateStartAngle = null;
+    clearRotateVisuals();
+    if (dom.btnRotateDrag) dom.btnRotateDrag.classList.remove('active');
     // Reset cursor when leaving draw modes
     canvas.defaultCursor = "default";
     // Unhighlight draw space buttons
@@ -1027,37 +2825,423 @@ const EDGE_HIT_BUFFER_PX = 6;
     });
   }
 
-  function endDrawSpace() {
-    if (!isDrawingSpace) return;
-    if (tempDrawPoints.length < 3) {
-      setStatus("Need at least 3 points for a polygon.");
-      return;
+  // --------------------------
+  // Snapping
+  // --------------------------
+  function loadSnapSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SNAP_SETTINGS_KEY) || "null");
+      if (saved && typeof saved === "object") snapSettings = { ...snapSettings, ...saved };
+    } catch (e) {
+      console.warn("Failed to read snap settings", e);
     }
-    const floor = activeFloor();
-    if (!floor) return;
+    if (!(snapSettings.radiusPx > 0)) snapSettings.radiusPx = SNAP_RADIUS_PX;
+  }
 
-    // Build space
-    const space = {
-      id: uid("space"),
-      name: "Room",
-      ceilingHeight: null,
-      vertices: tempDrawPoints.map(p => ({ x: p.x, y: p.y })),
-      edges: [], // will be ensured
-      area: 0,
-      exteriorPerimeter: 0,
-      // Ceiling properties
-      ceilingSameAsFloor: true, // default checked
-      ceilingVertices: null, // array of {x,y} points or null
-      ceilingArea: 0, // computed from polygon
-      ceilingManualOverride: false,
-      ceilingManualArea: null,
-      ceilingVisible: true,
-    };
-    ensureEdgeArrayForSpace(space);
-    floor.spaces.push(space);
-    saveState();
+  function saveSnapSettings() {
+    try {
+      localStorage.setItem(SNAP_SETTINGS_KEY, JSON.stringify(snapSettings));
+    } catch (e) {
+      console.warn("Failed to save snap settings", e);
+    }
+  }
 
-    // Cleanup temp visuals
+  function nearestPointOnSegment(point, a, b) {
+    const abx = b.x - a.x, aby = b.y - a.y;
+    const ab2 = abx * abx + aby * aby;
+    if (ab2 === 0) return { x: a.x, y: a.y };
+    const t = Math.max(0, Math.min(1, ((point.x - a.x) * abx + (point.y - a.y) * aby) / ab2));
+    return { x: a.x + abx * t, y: a.y + aby * t };
+  }
+
+  // Closest snap target within the zoom-adjusted tolerance; vertices beat midpoints beat edges.
+  // Holding Alt bypasses snapping. excludeSpaceId skips the space being edited.
+  function findSnapPoint(pointer, { excludeSpaceId = null, e = null } = {}) {
+    if (!snapSettings.enabled || e?.altKey) return null;
+    const floor = activeFloor();
+    if (!floor) return null;
+    const radius = getZoomAdjustedSnapRadius();
+    const best = { vertex: null, midpoint: null, edge: null };
+    const consider = (kind, p) => {
+      const d = distance(pointer, p);
+      if (d > radius) return;
+      if (!best[kind] || d < best[kind].d) best[kind] = { x: p.x, y: p.y, kind, d };
+    };
+    floor.spaces.forEach(space => {
+      if (space.id === excludeSpaceId) return;
+      getSpaceEdgeSegments(space).forEach(({ a, b }) => {
+        if (snapSettings.vertices) consider("vertex", a);
+        if (snapSettings.midpoints) consider("midpoint", { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        if (snapSettings.edges) consider("edge", nearestPointOnSegment(pointer, a, b));
+      });
+    });
+    return best.vertex || best.midpoint || best.edge;
+  }
+
+  function hideSnapIndicator() {
+    if (snapIndicator) canvas.remove(snapIndicator);
+    snapIndicator = null;
+  }
+
+  // Square on vertices, diamond on midpoints, circle on edges
+  function showSnapIndicator(snap) {
+    hideSnapIndicator();
+    if (!snap) return;
+    const size = 10 / currentZoom;
+    const common = {
+      left: snap.x,
+      top: snap.y,
+      originX: "center",
+      originY: "center",
+      fill: "transparent",
+      stroke: COLOR_SNAP,
+      strokeWidth: 2 / currentZoom,
+      selectable: false,
+      evented: false,
+      objectCaching: false,
+    };
+    if (snap.kind === "edge") {
+      snapIndicator = new fabric.Circle({ ...common, radius: size / 2 });
+    } else {
+      snapIndicator = new fabric.Rect({ ...common, width: size, height: size, angle: snap.kind === "midpoint" ? 45 : 0 });
+    }
+    snapIndicator.set("fpType", "snapIndicator");
+    canvas.add(snapIndicator);
+    snapIndicator.bringToFront();
+  }
+
+  function syncSnapInputs() {
+    if (dom.snapEnabled) dom.snapEnabled.checked = !!snapSettings.enabled;
+    if (dom.snapVertices) dom.snapVertices.checked = !!snapSettings.vertices;
+    if (dom.snapMidpoints) dom.snapMidpoints.checked = !!snapSettings.midpoints;
+    if (dom.snapEdges) dom.snapEdges.checked = !!snapSettings.edges;
+    if (dom.snapRadius) dom.snapRadius.value = snapSettings.radiusPx;
+  }
+
+  // --------------------------
+  // Rectangle and ortho drawing
+  // --------------------------
+  // Unit vectors along the floor's reference angle and perpendicular to it
+  function getOrthoAxes(floor) {
+    const rad = clampNum(floor?.referenceAngleDeg) * Math.PI / 180;
+    return { u: { x: Math.cos(rad), y: Math.sin(rad) }, v: { x: -Math.sin(rad), y: Math.cos(rad) } };
+  }
+
+  // Keep only the larger of the two components of prev→pointer along the reference axes
+  function constrainOrtho(prev, pointer, floor) {
+    const { u, v } = getOrthoAxes(floor);
+    const dx = pointer.x - prev.x;
+    const dy = pointer.y - prev.y;
+    const du = dx * u.x + dy * u.y;
+    const dv = dx * v.x + dy * v.y;
+    if (Math.abs(du) >= Math.abs(dv)) return { x: prev.x + du * u.x, y: prev.y + du * u.y };
+    return { x: prev.x + dv * v.x, y: prev.y + dv * v.y };
+  }
+
+  // Rectangle aligned to the reference axes with p1 and p2 as opposite corners; null if degenerate
+  function rectangleCorners(p1, p2, floor) {
+    const { u, v } = getOrthoAxes(floor);
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const du = dx * u.x + dy * u.y;
+    const dv = dx * v.x + dy * v.y;
+    const minSide = 2 / currentZoom;
+    if (Math.abs(du) < minSide || Math.abs(dv) < minSide) return null;
+    return [
+      { x: p1.x, y: p1.y },
+      { x: p1.x + du * u.x, y: p1.y + du * u.y },
+      { x: p1.x + du * u.x + dv * v.x, y: p1.y + du * u.y + dv * v.y },
+      { x: p1.x + dv * v.x, y: p1.y + dv * v.y },
+    ];
+  }
+
+  function removeRectPreview() {
+    if (tempRectPreview) canvas.remove(tempRectPreview);
+    tempRectPreview = null;
+  }
+
+  function updateRectPreview(pointer) {
+    removeRectPreview();
+    const floor = activeFloor();
+    const corners = rectangleCorners(tempDrawPoints[0], pointer, floor);
+    if (!corners) {
+      canvas.requestRenderAll();
+      return;
+    }
+    const minX = Math.min(...corners.map(p => p.x));
+    const minY = Math.min(...corners.map(p => p.y));
+    tempRectPreview = new fabric.Polygon(corners.map(p => ({ x: p.x - minX, y: p.y - minY })), {
+      left: minX,
+      top: minY,
+      fill: COLOR_SPACE,
+      stroke: "#60a5fa",
+      strokeWidth: getZoomAdjustedTempEdgeThickness(),
+      selectable: false,
+      evented: false,
+      objectCaching: false,
+    });
+    canvas.add(tempRectPreview);
+    canvas.requestRenderAll();
+  }
+
+  function finishRectangleSpace(p1, p2) {
+    const corners = rectangleCorners(p1, p2, activeFloor());
+    if (!corners) {
+      setStatus("Rectangle is too small. Click the opposite corner.");
+      return;
+    }
+    removeRectPreview();
+    tempDrawPoints = corners;
+    endDrawSpace();
+  }
+
+  // Reference angles repeat every 90°; keep them in (-45, 45]
+  function normalizeReferenceAngle(deg) {
+    let a = ((deg % 90) + 90) % 90;
+    if (a > 45) a -= 90;
+    return Math.round(a * 100) / 100;
+  }
+
+  function updateOrthoAngleInput(floor) {
+    if (!dom.orthoAngle) return;
+    dom.orthoAngle.value = floor ? clampNum(floor.referenceAngleDeg) : "";
+    dom.orthoAngle.disabled = !floor;
+  }
+
+  function setFloorReferenceAngle(floor, deg) {
+    floor.referenceAngleDeg = normalizeReferenceAngle(deg);
+    updateOrthoAngleInput(floor);
+    saveState();
+    setStatus(`Reference angle set to ${floor.referenceAngleDeg}°.`);
+  }
+
+  function enterPickOrthoAngleMode() {
+    if (isPickingOrthoAngle) {
+      cancelAllModes();
+      canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+      canvas.renderAll();
+      setStatus("Reference angle pick cancelled.");
+      return;
+    }
+    if (!activeFloor()) {
+      alert("Add a floor first.");
+      return;
+    }
+    cancelAllModes();
+    isPickingOrthoAngle = true;
+    tempOrthoPoints = [];
+    canvas.defaultCursor = "crosshair";
+    if (dom.btnPickOrthoAngle) dom.btnPickOrthoAngle.classList.add('active');
+    setStatus("Reference angle: click two points along a wall.");
+  }
+
+  // Temp vertex dot plus a segment from the previous point
+  function addTempPoint(pt, points, circles, lines, vertexColor, segmentColor) {
+    const circ = new fabric.Circle({
+      radius: 3 / currentZoom,
+      fill: vertexColor,
+      left: pt.x, // center at point
+      top: pt.y,  // center at point
+      originX: "center",
+      originY: "center",
+      selectable: false,
+      evented: false,
+    });
+    canvas.add(circ);
+    circles.push(circ);
+
+    if (points.length > 0) {
+      const prev = points[points.length - 1];
+      const dx = pt.x - prev.x;
+      const dy = pt.y - prev.y;
+      const seg = new fabric.Rect({
+        left: (prev.x + pt.x) / 2,
+        top: (prev.y + pt.y) / 2,
+        originX: "center",
+        originY: "center",
+        width: Math.sqrt(dx * dx + dy * dy),
+        height: getZoomAdjustedTempEdgeThickness(),
+        angle: Math.atan2(dy, dx) * 180 / Math.PI,
+        fill: segmentColor,
+        stroke: null,
+        selectable: false,
+        evented: false,
+        objectCaching: false,
+      });
+      canvas.add(seg);
+      lines.push(seg);
+    }
+    points.push({ x: pt.x, y: pt.y });
+    canvas.renderAll();
+  }
+
+  function addTempDrawPoint(pt) {
+    addTempPoint(pt, tempDrawPoints, tempDrawCircles, tempDrawLines, "#93c5fd", "#60a5fa");
+  }
+
+  function addTempCeilingPoint(pt) {
+    addTempPoint(pt, tempCeilingPoints, tempCeilingCircles, tempCeilingLines, COLOR_CEILING_STROKE, COLOR_CEILING_STROKE);
+  }
+
+  // --------------------------
+  // Typed dimension entry while drawing
+  // --------------------------
+  const NUM = "(\\d+(?:\\.\\d+)?|\\.\\d+)";
+  const LENGTH_UNIT_RE = new RegExp(`^${NUM}\\s*(m|cm|mm|ft|feet|in)?$`);
+  const FEET_INCHES_RE = new RegExp(`^(?:${NUM}\\s*')?\\s*-?\\s*(?:${NUM}(?:[ -](\\d+)/(\\d+))?\\s*"?)?$`);
+
+  // Parse a typed length into feet: 12'6", 12'-6 1/2", 6", 12.5ft, 3.8m, 380cm, 3800mm,
+  // or a bare number in the display unit (via displayLengthToFeet). Null if unparseable.
+  function parseLengthInput(text) {
+    const t = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+    if (!t) return null;
+    let m = t.match(LENGTH_UNIT_RE);
+    if (m) {
+      const val = parseFloat(m[1]);
+      switch (m[2]) {
+        case "m": return val / METERS_PER_FOOT;
+        case "cm": return val / 100 / METERS_PER_FOOT;
+        case "mm": return val / 1000 / METERS_PER_FOOT;
+        case "ft":
+        case "feet": return val;
+        case "in": return val / 12;
+        default: return displayLengthToFeet(val);
+      }
+    }
+    if (!t.includes("'") && !t.includes('"')) return null;
+    // A bare fraction of an inch (1/2", 12' 1/2") reads as 0 and a fraction
+    m = t.replace(/(^|'\s*-?\s*)(\d+\/\d+)/, "$10 $2").match(FEET_INCHES_RE);
+    if (!m) return null;
+    const feet = m[1] ? parseFloat(m[1]) : 0;
+    let inches = m[2] ? parseFloat(m[2]) : 0;
+    if (m[3] && m[4]) {
+      const den = parseInt(m[4], 10);
+      if (!den) return null;
+      inches += parseInt(m[3], 10) / den;
+    }
+    const total = feet + inches / 12;
+    return total > 0 ? total : null;
+  }
+
+  // "<length>" or "<length> @ <angle>" / "<length> < <angle>"; the angle is in degrees,
+  // counterclockwise on screen from the floor's reference angle
+  function parseDimensionEntry(text) {
+    const [lenPart, anglePart] = String(text || "").split(/[<@]/);
+    const feet = parseLengthInput(lenPart);
+    if (!(feet > 0)) return null;
+    let angleDeg = null;
+    if (anglePart !== undefined) {
+      angleDeg = parseFloat(anglePart);
+      if (!isFinite(angleDeg)) return null;
+    }
+    return { feet, angleDeg };
+  }
+
+  function isDimensionEntryAvailable() {
+    if (isDrawingSpace && drawSpaceShape === "polygon") return tempDrawPoints.length > 0;
+    if (isDrawingCeiling) return tempCeilingPoints.length > 0;
+    if (isDrawingVoid) return tempVoidPoints.length > 0;
+    return false;
+  }
+
+  function openDimensionEntry(initialText = "") {
+    if (!dom.dimensionEntry) return;
+    const pos = lastPointerClient || { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+    dom.dimensionEntry.style.left = `${pos.x + 16}px`;
+    dom.dimensionEntry.style.top = `${pos.y + 16}px`;
+    dom.dimensionEntry.value = initialText;
+    dom.dimensionEntry.classList.remove('input-error');
+    dom.dimensionEntry.style.display = '';
+    dom.dimensionEntry.focus();
+    setStatus(`Type a length (12'6", 12.5ft, 3.8m) and optionally @angle, then Enter. Esc cancels.`);
+  }
+
+  function closeDimensionEntry() {
+    if (!dom.dimensionEntry) return;
+    dom.dimensionEntry.style.display = 'none';
+    dom.dimensionEntry.value = "";
+    if (dom.canvasEl) dom.canvasEl.focus();
+  }
+
+  // Place the next vertex at the typed length along the cursor direction (or typed angle)
+  function applyDimensionEntry() {
+    const floor = activeFloor();
+    const points = isDrawingCeiling ? tempCeilingPoints : (isDrawingVoid ? tempVoidPoints : tempDrawPoints);
+    if (!floor || !isDimensionEntryAvailable()) {
+      closeDimensionEntry();
+      return;
+    }
+    const entry = parseDimensionEntry(dom.dimensionEntry.value);
+    if (!entry) {
+      dom.dimensionEntry.classList.add('input-error');
+      setStatus(`Could not read "${dom.dimensionEntry.value}". Try 12'6", 12.5ft or 3.8m @ 90.`);
+      return;
+    }
+    const factors = getScaleFactorsForFloor(floor);
+    if (!(factors.x > 0) || !(factors.y > 0)) {
+      closeDimensionEntry();
+      alert("Set a scale before typing dimensions.");
+      return;
+    }
+    const prev = points[points.length - 1];
+    let dir;
+    if (entry.angleDeg != null) {
+      const rad = clampNum(floor.referenceAngleDeg) * Math.PI / 180 - entry.angleDeg * Math.PI / 180;
+      dir = { x: Math.cos(rad), y: Math.sin(rad) };
+    } else {
+      let target = lastPointerCanvas || prev;
+      if (isDrawingSpace && orthoLocked) target = constrainOrtho(prev, target, floor);
+      const d = distance(prev, target);
+      if (d === 0) {
+        dom.dimensionEntry.classList.add('input-error');
+        setStatus("Move the cursor toward the next vertex, or add an angle (e.g. 12ft @ 90).");
+        return;
+      }
+      dir = { x: (target.x - prev.x) / d, y: (target.y - prev.y) / d };
+    }
+    const pxLen = pixelsForFeetAlong(floor, dir, entry.feet);
+    const pt = { x: prev.x + dir.x * pxLen, y: prev.y + dir.y * pxLen };
+    closeDimensionEntry();
+    if (isDrawingCeiling) addTempCeilingPoint(pt);
+    else if (isDrawingVoid) addTempVoidPoint(pt);
+    else addTempDrawPoint(pt);
+    setStatus(`Vertex placed at ${toFixedSmart(feetToDisplayLength(entry.feet), 3)} ${unitAbbrev()}.`);
+  }
+
+  function endDrawSpace() {
+    if (!isDrawingSpace) return;
+    if (tempDrawPoints.length < 3) {
+      setStatus("Need at least 3 points for a polygon.");
+      return;
+    }
+    const floor = activeFloor();
+    if (!floor) return;
+
+    // Build space
+    const space = {
+      id: uid("space"),
+      name: "Room",
+      ceilingHeight: null,
+      vertices: tempDrawPoints.map(p => ({ x: p.x, y: p.y })),
+      edges: [], // will be ensured
+      area: 0,
+      exteriorPerimeter: 0,
+      // Ceiling properties
+      ceilingSameAsFloor: true, // default checked
+      ceilingVertices: null, // array of {x,y} points or null
+      ceilingArea: 0, // computed from polygon
+      ceilingManualOverride: false,
+      ceilingManualArea: null,
+      ceilingVisible: true,
+      ceilingSlopes: [], // empty for a flat ceiling; see createCeilingSlope()
+      ceilingLowHeight: undefined, // ceiling height at the low side of the slopes, for volume
+      conditioned: true, // heated/cooled; counts toward conditioned totals
+    };
+    ensureEdgeArrayForSpace(space);
+    floor.spaces.push(space);
+    saveState();
+
+    // Cleanup temp visuals
     tempDrawCircles.forEach(c => canvas.remove(c));
     tempDrawLines.forEach(l => canvas.remove(l));
     tempDrawPoints = [];
@@ -1074,10 +3258,13 @@ const EDGE_HIT_BUFFER_PX = 6;
     updateEdgeOverlaysForSpace(space.id);
     canvas.requestRenderAll();
     isDrawingSpace = false;
-    // Unhighlight both draw space buttons
+    removeRectPreview();
+    hideSnapIndicator();
+    // Unhighlight draw space buttons
     if (dom.btnDrawSpace) dom.btnDrawSpace.classList.remove('active');
     const btnDrawSpaceFromSpaces = document.getElementById("btnDrawSpaceFromSpaces");
     if (btnDrawSpaceFromSpaces) btnDrawSpaceFromSpaces.classList.remove('active');
+    if (dom.btnDrawRectangle) dom.btnDrawRectangle.classList.remove('active');
     renderSpacesList();
     setStatus("Space created. Select edges by clicking near them.");
     saveState();
@@ -1241,13 +3428,13 @@ const EDGE_HIT_BUFFER_PX = 6;
     }
     const floor = activeFloor();
     if (!floor) return;
-    const scale = getScaleFactorForFloor(floor);
-    if (scale <= 0) {
+    const scale = getScaleFactorsForFloor(floor);
+    if (scale.x <= 0 || scale.y <= 0) {
       space.ceilingArea = 0;
       return;
     }
     const pxArea = polygonArea(space.ceilingVertices);
-    space.ceilingArea = pxArea * scale * scale;
+    space.ceilingArea = pxArea * scale.x * scale.y;
   }
   
   function deleteCeilingForSpace(spaceId) {
@@ -1326,67 +3513,632 @@ const EDGE_HIT_BUFFER_PX = 6;
     }
   }
 
-  function onPolygonModified(poly) {
-    // Check if this is a ceiling polygon - if so, use the ceiling-specific handler
-    const fpType = poly.get("fpType");
-    if (fpType === "ceiling") {
-      onCeilingModified(poly);
+  // --------------------------
+  // Ceiling slopes
+  // --------------------------
+  // A vaulted or cathedral ceiling is a list of sloped regions, each covering a share (%) of the
+  // ceiling's plan area. Surface area is plan / cos(pitch) per region; direction is where it rises toward.
+  function createCeilingSlope(share = 100) {
+    return { pitch: "", direction: "N", share };
+  }
+
+  function getCeilingSlopes(space) {
+    return Array.isArray(space?.ceilingSlopes) ? space.ceilingSlopes : [];
+  }
+
+  // "6/12" or "6:12" is rise over run; a plain number, with or without °, is degrees
+  function parsePitchDegrees(text) {
+    const str = String(text ?? "").trim().replace(/°$/, "").trim();
+    const ratio = str.match(/^(\d*\.?\d+)\s*[/:]\s*(\d*\.?\d+)$/);
+    let degrees = NaN;
+    if (ratio) {
+      const run = parseFloat(ratio[2]);
+      if (run > 0) degrees = Math.atan(parseFloat(ratio[1]) / run) * 180 / Math.PI;
+    } else if (/^\d*\.?\d+$/.test(str)) {
+      degrees = parseFloat(str);
+    }
+    return degrees >= 0 && degrees < 90 ? degrees : NaN;
+  }
+
+  // Ceiling area as seen from above, whichever way it is defined
+  function getCeilingPlanArea(space) {
+    if (space.ceilingSameAsFloor) return clampNum(space.area);
+    if (space.ceilingManualOverride) return clampNum(space.ceilingManualArea);
+    return clampNum(space.ceilingArea);
+  }
+
+  // Unparseable pitches count as flat until they are fixed (validation flags them)
+  function getCeilingSurfaceArea(space) {
+    const plan = getCeilingPlanArea(space);
+    const slopes = getCeilingSlopes(space);
+    if (slopes.length === 0) return plan;
+    const sloped = slopes.reduce((sum, slope) => {
+      const degrees = parsePitchDegrees(slope.pitch);
+      const share = clampNum(slope.share) / 100;
+      return sum + plan * share / Math.cos((isFinite(degrees) ? degrees : 0) * Math.PI / 180);
+    }, 0);
+    // Any share left uncovered stays flat
+    const flatShare = Math.max(0, 1 - slopes.reduce((sum, slope) => sum + clampNum(slope.share), 0) / 100);
+    return sloped + plan * flatShare;
+  }
+
+  function ceilingSlopeIssues(space) {
+    const issues = [];
+    const slopes = getCeilingSlopes(space);
+    slopes.forEach((slope, i) => {
+      if (!isFinite(parsePitchDegrees(slope.pitch))) issues.push(`Ceiling slope ${i + 1}: Pitch`);
+      if (!(clampNum(slope.share) > 0)) issues.push(`Ceiling slope ${i + 1}: Share`);
+    });
+    const total = slopes.reduce((sum, slope) => sum + clampNum(slope.share), 0);
+    if (slopes.length > 0 && Math.abs(total - 100) > 0.01) issues.push(`Ceiling slope shares add up to ${toFixedSmart(total, 1)}%, not 100%`);
+    return issues;
+  }
+
+  function describeCeilingSlopes(space) {
+    const slopes = getCeilingSlopes(space);
+    if (slopes.length === 0) return "Flat";
+    return slopes.map(slope => `${slope.pitch || "?"} toward ${slope.direction}${slopes.length > 1 ? ` (${toFixedSmart(clampNum(slope.share), 1)}%)` : ""}`).join(", ");
+  }
+
+  // Rebuilds the rows only when the selection or the number of regions changes, so typing keeps focus
+  function renderCeilingSlopeEditor(force = false) {
+    const list = dom.ceilingSlopeList;
+    if (!list) return;
+    const spaces = getSelectedSpaces();
+    const slopesKey = sp => JSON.stringify(getCeilingSlopes(sp));
+    const mixed = spaces.length > 1 && spaces.some(sp => slopesKey(sp) !== slopesKey(spaces[0]));
+    const key = [mixed, ...spaces.map(sp => `${sp.id}:${getCeilingSlopes(sp).length}`)].join("|");
+    if (!force && list.dataset.key === key) return;
+    list.dataset.key = key;
+    list.innerHTML = "";
+    if (spaces.length === 0) return;
+    const slopes = getCeilingSlopes(spaces[0]);
+    if (mixed || slopes.length === 0) {
+      const hint = document.createElement("div");
+      hint.className = "hint";
+      hint.textContent = mixed
+        ? "The selected spaces have different ceiling slopes. Add Slope adds one to each space."
+        : "Flat ceiling. Add a slope for a vaulted or cathedral ceiling.";
+      list.appendChild(hint);
       return;
     }
-    
-    // Update the space vertices based on polygon absolute points
-    const spaceId = poly.get("spaceId");
+    slopes.forEach((slope, i) => {
+      const row = document.createElement("div");
+      row.className = "form-row ceiling-slope-row";
+      const pitch = document.createElement("input");
+      pitch.type = "text";
+      pitch.value = slope.pitch || "";
+      pitch.placeholder = "6/12 or 26.6°";
+      pitch.setAttribute("aria-label", `Ceiling slope ${i + 1} pitch`);
+      pitch.classList.toggle('input-error', !isFinite(parsePitchDegrees(slope.pitch)));
+      pitch.addEventListener("input", () => {
+        pitch.classList.toggle('input-error', !isFinite(parsePitchDegrees(pitch.value)));
+        setCeilingSlopeField(i, "pitch", pitch.value.trim());
+      });
+      const direction = document.createElement("select");
+      COMPASS_CLOCKWISE.forEach(dir => {
+        const opt = document.createElement("option");
+        opt.value = dir;
+        opt.textContent = dir;
+        direction.appendChild(opt);
+      });
+      direction.value = slope.direction || "N";
+      direction.setAttribute("aria-label", `Direction ceiling slope ${i + 1} rises toward`);
+      direction.addEventListener("change", () => setCeilingSlopeField(i, "direction", direction.value));
+      const share = document.createElement("input");
+      share.type = "number";
+      share.min = "0";
+      share.max = "100";
+      share.step = "1";
+      share.value = slope.share ?? "";
+      share.setAttribute("aria-label", `Ceiling slope ${i + 1} share of the ceiling in percent`);
+      share.addEventListener("input", () => {
+        const v = parseFloat(share.value);
+        setCeilingSlopeField(i, "share", Number.isFinite(v) && v >= 0 ? v : undefined);
+      });
+      const percent = document.createElement("span");
+      percent.className = "hint";
+      percent.textContent = "%";
+      const btnRemove = document.createElement("button");
+      btnRemove.className = "danger";
+      btnRemove.textContent = "Remove";
+      btnRemove.setAttribute("aria-label", `Remove ceiling slope ${i + 1}`);
+      btnRemove.addEventListener("click", () => removeCeilingSlope(i));
+      [pitch, direction, share, percent, btnRemove].forEach(el => row.appendChild(el));
+      list.appendChild(row);
+    });
+  }
+
+  function refreshAfterCeilingSlopeChange() {
+    const space = activeFloor()?.spaces.find(s => s.id === selectedSpaceId);
+    if (space) updateSpacePanel(space);
+    renderSpacesList(); // Update validation display
+    saveState();
+  }
+
+  function setCeilingSlopeField(index, field, value) {
+    getSelectedSpaces().forEach(space => {
+      const slope = getCeilingSlopes(space)[index];
+      if (slope) slope[field] = value;
+    });
+    refreshAfterCeilingSlopeChange();
+  }
+
+  // A new region takes whatever share the existing ones leave, or splits the last one in half
+  function addCeilingSlope() {
+    const spaces = getSelectedSpaces();
+    if (spaces.length === 0) return;
+    spaces.forEach(space => {
+      const slopes = getCeilingSlopes(space);
+      const used = slopes.reduce((sum, slope) => sum + clampNum(slope.share), 0);
+      let share = Math.max(0, 100 - used);
+      if (share === 0 && slopes.length > 0) {
+        const last = slopes[slopes.length - 1];
+        share = clampNum(last.share) / 2;
+        last.share = share;
+      }
+      space.ceilingSlopes = [...slopes, createCeilingSlope(share)];
+    });
+    refreshAfterCeilingSlopeChange();
+  }
+
+  function removeCeilingSlope(index) {
+    getSelectedSpaces().forEach(space => {
+      space.ceilingSlopes = getCeilingSlopes(space).filter((_, j) => j !== index);
+    });
+    refreshAfterCeilingSlopeChange();
+  }
+
+  // --------------------------
+  // Volume and conditioned totals
+  // --------------------------
+  function formatVolume(feet3) {
+    const displayVal = roundToTenth(feet3ToDisplayVolume(feet3));
+    return isFinite(displayVal) && displayVal > 0 ? `${toFixedSmart(displayVal)} ${unitAbbrev()}³` : "-";
+  }
+
+  // Area-weighted centroid of the floor outline less its voids, in the units of the points given
+  function planCentroid(outer, holes) {
+    let area = 0, cx = 0, cy = 0;
+    [outer, ...holes].forEach((pts, ringIdx) => {
+      let a = 0, x = 0, y = 0;
+      for (let i = 0; i < pts.length; i++) {
+        const p = pts[i], q = pts[(i + 1) % pts.length];
+        const cross = p.x * q.y - q.x * p.y;
+        a += cross;
+        x += (p.x + q.x) * cross;
+        y += (p.y + q.y) * cross;
+      }
+      if (a === 0) return;
+      // Outer ring counts positive and holes negative, whichever way each was drawn
+      const sign = (ringIdx === 0 ? 1 : -1) * Math.sign(a);
+      area += sign * a / 2;
+      cx += sign * x / 6;
+      cy += sign * y / 6;
+    });
+    return area > 0 ? { x: cx / area, y: cy / area } : null;
+  }
+
+  // Mean ceiling height over the floor, from the low side height and the ceiling slopes.
+  // One slope is a single plane (a shed ceiling), exact for any outline. Several slopes are taken
+  // as strips across the plan, each rising over its share of the depth: exact for a gable over a
+  // rectangular room. NaN when the slopes are incomplete or there is no low side height.
+  function slopedCeilingAverageHeight(space, floor) {
+    const slopes = getCeilingSlopes(space);
+    if (slopes.length === 0 || !Number.isFinite(space.ceilingLowHeight) || ceilingSlopeIssues(space).length > 0) return NaN;
+    const factors = getScaleFactorsForFloor(floor);
+    if (!(factors.x > 0 && factors.y > 0)) return NaN;
+    const toFeet = p => ({ x: p.x * factors.x, y: p.y * factors.y });
+    const outer = space.vertices.map(toFeet);
+    const centroid = planCentroid(outer, getSpaceVoids(space).map(v => v.vertices.map(toFeet)));
+    if (!centroid) return NaN;
+    // Sheet north in feet; compass directions turn clockwise from it
+    const northRad = clampNum(getFloorNorth(floor).angle) * Math.PI / 180;
+    const nx = Math.sin(northRad) * factors.x;
+    const ny = -Math.cos(northRad) * factors.y;
+    const north = { x: nx / Math.hypot(nx, ny), y: ny / Math.hypot(nx, ny) };
+    return slopes.reduce((sum, slope) => {
+      const u = rotatePointAbout(north, { x: 0, y: 0 }, COMPASS_CLOCKWISE.indexOf(slope.direction) * 45);
+      const along = outer.map(p => p.x * u.x + p.y * u.y);
+      const low = Math.min(...along);
+      const share = clampNum(slope.share) / 100;
+      const meanRise = slopes.length === 1
+        ? centroid.x * u.x + centroid.y * u.y - low
+        : share * (Math.max(...along) - low) / 2;
+      return sum + share * (space.ceilingLowHeight + Math.tan(parsePitchDegrees(slope.pitch) * Math.PI / 180) * meanRise);
+    }, 0);
+  }
+
+  // { volume (feet³), fromSlopes } using the sloped ceiling when it is fully described, else the average height
+  function getSpaceVolume(space, floor) {
+    const sloped = slopedCeilingAverageHeight(space, floor);
+    const height = isFinite(sloped) ? sloped : clampNum(space.ceilingHeight);
+    return { volume: clampNum(space.area) * height, fromSlopes: isFinite(sloped) };
+  }
+
+  function isConditioned(space) {
+    return space.conditioned !== false;
+  }
+
+  function getConditionedTotals(floors) {
+    let area = 0, volume = 0;
+    floors.forEach(floor => {
+      floor.spaces.filter(isConditioned).forEach(space => {
+        area += clampNum(space.area);
+        volume += getSpaceVolume(space, floor).volume;
+      });
+    });
+    return { area, volume };
+  }
+
+  function updateVolumeReadouts() {
     const floor = activeFloor();
-    if (!floor || !spaceId) return;
-    const space = floor.spaces.find(s => s.id === spaceId);
-    if (!space) return;
+    if (dom.spaceVolume) {
+      const spaces = floor ? getSelectedSpaces() : [];
+      const volumes = spaces.map(sp => getSpaceVolume(sp, floor));
+      const total = volumes.reduce((sum, v) => sum + v.volume, 0);
+      const note = volumes.length === 1 && volumes[0].fromSlopes ? " (from ceiling slopes)" : "";
+      dom.spaceVolume.textContent = spaces.length > 0 ? `${formatVolume(total)}${note}` : "-";
+    }
+    const floorTotals = getConditionedTotals(floor ? [floor] : []);
+    const buildingTotals = getConditionedTotals(AppState.floors);
+    if (dom.floorConditionedArea) dom.floorConditionedArea.textContent = formatWithUnit(floorTotals.area, true, true);
+    if (dom.floorConditionedVolume) dom.floorConditionedVolume.textContent = formatVolume(floorTotals.volume);
+    if (dom.buildingConditionedArea) dom.buildingConditionedArea.textContent = formatWithUnit(buildingTotals.area, true, true);
+    if (dom.buildingConditionedVolume) dom.buildingConditionedVolume.textContent = formatVolume(buildingTotals.volume);
+  }
 
-    // Capture absolute positions of ALL vertices before container update
-    const absPtsBefore = getPolygonAbsolutePoints(poly);
-    
-    // Recompute container dimensions to encompass all vertices
-    if (typeof poly._setPositionDimensions === 'function') {
-      poly._setPositionDimensions({});
+  // --------------------------
+  // Voids (holes inside a space)
+  // --------------------------
+  function enterDrawVoidMode() {
+    if (!selectedSpaceId) {
+      alert("Select a space first.");
+      return;
     }
-    
-    // Get absolute positions after container recalculation
-    const absPtsAfter = getPolygonAbsolutePoints(poly);
-    
-    // Calculate how much the vertices shifted (use first vertex as reference)
-    if (absPtsBefore.length > 0 && absPtsAfter.length > 0) {
-      const deltaX = absPtsBefore[0].x - absPtsAfter[0].x;
-      const deltaY = absPtsBefore[0].y - absPtsAfter[0].y;
-      
-      // Compensate by adjusting the polygon's position
-      poly.left += deltaX;
-      poly.top += deltaY;
+    const wasDrawing = isDrawingVoid;
+    discardTempVoid();
+    cancelAllModes();
+    if (wasDrawing) {
+      setStatus("Void drawing cancelled.");
+      return;
     }
-    
-    poly.setCoords();
-    
-    // Now save the corrected absolute positions
-    const absPts = getPolygonAbsolutePoints(poly);
-    space.vertices = absPts.map(p => ({ x: p.x, y: p.y }));
+    isDrawingVoid = true;
+    setStatus("Drawing void: click inside the space to add vertices, click near first point to finish.");
+    canvas.defaultCursor = "crosshair";
+    if (dom.btnDrawVoid) dom.btnDrawVoid.classList.add('active');
+  }
+
+  function discardTempVoid() {
+    tempVoidCircles.forEach(c => canvas.remove(c));
+    tempVoidLines.forEach(l => canvas.remove(l));
+    tempVoidPoints = [];
+    tempVoidCircles = [];
+    tempVoidLines = [];
+  }
+
+  function addTempVoidPoint(pt) {
+    addTempPoint(pt, tempVoidPoints, tempVoidCircles, tempVoidLines, COLOR_VOID_STROKE, COLOR_VOID_STROKE);
+  }
+
+  function endDrawVoid() {
+    if (!isDrawingVoid) return;
+    if (tempVoidPoints.length < 3) {
+      setStatus("Need at least 3 points for a void polygon.");
+      return;
+    }
+    const floor = activeFloor();
+    if (!floor || !selectedSpaceId) return;
+    const space = floor.spaces.find(s => s.id === selectedSpaceId);
+    if (!space) return;
+
+    const vertices = tempVoidPoints.map(p => ({ x: p.x, y: p.y }));
+    const issue = voidPlacementIssue(space, vertices, null);
+    if (issue) {
+      alert(issue);
+      return;
+    }
+
+    if (!Array.isArray(space.voids)) space.voids = [];
+    space.voids.push({ id: uid("void"), vertices, edges: [] });
     ensureEdgeArrayForSpace(space);
+
+    discardTempVoid();
+    isDrawingVoid = false;
+    if (dom.btnDrawVoid) dom.btnDrawVoid.classList.remove('active');
+    canvas.defaultCursor = "default";
+
+    removeVoidPolygonsForSpace(space.id);
+    addVoidPolygonsForSpace(space);
     recalcSpaceDerived(space);
-    updateSpacePanel(space);
-    // Refresh overlays after any geometry change
     updateEdgeOverlaysForSpace(space.id);
+    updateSpacePanel(space);
+    renderSpacesList();
+    canvas.requestRenderAll();
+    setStatus("Void created. Its edges can be selected as walls.");
     saveState();
   }
 
-  function onCanvasMouseDown(opt) {
-    const floor = activeFloor();
-    if (!floor) {
-      setStatus("Add a floor first.");
-      return;
+  // Why a void ring can't go where asked, or null. Vertex tests alone miss a void cutting across a
+  // concave notch or two voids crossing in a plus shape, so the walls are checked for crossings too.
+  function voidPlacementIssue(space, vertices, voidId) {
+    const ringSegments = ring => ring.map((p, i) => [p, ring[(i + 1) % ring.length]]);
+    const crosses = ring => ringSegments(vertices).some(([p1, p2]) =>
+      ringSegments(ring).some(([a, b]) => segmentIntersection(p1, p2, a, b))
+    );
+    if (vertices.some(p => !isPointInPolygon(p, space.vertices)) || crosses(space.vertices)) {
+      return "A void must lie entirely inside its space.";
     }
+    const overlaps = getSpaceVoids(space).filter(v => v.id !== voidId).some(v =>
+      vertices.some(p => isPointInPolygon(p, v.vertices))
+      || v.vertices.some(p => isPointInPolygon(p, vertices))
+      || crosses(v.vertices)
+    );
+    return overlaps ? "Voids cannot overlap each other." : null;
+  }
+
+  // Why an outer ring edit can't go ahead, or null: every void must stay inside the new outline
+  function outlineVoidIssue(space, vertices) {
+    const reshaped = { ...space, vertices };
+    return getSpaceVoids(space).some(v => voidPlacementIssue(reshaped, v.vertices, v.id))
+      ? "The space outline must keep all of its voids inside it."
+      : null;
+  }
+
+  function addVoidPolygonsForSpace(space) {
+    getSpaceVoids(space).forEach(v => {
+      if (!Array.isArray(v.vertices) || v.vertices.length < 3) return;
+      const minX = Math.min(...v.vertices.map(p => p.x));
+      const minY = Math.min(...v.vertices.map(p => p.y));
+      const rel = v.vertices.map(p => ({ x: p.x - minX, y: p.y - minY }));
+      const polygon = new fabric.Polygon(rel, {
+        left: minX,
+        top: minY,
+        fill: COLOR_VOID,
+        stroke: null, // edges are drawn as overlays like the outer ring
+        strokeWidth: 0,
+        objectCaching: false,
+        hasBorders: false,
+        // Always evented so a click on the hole lands here rather than on the space below
+        evented: true,
+        perPixelTargetFind: true,
+        cornerColor: COLOR_VOID_STROKE,
+        cornerStyle: "circle",
+      });
+      polygon.set("fpType", "void");
+      polygon.set("spaceId", space.id);
+      polygon.set("voidId", v.id);
+      canvas.add(polygon);
+      voidIdToPolygon.set(v.id, polygon);
+      enablePolygonVertexEditing(polygon);
+      setVoidEditable(polygon, selectedSpaceId === space.id);
+    });
+  }
 
-    const pointer = canvas.getPointer(opt.e, false);
-    lastPointerCanvas = { x: pointer.x, y: pointer.y };
+  function removeVoidPolygonsForSpace(spaceId) {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "void" && o.get("spaceId") === spaceId).forEach(o => {
+      voidIdToPolygon.delete(o.get("voidId"));
+      canvas.remove(o);
+    });
+  }
+
+  // Voids are only moved or reshaped while their space is selected
+  function setVoidEditable(polygon, editable) {
+    polygon.set({
+      hasControls: editable,
+      selectable: editable,
+      hoverCursor: editable ? "move" : "default",
+    });
+  }
+
+  function onVoidModified(polygon) {
+    const floor = activeFloor();
+    const space = floor?.spaces.find(s => s.id === polygon.get("spaceId"));
+    const ring = getSpaceVoids(space).find(v => v.id === polygon.get("voidId"));
+    if (!space || !ring) return;
+
+    // Same container compensation as ceilings
+    const absPtsBefore = getPolygonAbsolutePoints(polygon);
+    if (typeof polygon._setPositionDimensions === 'function') {
+      polygon._setPositionDimensions({});
+    }
+    const absPtsAfter = getPolygonAbsolutePoints(polygon);
+    if (absPtsBefore.length > 0 && absPtsAfter.length > 0) {
+      polygon.left += absPtsBefore[0].x - absPtsAfter[0].x;
+      polygon.top += absPtsBefore[0].y - absPtsAfter[0].y;
+    }
+    polygon.setCoords();
+
+    const vertices = getPolygonAbsolutePoints(polygon).map(p => ({ x: p.x, y: p.y }));
+    const issue = voidPlacementIssue(space, vertices, ring.id);
+    if (issue) {
+      // Put the void back where it was
+      removeVoidPolygonsForSpace(space.id);
+      addVoidPolygonsForSpace(space);
+      if (selectedVoidVertex?.voidId === ring.id) setSelectedVoidVertex(ring.id, selectedVoidVertex.index);
+      canvas.requestRenderAll();
+      alert(issue);
+      return;
+    }
+    ring.vertices = vertices;
+    recalcSpaceDerived(space);
+    updateEdgeOverlaysForSpace(space.id);
+    if (space.id === selectedSpaceId && selectedEdgeIndex != null) {
+      highlightSelectedEdge(getSpaceEdgeSegments(space), selectedEdgeIndex);
+    }
+    updateSpacePanel(space);
+    updateEdgePanelFromSelection();
+    saveState();
+  }
+
+  // Dragging a whole space carries its voids along
+  function translateVoids(space, dx, dy) {
+    const voids = getSpaceVoids(space);
+    if (voids.length === 0) return;
+    voids.forEach(v => {
+      v.vertices = v.vertices.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    });
+    removeVoidPolygonsForSpace(space.id);
+    addVoidPolygonsForSpace(space);
+  }
+
+  function translateCeiling(space, dx, dy) {
+    if (!Array.isArray(space.ceilingVertices) || space.ceilingVertices.length < 3) return;
+    space.ceilingVertices = space.ceilingVertices.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    addCeilingForSpace(space);
+    recalcCeilingArea(space);
+  }
+
+  function insertVertexAtVoidEdge(space, voidId, ringIdx, clickPoint) {
+    const ring = getSpaceVoids(space).find(v => v.id === voidId);
+    if (!ring) return;
+    ensureEdgeArrayForSpace(space);
+    const a = ring.vertices[ringIdx];
+    const b = ring.vertices[(ringIdx + 1) % ring.vertices.length];
+    const newVertex = nearestPointOnSegment(clickPoint, a, b);
+    ring.vertices.splice(ringIdx + 1, 0, newVertex);
+    // Both halves of the split wall keep the original wall's properties; windows go to the half they sit on
+    const edge = ring.edges[ringIdx];
+    const newEdge = { ...edge, id: uid("edge") };
+    const wallPx = distance(a, b);
+    const splitAt = wallPx > 0 ? clampNum(edge.length) * distance(a, newVertex) / wallPx : 0;
+    splitEdgeOpenings(edge, newEdge, splitAt);
+    splitHeightProfile(edge, newEdge, splitAt);
+    ring.edges.splice(ringIdx + 1, 0, newEdge);
+
+    removeVoidPolygonsForSpace(space.id);
+    addVoidPolygonsForSpace(space);
+    recalcSpaceDerived(space);
+    updateEdgeOverlaysForSpace(space.id);
+    updateSpacePanel(space);
+    canvas.renderAll();
+    saveState();
+  }
+
+  function deleteVoid(space, voidId) {
+    space.voids = getSpaceVoids(space).filter(v => v.id !== voidId);
+    // Flat edge indices shift when a ring goes away
+    if (space.id === selectedSpaceId) {
+      selectedEdgeIndex = null;
+      hoverEdgeIndex = null;
+      clearEdgeHighlight();
+    }
+    removeVoidPolygonsForSpace(space.id);
+    addVoidPolygonsForSpace(space);
+    recalcSpaceDerived(space);
+    updateEdgeOverlaysForSpace(space.id);
+    updateSpacePanel(space);
+    updateEdgePanelFromSelection();
+    renderSpacesList();
+    canvas.renderAll();
+    saveState();
+    setStatus("Void deleted.");
+  }
+
+  function renderVoidList(space) {
+    if (!dom.voidList) return;
+    dom.voidList.innerHTML = "";
+    getSpaceVoids(space).forEach((v, i) => {
+      const row = document.createElement("div");
+      row.className = "void-row";
+      const text = document.createElement("span");
+      text.textContent = `Void ${i + 1}: ${formatWithUnit(v.area, true)}`;
+      const btnDelete = document.createElement("button");
+      btnDelete.className = "danger";
+      btnDelete.textContent = "Delete";
+      btnDelete.setAttribute("aria-label", `Delete void ${i + 1}`);
+      btnDelete.addEventListener("click", () => {
+        if (confirmAction(`Delete void ${i + 1}?`)) deleteVoid(space, v.id);
+      });
+      row.appendChild(text);
+      row.appendChild(btnDelete);
+      dom.voidList.appendChild(row);
+    });
+  }
+
+  function onPolygonModified(poly) {
+    // Check if this is a ceiling polygon - if so, use the ceiling-specific handler
+    const fpType = poly.get("fpType");
+    if (fpType === "ceiling") {
+      onCeilingModified(poly);
+      return;
+    }
+    if (fpType === "void") {
+      onVoidModified(poly);
+      return;
+    }
+    
+    // Update the space vertices based on polygon absolute points
+    const spaceId = poly.get("spaceId");
+    const floor = activeFloor();
+    if (!floor || !spaceId) return;
+    const space = floor.spaces.find(s => s.id === spaceId);
+    if (!space) return;
+
+    // Capture absolute positions of ALL vertices before container update
+    const absPtsBefore = getPolygonAbsolutePoints(poly);
+    
+    // Recompute container dimensions to encompass all vertices
+    if (typeof poly._setPositionDimensions === 'function') {
+      poly._setPositionDimensions({});
+    }
+    
+    // Get absolute positions after container recalculation
+    const absPtsAfter = getPolygonAbsolutePoints(poly);
+    
+    // Calculate how much the vertices shifted (use first vertex as reference)
+    if (absPtsBefore.length > 0 && absPtsAfter.length > 0) {
+      const deltaX = absPtsBefore[0].x - absPtsAfter[0].x;
+      const deltaY = absPtsBefore[0].y - absPtsAfter[0].y;
+      
+      // Compensate by adjusting the polygon's position
+      poly.left += deltaX;
+      poly.top += deltaY;
+    }
+    
+    poly.setCoords();
+    
+    // Now save the corrected absolute positions
+    const absPts = getPolygonAbsolutePoints(poly);
+    const prev = space.vertices;
+    if (prev.length === absPts.length && prev.length > 0) {
+      const dx = absPts[0].x - prev[0].x;
+      const dy = absPts[0].y - prev[0].y;
+      const moved = (dx !== 0 || dy !== 0) &&
+        prev.every((p, i) => Math.abs(absPts[i].x - p.x - dx) < 1e-3 && Math.abs(absPts[i].y - p.y - dy) < 1e-3);
+      if (moved) {
+        translateVoids(space, dx, dy);
+        translateCeiling(space, dx, dy);
+      }
+    }
+    const issue = outlineVoidIssue(space, absPts);
+    if (issue) {
+      // Put the outline back where it was
+      applySpaceVertices(space, space.vertices);
+      alert(issue);
+      return;
+    }
+    space.vertices = absPts.map(p => ({ x: p.x, y: p.y }));
+    ensureEdgeArrayForSpace(space);
+    recalcSpaceDerived(space);
+    updateSpacePanel(space);
+    // Refresh overlays after any geometry change
+    updateEdgeOverlaysForSpace(space.id);
+    saveState();
+  }
+
+  function onCanvasMouseDown(opt) {
+    const floor = activeFloor();
+    if (!floor) {
+      setStatus("Add a floor first.");
+      return;
+    }
+
+    const pointer = canvas.getPointer(opt.e, false);
+    lastPointerCanvas = { x: pointer.x, y: pointer.y };
     // Edge hover/selection gating: pointer cursor appears over edges only when a space is selected
     if (!selectedSpaceId) {
-      canvas.defaultCursor = (isDrawingSpace || isDrawingScale || isDrawingCeiling) ? "crosshair" : "default";
+      canvas.defaultCursor = (isDrawingSpace || isDrawingScale || scaleAxisDrawing || isVerifyingScale || measureMode || isPickingOrthoAngle || isDrawingCeiling || isDrawingVoid || isSplittingSpace || isPickingMergeSpace || isRotatingSpaces || isBoxSelectingEdges) ? "crosshair" : "default";
     }
     
     if (isDrawingCeiling) {
@@ -1401,10 +4153,48 @@ const EDGE_HIT_BUFFER_PX = 6;
           return;
         }
       }
-      // Add point + temp visuals (purple for ceiling)
-      const circ = new fabric.Circle({
-        radius: 3 / currentZoom,
-        fill: COLOR_CEILING_STROKE,
+      // Ceilings usually follow the room outline, so their own space is a snap target too
+      const pt = findSnapPoint(pointer, { e: opt?.e }) || pointer;
+      addTempCeilingPoint(pt);
+      return;
+    }
+
+    if (isDrawingVoid) {
+      if (tempVoidPoints.length > 0 && distance(pointer, tempVoidPoints[0]) <= getZoomAdjustedCloseThreshold()) {
+        suppressDeselectUntilMouseUp = true;
+        if (opt && opt.e) { try { opt.e.preventDefault(); opt.e.stopPropagation(); } catch(_){} }
+        endDrawVoid();
+        return;
+      }
+      const pt = findSnapPoint(pointer, { e: opt?.e }) || pointer;
+      addTempVoidPoint(pt);
+      return;
+    }
+
+    if (isSplittingSpace) {
+      addSplitPoint(pointer, opt?.e);
+      return;
+    }
+
+    if (isPickingMergeSpace) {
+      pickMergeSpace(pointer);
+      return;
+    }
+
+    if (isRotatingSpaces) {
+      startRotateDrag(pointer);
+      return;
+    }
+
+    if (isBoxSelectingEdges) {
+      boxSelectStart = { x: pointer.x, y: pointer.y };
+      return;
+    }
+    
+    if (isPickingOrthoAngle) {
+      const tempVtx = new fabric.Circle({
+        radius: SCALE_VERTEX_RADIUS_PX / currentZoom,
+        fill: "#60a5fa",
         left: pointer.x,
         top: pointer.y,
         originX: "center",
@@ -1412,42 +4202,31 @@ const EDGE_HIT_BUFFER_PX = 6;
         selectable: false,
         evented: false,
       });
-      canvas.add(circ);
-      tempCeilingCircles.push(circ);
-      
-      if (tempCeilingPoints.length > 0) {
-        const prev = tempCeilingPoints[tempCeilingPoints.length - 1];
-        const dx = pointer.x - prev.x;
-        const dy = pointer.y - prev.y;
-        const len = Math.sqrt(dx * dx + dy * dy);
-        const cx = (prev.x + pointer.x) / 2;
-        const cy = (prev.y + pointer.y) / 2;
-        const angleDeg = Math.atan2(dy, dx) * 180 / Math.PI;
-        const seg = new fabric.Rect({
-          left: cx,
-          top: cy,
-          originX: "center",
-          originY: "center",
-          width: len,
-          height: getZoomAdjustedTempEdgeThickness(),
-          angle: angleDeg,
-          fill: COLOR_CEILING_STROKE,
-          stroke: null,
-          selectable: false,
-          evented: false,
-          objectCaching: false,
-        });
-        canvas.add(seg);
-        tempCeilingLines.push(seg);
+      tempVtx.set("fpType", "scaleVertex");
+      canvas.add(tempVtx);
+      tempOrthoPoints.push({ x: pointer.x, y: pointer.y });
+      if (tempOrthoPoints.length === 2) {
+        const [p1, p2] = tempOrthoPoints;
+        cancelAllModes();
+        canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+        if (distance(p1, p2) > 0) {
+          setFloorReferenceAngle(floor, Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI);
+        }
       }
-      tempCeilingPoints.push({ x: pointer.x, y: pointer.y });
       canvas.renderAll();
       return;
     }
-    
+
     if (isDrawingSpace) {
+      // Rectangle mode: the second click sets the opposite corner
+      const snap = findSnapPoint(pointer, { e: opt?.e });
+      if (drawSpaceShape === "rectangle" && tempDrawPoints.length === 1) {
+        suppressDeselectUntilMouseUp = true;
+        finishRectangleSpace(tempDrawPoints[0], snap || pointer);
+        return;
+      }
       // Close polygon if clicking near the first vertex (without adding a new vertex)
-      if (tempDrawPoints.length > 0) {
+      if (drawSpaceShape !== "rectangle" && tempDrawPoints.length > 0) {
         const first = tempDrawPoints[0];
         const dToFirst = distance(pointer, first);
         if (dToFirst <= getZoomAdjustedCloseThreshold()) {
@@ -1458,46 +4237,69 @@ const EDGE_HIT_BUFFER_PX = 6;
           return;
         }
       }
-      // Add point + temp visuals
-      const circ = new fabric.Circle({
-        radius: 3 / currentZoom,
-        fill: "#93c5fd",
-        left: pointer.x, // center at cursor
-        top: pointer.y,  // center at cursor
+      // A snap target wins; otherwise ortho lock (toggle or Shift) constrains the new segment
+      let pt = pointer;
+      if (snap) pt = snap;
+      else if (tempDrawPoints.length > 0 && (orthoLocked || opt?.e?.shiftKey)) {
+        pt = constrainOrtho(tempDrawPoints[tempDrawPoints.length - 1], pointer, floor);
+      }
+      addTempDrawPoint(pt);
+      return;
+    }
+
+    if (measureMode) {
+      addMeasurePoint(pointer);
+      return;
+    }
+
+    if (scaleAxisDrawing) {
+      const tempVtx = new fabric.Circle({
+        radius: SCALE_VERTEX_RADIUS_PX / currentZoom,
+        fill: COLOR_SCALE,
+        left: pointer.x,
+        top: pointer.y,
+        originX: "center",
+        originY: "center",
+        selectable: false,
+        evented: false,
+      });
+      tempVtx.set("fpType", "scaleVertex");
+      canvas.add(tempVtx);
+      tempAxisPoints.push({ x: pointer.x, y: pointer.y });
+      if (tempAxisPoints.length === 2) {
+        const [p1, p2] = tempAxisPoints;
+        const axis = scaleAxisDrawing;
+        cancelAllModes();
+        canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+        canvas.renderAll();
+        setScaleAxisLine(floor, axis, p1, p2);
+      }
+      canvas.renderAll();
+      return;
+    }
+
+    if (isVerifyingScale) {
+      const tempVtx = new fabric.Circle({
+        radius: SCALE_VERTEX_RADIUS_PX / currentZoom,
+        fill: COLOR_SCALE_CHECK,
+        left: pointer.x,
+        top: pointer.y,
         originX: "center",
         originY: "center",
         selectable: false,
         evented: false,
       });
-      canvas.add(circ);
-      tempDrawCircles.push(circ);
-
-      if (tempDrawPoints.length > 0) {
-        const prev = tempDrawPoints[tempDrawPoints.length - 1];
-        const dx = pointer.x - prev.x;
-        const dy = pointer.y - prev.y;
-        const len = Math.sqrt(dx * dx + dy * dy);
-        const cx = (prev.x + pointer.x) / 2;
-        const cy = (prev.y + pointer.y) / 2;
-        const angleDeg = Math.atan2(dy, dx) * 180 / Math.PI;
-        const seg = new fabric.Rect({
-          left: cx,
-          top: cy,
-          originX: "center",
-          originY: "center",
-          width: len,
-          height: getZoomAdjustedTempEdgeThickness(),
-          angle: angleDeg,
-          fill: "#60a5fa",
-          stroke: null,
-          selectable: false,
-          evented: false,
-          objectCaching: false,
-        });
-        canvas.add(seg);
-        tempDrawLines.push(seg);
+      tempVtx.set("fpType", "scaleVertex");
+      canvas.add(tempVtx);
+      tempCheckPoints.push({ x: pointer.x, y: pointer.y });
+      if (tempCheckPoints.length === 2) {
+        const [p1, p2] = tempCheckPoints;
+        tempCheckPoints = [];
+        canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+        canvas.renderAll();
+        // Stay in verify mode so several check lines can be drawn in a row
+        addScaleCheck(floor, p1, p2);
       }
-      tempDrawPoints.push({ x: pointer.x, y: pointer.y });
       canvas.renderAll();
       return;
     }
@@ -1523,9 +4325,15 @@ const EDGE_HIT_BUFFER_PX = 6;
         tempScalePoints = [];
         const pixelLen = distance(p1, p2);
         floor.scale = floor.scale || { realLenFeet: 0, pixelLen: 0, unit: dom.scaleUnit.value, line: null };
+        // A drawn line replaces a sheet-scale preset; its real length no longer applies
+        if (floor.scale.preset) {
+          delete floor.scale.preset;
+          floor.scale.realLenFeet = 0;
+        }
         floor.scale.pixelLen = pixelLen;
         floor.scale.unit = dom.scaleUnit.value;
         floor.scale.line = { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+        floor.scale.twoAxis = false;
         floor.scale.visible = true; // show new scale line
         // Ask user to enter realLen if blank
         if (!floor.scale.realLenFeet || floor.scale.realLenFeet <= 0) {
@@ -1539,6 +4347,7 @@ const EDGE_HIT_BUFFER_PX = 6;
         }
         saveState();
         recalcAllSpacesForFloor(floor);
+        updateScaleFactorInfo(floor);
         // Remove temp vertices after line is created
         const tempVertices = canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex");
         tempVertices.forEach(o => canvas.remove(o));
@@ -1574,9 +4383,14 @@ const EDGE_HIT_BUFFER_PX = 6;
             return;
           }
         }
-        // Otherwise check for space polygon edges
+        // Otherwise check for space polygon edges (outer ring or a void ring)
         if (hoverEdgeIndex !== null) {
-          insertVertexAtEdge(selectedSpaceId, hoverEdgeIndex, pointer);
+          const seg = space ? getSpaceEdgeSegments(space)[hoverEdgeIndex] : null;
+          if (seg?.voidId) {
+            insertVertexAtVoidEdge(space, seg.voidId, seg.ringIndex, pointer);
+          } else {
+            insertVertexAtEdge(selectedSpaceId, hoverEdgeIndex, pointer);
+          }
           isInsertingVertex = false;
           if (dom.btnInsertVertex) dom.btnInsertVertex.classList.remove('active');
         setStatus("Vertex inserted.");
@@ -1592,6 +4406,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (selectedSpaceId) {
       const poly = spaceIdToPolygon.get(selectedSpaceId);
       const ceiling = spaceIdToCeiling.get(selectedSpaceId);
+      const selectedSpace = floor.spaces.find(s => s.id === selectedSpaceId);
       
       // Check ceiling vertex selection first (if ceiling is visible)
       if (ceiling && ceiling.visible) {
@@ -1601,6 +4416,7 @@ const EDGE_HIT_BUFFER_PX = 6;
         if (ceilingVIdx != null) {
           // Selecting a ceiling vertex clears edge selection and space vertex selection
           selectedEdgeIndex = null;
+          clearBulkEdges();
           clearEdgeHighlight();
           clearSelectedVertex(); // Clear space vertex selection
           updateEdgePanelFromSelection();
@@ -1610,7 +4426,20 @@ const EDGE_HIT_BUFFER_PX = 6;
         }
       }
       
-      if (poly) {
+      // Then void vertices, so a hole's corners can be picked out like the outline's
+      const voidHit = selectedSpace ? findVoidVertexAt(selectedSpace, canvas.getPointer(opt.e, false)) : null;
+      if (voidHit) {
+        selectedEdgeIndex = null;
+        clearBulkEdges();
+        clearEdgeHighlight();
+        clearSelectedCeilingVertex();
+        updateEdgePanelFromSelection();
+        setSelectedVoidVertex(voidHit.voidId, voidHit.index);
+        setStatus(`Void vertex ${voidHit.index + 1} selected.`);
+        return;
+      }
+
+      if (poly && selectedSpace) {
         // Vertex selection: click near a space vertex toggles selected vertex
         const absPtsPre = getPolygonAbsolutePoints(poly);
         const pointerForVertex = canvas.getPointer(opt.e, false);
@@ -1618,6 +4447,7 @@ const EDGE_HIT_BUFFER_PX = 6;
         if (vIdx != null) {
           // Selecting a vertex clears edge selection and ceiling vertex selection
           selectedEdgeIndex = null;
+          clearBulkEdges();
           clearEdgeHighlight();
           clearSelectedCeilingVertex(); // Clear ceiling vertex selection
           updateEdgePanelFromSelection();
@@ -1631,11 +4461,17 @@ const EDGE_HIT_BUFFER_PX = 6;
       // If the pointer cursor is visible and we already have a hover edge, select it immediately
       const pointerVisibleEarly = (canvas.defaultCursor === "pointer") || (canvas.upperCanvasEl && canvas.upperCanvasEl.style && canvas.upperCanvasEl.style.cursor === "pointer");
       if (pointerVisibleEarly && hoverEdgeIndex != null) {
+        if (opt?.e?.shiftKey) {
+          toggleBulkEdge(selectedSpace, hoverEdgeIndex);
+          if (opt && opt.e) { try { opt.e.preventDefault(); opt.e.stopPropagation(); } catch(_){} }
+          return;
+        }
+        clearBulkEdges();
         const absPtsHover = getPolygonAbsolutePoints(poly);
         clearSelectedVertex();
         clearSelectedCeilingVertex();
         selectedEdgeIndex = hoverEdgeIndex;
-        highlightSelectedEdge(absPtsHover, selectedEdgeIndex);
+        highlightSelectedEdge(getSpaceEdgeSegments(selectedSpace, absPtsHover), selectedEdgeIndex);
         canvas.setActiveObject(poly);
         updateEdgePanelFromSelection();
         setStatus(`Edge ${selectedEdgeIndex + 1} selected.`);
@@ -1670,9 +4506,10 @@ const EDGE_HIT_BUFFER_PX = 6;
         return;
       }
         const absPts = absPtsPre;
-        // Avoid edge selection when near a vertex control
-        const nearVertex = absPts.some(p => distance(pointer, p) <= Math.max(4 / currentZoom, getZoomAdjustedEdgeHitBuffer() * 0.6));
-        let idx = nearVertex ? null : findClosestEdgeIndex(absPts, pointer, getZoomAdjustedEdgeHitBuffer());
+        const segments = getSpaceEdgeSegments(selectedSpace, absPts);
+        // Avoid edge selection when near a vertex control (outer or void ring)
+        const nearVertex = segments.some(seg => distance(pointer, seg.a) <= Math.max(4 / currentZoom, getZoomAdjustedEdgeHitBuffer() * 0.6));
+        let idx = nearVertex ? null : findClosestSegmentIndex(segments, pointer, getZoomAdjustedEdgeHitBuffer());
         if (idx === null && hoverEdgeIndex != null) {
           // Use the last hover edge if the click hit-test missed (e.g., jitter or canvas rounding)
           idx = hoverEdgeIndex;
@@ -1689,10 +4526,16 @@ const EDGE_HIT_BUFFER_PX = 6;
             if (opt && opt.e) { try { opt.e.preventDefault(); opt.e.stopPropagation(); } catch(_){} }
             return; // require visible pointer prior to selection
           }
+          if (opt?.e?.shiftKey) {
+            toggleBulkEdge(selectedSpace, idx);
+            if (opt && opt.e) { try { opt.e.preventDefault(); opt.e.stopPropagation(); } catch(_){} }
+            return;
+          }
+          clearBulkEdges();
           clearSelectedVertex();
           clearSelectedCeilingVertex();
           selectedEdgeIndex = idx;
-          highlightSelectedEdge(absPts, idx);
+          highlightSelectedEdge(segments, idx);
           // Keep the polygon as the active object so Fabric doesn't fire selection:cleared
           canvas.setActiveObject(poly);
           updateEdgePanelFromSelection();
@@ -1745,20 +4588,24 @@ const EDGE_HIT_BUFFER_PX = 6;
       }
     }
 
+    // A void of the selected space was picked up for dragging; keep its space selected
+    if (opt.target?.get?.("fpType") === "void" && opt.target.get("spaceId") === selectedSpaceId) return;
+
     // If click is not inside any space polygon, deselect all
     const f = activeFloor();
     if (f && Array.isArray(f.spaces)) {
       let insideAny = false;
       for (const sp of f.spaces) {
-        if (isPointInPolygon(pointer, sp.vertices)) { insideAny = true; break; }
+        if (isPointInSpace(pointer, sp)) { insideAny = true; break; }
       }
       // Keep selection if we're near an edge of the currently selected space
       if (!insideAny) {
         if (selectedSpaceId) {
           const poly = spaceIdToPolygon.get(selectedSpaceId);
-          if (poly) {
+          const sp = f.spaces.find(s => s.id === selectedSpaceId);
+          if (poly && sp) {
             const absPts = getPolygonAbsolutePoints(poly);
-            const idx = findClosestEdgeIndex(absPts, pointer, getZoomAdjustedEdgeHitBuffer());
+            const idx = findClosestSegmentIndex(getSpaceEdgeSegments(sp, absPts), pointer, getZoomAdjustedEdgeHitBuffer());
             const pointerVisible = (canvas.defaultCursor === "pointer") || (canvas.upperCanvasEl && canvas.upperCanvasEl.style && canvas.upperCanvasEl.style.cursor === "pointer");
             if (idx !== null || hoverEdgeIndex != null || pointerVisible) {
               // do not clear selection when near an edge
@@ -1783,6 +4630,13 @@ const EDGE_HIT_BUFFER_PX = 6;
   function onCanvasSelectionCreated(e) {
     const target = e.selected?.[0];
     if (!target) return;
+    // Multi-space selections only move as a group; rotate and mirror go through the transform tools
+    const active = canvas.getActiveObject();
+    if (active && active.type === "activeSelection") {
+      active.set("hasControls", false);
+      // The north arrow belongs to the floor, not to a group of spaces
+      active.getObjects().filter(o => o.get("fpType") === "northArrow").forEach(o => active.removeWithUpdate(o));
+    }
     
     // Skip if this is an edge selection to prevent interference
     if (window._isEdgeSelection) {
@@ -1800,8 +4654,8 @@ const EDGE_HIT_BUFFER_PX = 6;
         const show = canvas.getActiveObjects().length === 1;
         dom.btnDeleteSpace.style.display = show ? '' : 'none';
       }
-    } else if (target.get("fpType") === "ceiling") {
-      // Ceiling selected - only allow if its parent space is already selected
+    } else if (target.get("fpType") === "ceiling" || target.get("fpType") === "void") {
+      // Ceiling or void selected - only allow if its parent space is already selected
       const ceilingSpaceId = target.get("spaceId");
       if (ceilingSpaceId !== selectedSpaceId) {
         // Parent space not selected - reject ceiling selection
@@ -1831,6 +4685,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     // Deselect space
     selectedSpaceId = null;
     selectedEdgeIndex = null;
+    clearBulkEdges();
     clearSelectedVertex();
     clearSelectedCeilingVertex();
     hoverEdgeIndex = null;
@@ -1848,6 +4703,7 @@ const EDGE_HIT_BUFFER_PX = 6;
         o.set("selectable", false);
         o.set("evented", false);
       }
+      if (o.get("fpType") === "void") setVoidEditable(o, false);
     });
     // Keep edge overlays visible; refresh to base color when nothing is selected
     const floor = activeFloor();
@@ -1860,6 +4716,12 @@ const EDGE_HIT_BUFFER_PX = 6;
     setEdgeInputsEnabled(false);
     if (dom.btnDeleteSpace) dom.btnDeleteSpace.style.display = 'none';
     if (dom.btnInsertVertex) dom.btnInsertVertex.style.display = 'none';
+    if (dom.btnSplitSpace && !isSplittingSpace) dom.btnSplitSpace.style.display = 'none';
+    if (dom.btnMergeSpace && !isPickingMergeSpace) dom.btnMergeSpace.style.display = 'none';
+    [dom.btnCopySpace, dom.btnCutSpace, dom.btnDuplicateSpace].forEach(btn => {
+      if (btn) btn.style.display = 'none';
+    });
+    updateTransformEditor();
     // Cancel insert vertex mode if active
     if (isInsertingVertex) {
       isInsertingVertex = false;
@@ -1875,6 +4737,20 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (spacePanel) spacePanel.style.display = 'none';
   }
 
+  function findClosestSegmentIndex(segments, clickPoint, tolerancePx) {
+    let bestIdx = null;
+    let bestDist = Infinity;
+    segments.forEach((seg, i) => {
+      const d = segmentDistance(clickPoint, seg.a, seg.b);
+      if (d < bestDist) {
+        bestDist = d;
+        bestIdx = i;
+      }
+    });
+    if (bestDist <= tolerancePx) return bestIdx;
+    return null;
+  }
+
   function findClosestEdgeIndex(points, clickPoint, tolerancePx) {
     if (!Array.isArray(points) || points.length < 2) return null;
     let bestIdx = null;
@@ -1907,10 +4783,11 @@ const EDGE_HIT_BUFFER_PX = 6;
   }
 
   let highlightedEdgeVisual = null;
-  function highlightSelectedEdge(points, idx) {
+  // segments come from getSpaceEdgeSegments so void walls highlight like outer ones
+  function highlightSelectedEdge(segments, idx) {
     clearEdgeHighlight();
-    const a = points[idx];
-    const b = points[(idx + 1) % points.length];
+    if (!segments[idx]) return;
+    const { a, b } = segments[idx];
     const dx = b.x - a.x;
     const dy = b.y - a.y;
     const len = Math.sqrt(dx * dx + dy * dy);
@@ -1992,6 +4869,7 @@ const EDGE_HIT_BUFFER_PX = 6;
 
   function setSelectedVertex(index) {
     selectedVertexIndex = index;
+    selectedVoidVertex = null;
     if (dom.btnDeleteVertex) dom.btnDeleteVertex.style.display = '';
     const poly = selectedSpaceId ? spaceIdToPolygon.get(selectedSpaceId) : null;
     if (poly) {
@@ -1999,14 +4877,41 @@ const EDGE_HIT_BUFFER_PX = 6;
       const p = pts[selectedVertexIndex];
       if (p) drawVertexHighlightAt(p);
     }
+    updateVertexEditor();
   }
 
   function clearSelectedVertex() {
     selectedVertexIndex = null;
+    selectedVoidVertex = null;
     clearVertexHighlight();
     if (dom.btnDeleteVertex) dom.btnDeleteVertex.style.display = 'none';
+    updateVertexEditor();
   }
   
+  // Void vertices use the space vertex highlight and Delete Vertex button
+  function setSelectedVoidVertex(voidId, index) {
+    clearSelectedVertex();
+    selectedVoidVertex = { voidId, index };
+    if (dom.btnDeleteVertex) dom.btnDeleteVertex.style.display = '';
+    const p = selectedVoidVertexPoint();
+    if (p) drawVertexHighlightAt(p);
+  }
+
+  function selectedVoidVertexPoint() {
+    const poly = selectedVoidVertex ? voidIdToPolygon.get(selectedVoidVertex.voidId) : null;
+    return poly ? getPolygonAbsolutePoints(poly)[selectedVoidVertex.index] || null : null;
+  }
+
+  // { voidId, index } of the selected space's void vertex nearest pointer, within the drag radius
+  function findVoidVertexAt(space, pointer) {
+    for (const v of getSpaceVoids(space)) {
+      const poly = voidIdToPolygon.get(v.id);
+      const index = poly ? findClosestVertexIndex(getPolygonAbsolutePoints(poly), pointer, getZoomAdjustedVertexDragRadius()) : null;
+      if (index != null) return { voidId: v.id, index };
+    }
+    return null;
+  }
+
   function setSelectedCeilingVertex(index) {
     // Clear space vertex selection
     clearSelectedVertex();
@@ -2070,18 +4975,26 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (dom.skylightArea) dom.skylightArea.disabled = !enabled;
     if (dom.skylightTypeSelect) dom.skylightTypeSelect.disabled = !enabled;
     if (dom.ceilingSameAsFloor) dom.ceilingSameAsFloor.disabled = !enabled;
+    if (dom.btnAddCeilingSlope) dom.btnAddCeilingSlope.disabled = !enabled;
+    if (dom.spaceCeilingLowHeight) dom.spaceCeilingLowHeight.disabled = !enabled;
+    if (dom.spaceConditioned) dom.spaceConditioned.disabled = !enabled;
   }
 
   function setEdgeInputsEnabled(enabled) {
     dom.edgeIsExterior.disabled = !enabled;
     dom.edgeHeight.disabled = !enabled;
-    dom.edgeWinWidth.disabled = !enabled;
-    dom.edgeWinHeight.disabled = !enabled;
+    if (dom.edgeHeightProfile) dom.edgeHeightProfile.disabled = !enabled;
+    if (dom.edgeHeightEnd) dom.edgeHeightEnd.disabled = !enabled;
+    if (dom.edgePeakHeight) dom.edgePeakHeight.disabled = !enabled;
+    if (dom.edgePeakPosition) dom.edgePeakPosition.disabled = !enabled;
     dom.edgeDirection.disabled = !enabled;
+    if (dom.edgeDirectionAuto) dom.edgeDirectionAuto.disabled = !enabled;
     if (dom.wallTypeSelect) dom.wallTypeSelect.disabled = !enabled;
-    if (dom.windowTypeSelect) dom.windowTypeSelect.disabled = !enabled;
+    if (dom.btnAddOpening) dom.btnAddOpening.disabled = !enabled;
     if (dom.doorCheckbox) dom.doorCheckbox.disabled = !enabled;
     if (dom.doorQty) dom.doorQty.disabled = !enabled;
+    if (dom.doorWidth) dom.doorWidth.disabled = !enabled;
+    if (dom.doorHeight) dom.doorHeight.disabled = !enabled;
     if (dom.doorTypeSelect) dom.doorTypeSelect.disabled = !enabled;
   }
 
@@ -2096,6 +5009,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     lastSelectedSpaceId = spaceId;
     if (changedSpace) {
       selectedEdgeIndex = null;
+      clearBulkEdges();
       clearEdgeHighlight();
       hoverEdgeIndex = null;
       clearSelectedVertex();
@@ -2135,6 +5049,9 @@ const EDGE_HIT_BUFFER_PX = 6;
           o.set("fill", COLOR_CEILING);
         }
       }
+      if (o.get("fpType") === "void") {
+        setVoidEditable(o, o.get("spaceId") === spaceId);
+      }
     });
     canvas.renderAll();
 
@@ -2160,8 +5077,14 @@ const EDGE_HIT_BUFFER_PX = 6;
       const show = !!space;
       dom.btnInsertVertex.style.display = show ? '' : 'none';
     }
+    if (dom.btnSplitSpace) dom.btnSplitSpace.style.display = space ? '' : 'none';
+    if (dom.btnMergeSpace) dom.btnMergeSpace.style.display = space ? '' : 'none';
+    [dom.btnCopySpace, dom.btnCutSpace, dom.btnDuplicateSpace].forEach(btn => {
+      if (btn) btn.style.display = space ? '' : 'none';
+    });
+    updateTransformEditor();
     if (dom.btnDeleteVertex) {
-      const showDel = !!space && (selectedVertexIndex != null || selectedCeilingVertexIndex != null);
+      const showDel = !!space && (selectedVertexIndex != null || selectedCeilingVertexIndex != null || !!selectedVoidVertex);
       dom.btnDeleteVertex.style.display = showDel ? '' : 'none';
     }
     // Toggle panel visibility
@@ -2187,6 +5110,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     floor.scale.line = { x1, y1, x2, y2 };
     saveState();
     recalcAllSpacesForFloor(floor);
+    updateScaleFactorInfo(floor);
     setStatus("Scale line updated.");
   }
 
@@ -2194,18 +5118,24 @@ const EDGE_HIT_BUFFER_PX = 6;
   // Panels update
   // --------------------------
   function updateSpacePanel(space = null) {
+    setFieldsMixed(BULK_SPACE_FIELDS, false);
+    dom.spaceName.readOnly = false;
+    dom.spaceName.placeholder = "";
     if (!space) {
       dom.spaceName.value = "";
       dom.spaceCeiling.value = "";
       dom.spaceArea.textContent = "-";
       dom.spaceExteriorPerim.textContent = "-";
       dom.spaceCeilingArea.textContent = "-";
+      if (dom.spaceCeilingSurfaceArea) dom.spaceCeilingSurfaceArea.textContent = "-";
+      if (dom.spaceVolume) dom.spaceVolume.textContent = "-";
       if (dom.spaceCeiling) dom.spaceCeiling.classList.remove('input-error');
       if (dom.ceilingSameAsFloor) dom.ceilingSameAsFloor.checked = false;
       if (dom.ceilingControlsRow) dom.ceilingControlsRow.style.display = 'none';
       if (dom.ceilingManualEntry) dom.ceilingManualEntry.checked = false;
       if (dom.ceilingManualInputRow) dom.ceilingManualInputRow.style.display = 'none';
       if (dom.ceilingManualArea) dom.ceilingManualArea.classList.remove('input-error');
+      renderVoidList(null);
       return;
     }
     dom.spaceName.value = space.name || "";
@@ -2213,19 +5143,13 @@ const EDGE_HIT_BUFFER_PX = 6;
     dom.spaceArea.textContent = formatWithUnit(space.area, true);
     dom.spaceExteriorPerim.textContent = formatWithUnit(space.exteriorPerimeter, false);
     
-    // Ceiling area display logic:
-    // 1. If "Same Ceiling and Floor Area" is checked: display = floor area
-    // 2. Else if "Enter Manually" is checked: display = manual value (or error if empty)
-    // 3. Else: display = computed polygon area
-    let displayCeilingArea;
-    if (space.ceilingSameAsFloor) {
-      displayCeilingArea = space.area; // Use floor area
-    } else if (space.ceilingManualOverride) {
-      displayCeilingArea = space.ceilingManualArea ?? 0;
-    } else {
-      displayCeilingArea = space.ceilingArea;
-    }
-    dom.spaceCeilingArea.textContent = formatWithUnit(displayCeilingArea, true);
+    dom.spaceCeilingArea.textContent = formatWithUnit(getCeilingPlanArea(space), true);
+    if (dom.spaceCeilingSurfaceArea) dom.spaceCeilingSurfaceArea.textContent = formatWithUnit(getCeilingSurfaceArea(space), true);
+    renderCeilingSlopeEditor();
+    if (dom.spaceConditioned) dom.spaceConditioned.checked = space.conditioned !== false;
+    if (dom.spaceCeilingLowHeight) dom.spaceCeilingLowHeight.value = space.ceilingLowHeight ?? "";
+    if (dom.ceilingLowHeightRow) dom.ceilingLowHeightRow.style.display = getCeilingSlopes(space).length > 0 ? '' : 'none';
+    updateVolumeReadouts();
     
     // Update ceiling controls
     if (dom.ceilingSameAsFloor) {
@@ -2251,6 +5175,7 @@ const EDGE_HIT_BUFFER_PX = 6;
       }
     }
     updateCeilingControls(space);
+    renderVoidList(space);
     
     // Mark ceiling height input error if selected space and empty
     if (selectedSpaceId && space.id === selectedSpaceId) {
@@ -2275,23 +5200,28 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (dom.skylightAreaRow) {
       dom.skylightAreaRow.style.display = space.hasSkylight ? '' : 'none';
     }
+    if (space.id === selectedSpaceId) {
+      const spaces = getSelectedSpaces();
+      if (spaces.length > 1) showBulkSpaceValues(spaces);
+    }
   }
 
   function updateEdgePanelFromSelection() {
     const floor = activeFloor();
+    setFieldsMixed(BULK_EDGE_FIELDS, false);
+    dom.edgeLength.placeholder = "";
+    if (dom.edgeBulkInfo) dom.edgeBulkInfo.style.display = 'none';
     if (!floor || !selectedSpaceId) {
       dom.edgeIsExterior.checked = false;
       dom.edgeHeight.value = "";
-      dom.edgeWinWidth.value = "";
-      dom.edgeWinHeight.value = "";
       dom.edgeDirection.value = "N";
-      dom.edgeLength.textContent = "-";
+      dom.edgeLength.value = "";
+      dom.edgeLength.disabled = true;
+      if (dom.edgeLengthAnchor) dom.edgeLengthAnchor.disabled = true;
       dom.edgeWindowArea.textContent = "-";
       setEdgeInputsEnabled(false);
       if (dom.edgeIsExterior) dom.edgeIsExterior.disabled = true;
       if (dom.edgeHeight) dom.edgeHeight.classList.remove('input-error');
-      if (dom.edgeWinWidth) dom.edgeWinWidth.classList.remove('input-error');
-      if (dom.edgeWinHeight) dom.edgeWinHeight.classList.remove('input-error');
       const edgePanel = document.getElementById('panel-edge');
       if (edgePanel) edgePanel.style.display = 'none';
       return;
@@ -2301,81 +5231,75 @@ const EDGE_HIT_BUFFER_PX = 6;
     // Reset to defaults when no edge is selected
       dom.edgeIsExterior.checked = false;
       dom.edgeHeight.value = "";
-      dom.edgeWinWidth.value = "";
-      dom.edgeWinHeight.value = "";
       dom.edgeDirection.value = "N";
-      dom.edgeLength.textContent = "-";
+      dom.edgeLength.value = "";
+      dom.edgeLength.disabled = true;
+      if (dom.edgeLengthAnchor) dom.edgeLengthAnchor.disabled = true;
       dom.edgeWindowArea.textContent = "-";
       setEdgeInputsEnabled(false);
       if (dom.edgeIsExterior) dom.edgeIsExterior.disabled = true;
     if (dom.edgeHeight) dom.edgeHeight.classList.remove('input-error');
-    if (dom.edgeWinWidth) dom.edgeWinWidth.classList.remove('input-error');
-    if (dom.edgeWinHeight) dom.edgeWinHeight.classList.remove('input-error');
       const edgePanel = document.getElementById('panel-edge');
       if (edgePanel) edgePanel.style.display = 'none';
       return;
     }
     const space = floor.spaces.find(s => s.id === selectedSpaceId);
     ensureEdgeArrayForSpace(space);
-    const edge = space.edges[selectedEdgeIndex];
+    const edge = getAllSpaceEdges(space)[selectedEdgeIndex];
+    const bulkEdges = getBulkEdgeEntries().map(en => en.edge);
+    const isBulk = bulkEdges.length > 1;
     dom.edgeIsExterior.checked = !!edge.isExterior;
     dom.edgeHeight.value = (edge.height ?? "");
-    dom.edgeWinWidth.value = (edge.winWidth ?? "");
-    dom.edgeWinHeight.value = (edge.winHeight ?? "");
     dom.edgeDirection.value = edge.direction || "N";
-    dom.edgeLength.textContent = formatWithUnit(edge.length, false);
-    const wallAreaFeet2 = clampNum(edge.length) * clampNum(edge.height);
-    dom.edgeWallArea.textContent = formatWithUnit(wallAreaFeet2, true, true);
-    dom.edgeWindowArea.textContent = formatWithUnit(edge.winArea, true, true);
+    if (dom.edgeDirectionAuto) dom.edgeDirectionAuto.checked = !edge.directionManual;
+    // Length stays editable for any outer edge once the floor has a scale; void walls follow their vertices
+    const canEditLength = !isBulk && getScaleFactorForFloor(floor) > 0 && selectedEdgeIndex < space.vertices.length;
+    dom.edgeLength.value = edge.length > 0 ? toFixedSmart(feetToDisplayLength(edge.length), 2) : "";
+    dom.edgeLength.disabled = !canEditLength;
+    if (dom.edgeLengthAnchor) dom.edgeLengthAnchor.disabled = !canEditLength;
+    showEdgeAreas([edge]);
     // Enable editing only when exterior is checked; always allow toggling exterior checkbox itself
-    const enableFields = !!edge.isExterior;
+    const enableFields = isBulk ? bulkEdges.some(e => e.isExterior) : !!edge.isExterior;
     setEdgeInputsEnabled(enableFields);
     if (dom.edgeIsExterior) dom.edgeIsExterior.disabled = false; // enabled only when an edge is selected
     // Error highlight only when editable (exterior)
     if (dom.edgeHeight) {
       if (enableFields && dom.edgeHeight.value === "") dom.edgeHeight.classList.add('input-error'); else dom.edgeHeight.classList.remove('input-error');
     }
-    if (dom.edgeWinWidth) {
-      if (enableFields && dom.edgeWinWidth.value === ""
-      ) dom.edgeWinWidth.classList.add('input-error'); else dom.edgeWinWidth.classList.remove('input-error');
-    }
-    if (dom.edgeWinHeight) {
-      if (enableFields && dom.edgeWinHeight.value === "") dom.edgeWinHeight.classList.add('input-error'); else dom.edgeWinHeight.classList.remove('input-error');
-    }
     // Hide/show rows based on exterior
     const rowDisplay = enableFields ? '' : 'none';
     if (dom.edgeHeightRow) dom.edgeHeightRow.style.display = rowDisplay;
-    if (dom.edgeWinWidthRow) dom.edgeWinWidthRow.style.display = rowDisplay;
-    if (dom.edgeWinHeightRow) dom.edgeWinHeightRow.style.display = rowDisplay;
+    showHeightProfile(edge, enableFields);
+    if (dom.edgeOpeningsRow) dom.edgeOpeningsRow.style.display = rowDisplay;
     if (dom.edgeDirectionRow) dom.edgeDirectionRow.style.display = rowDisplay;
     if (dom.edgeWallAreaRow) dom.edgeWallAreaRow.style.display = rowDisplay;
     if (dom.edgeWindowAreaRow) dom.edgeWindowAreaRow.style.display = rowDisplay;
-    const windowTypeRow = document.getElementById('edgeWindowTypeRow');
-    if (windowTypeRow) windowTypeRow.style.display = rowDisplay;
+    if (dom.edgeDoorAreaRow) dom.edgeDoorAreaRow.style.display = rowDisplay;
+    if (dom.edgeNetAreaRow) dom.edgeNetAreaRow.style.display = rowDisplay;
+    renderOpeningsEditor();
     // Doors checkbox toggle only visible when exterior is enabled
     if (dom.edgeDoorToggleRow) dom.edgeDoorToggleRow.style.display = rowDisplay;
     // Doors row follows the door checkbox when exterior is enabled
-    const doorsEnabled = enableFields && dom.doorCheckbox && dom.doorCheckbox.checked;
+    const doorsEnabled = enableFields && !!edge.hasDoors;
     if (dom.edgeDoorRow) dom.edgeDoorRow.style.display = doorsEnabled ? '' : 'none';
-    // Error highlight for door quantity when doors are enabled
-    if (dom.doorQty) {
-      if (doorsEnabled && (dom.doorQty.value === "" || dom.doorQty.value == null)) {
-        dom.doorQty.classList.add('input-error');
-      } else {
-        dom.doorQty.classList.remove('input-error');
-      }
-    }
+    if (dom.edgeDoorSizeRow) dom.edgeDoorSizeRow.style.display = doorsEnabled ? '' : 'none';
     // Update checkbox states from edge data
     if (dom.doorCheckbox) dom.doorCheckbox.checked = !!edge.hasDoors;
     
     // Update type dropdowns from edge data
     if (dom.wallTypeSelect) dom.wallTypeSelect.value = edge.wallType || '';
-    if (dom.windowTypeSelect) dom.windowTypeSelect.value = edge.windowType || '';
     if (dom.doorTypeSelect) dom.doorTypeSelect.value = edge.doorType || '';
-    if (dom.doorQty) dom.doorQty.value = edge.doorQty || '';
+    if (dom.doorQty) dom.doorQty.value = edge.doorQty ?? '';
+    if (dom.doorWidth) dom.doorWidth.value = edge.doorWidth ?? '';
+    if (dom.doorHeight) dom.doorHeight.value = edge.doorHeight ?? '';
+    // Error highlight for door fields when doors are enabled
+    [dom.doorQty, dom.doorWidth, dom.doorHeight].forEach(el => {
+      if (el) el.classList.toggle('input-error', doorsEnabled && el.value === "");
+    });
     
     // Always show wall length row
     if (dom.edgeLengthRow) dom.edgeLengthRow.style.display = '';
+    if (isBulk) showBulkEdgeValues(bulkEdges, enableFields);
     const edgePanel = document.getElementById('panel-edge');
     if (edgePanel) edgePanel.style.display = '';
   }
@@ -2395,9 +5319,22 @@ const EDGE_HIT_BUFFER_PX = 6;
     const unit = unitAbbrev();
     if (dom.spaceCeilingUnit) dom.spaceCeilingUnit.textContent = unit;
     if (dom.edgeHeightUnit) dom.edgeHeightUnit.textContent = unit;
-    if (dom.edgeWinWidthUnit) dom.edgeWinWidthUnit.textContent = unit;
-    if (dom.edgeWinHeightUnit) dom.edgeWinHeightUnit.textContent = unit;
+    if (dom.edgeHeightEndUnit) dom.edgeHeightEndUnit.textContent = unit;
+    if (dom.edgePeakHeightUnit) dom.edgePeakHeightUnit.textContent = unit;
+    if (dom.edgePeakPositionUnit) dom.edgePeakPositionUnit.textContent = unit;
+    if (dom.edgeLengthUnit) dom.edgeLengthUnit.textContent = unit;
+    if (dom.edgeOpeningsUnit) dom.edgeOpeningsUnit.textContent = `(${unit})`;
+    if (dom.spaceCeilingLowHeightUnit) dom.spaceCeilingLowHeightUnit.textContent = unit;
+    if (dom.doorWidthUnit) dom.doorWidthUnit.textContent = unit;
+    if (dom.doorHeightUnit) dom.doorHeightUnit.textContent = unit;
     if (dom.ceilingManualAreaUnit) dom.ceilingManualAreaUnit.textContent = unit + "²";
+    if (dom.exteriorToleranceUnit) dom.exteriorToleranceUnit.textContent = getScaleFactorForFloor(activeFloor()) > 0 ? unit : "px";
+    updateScaleFactorInfo(activeFloor());
+    renderScaleCheckList(activeFloor());
+    updateVertexEditor();
+    updateTransformEditor();
+    // Window positions are shown in the display unit
+    renderOpeningsEditor(true);
   }
 
   // --------------------------
@@ -2427,6 +5364,9 @@ const EDGE_HIT_BUFFER_PX = 6;
       }
     }
     
+    // Ceiling slopes need a pitch each and shares that cover the whole ceiling
+    issues.push(...ceilingSlopeIssues(space));
+    
     // 3. Skylight validation
     if (space.hasSkylight) {
       if (space.skylightArea === null || space.skylightArea === undefined || space.skylightArea === '') {
@@ -2434,29 +5374,52 @@ const EDGE_HIT_BUFFER_PX = 6;
       }
     }
     
-    // 4. Edge validation (exterior walls)
+    // 4. Edge validation (exterior walls, including void walls)
     if (space.edges && Array.isArray(space.edges)) {
-      space.edges.forEach((edge, idx) => {
+      getAllSpaceEdges(space).forEach((edge, idx) => {
         if (edge.isExterior) {
           // Wall height required
           if (edge.height === null || edge.height === undefined || edge.height === '') {
             issues.push(`Edge ${idx + 1}: Wall height`);
           }
-          
-          // Window dimensions required (0 is allowed - means no windows)
-          if (edge.winWidth === null || edge.winWidth === undefined || edge.winWidth === '') {
-            issues.push(`Edge ${idx + 1}: Window width`);
+          const profile = getHeightProfile(edge);
+          if (profile !== "flat" && !Number.isFinite(edge.heightEnd)) {
+            issues.push(`Edge ${idx + 1}: End height`);
           }
-          if (edge.winHeight === null || edge.winHeight === undefined || edge.winHeight === '') {
-            issues.push(`Edge ${idx + 1}: Window height`);
+          if (profile === "peaked") {
+            if (!Number.isFinite(edge.peakHeight)) issues.push(`Edge ${idx + 1}: Peak height`);
+            if (!Number.isFinite(edge.peakPosition)) {
+              issues.push(`Edge ${idx + 1}: Peak position`);
+            } else if (edge.length > 0 && edge.peakPosition > edge.length) {
+              issues.push(`Edge ${idx + 1}: Peak position past the wall end`);
+            }
           }
           
-          // Door quantity required if doors checkbox is checked
+          // Each window needs a size and count; sill and position are optional
+          getEdgeOpenings(edge).forEach((o, j) => {
+            if (o.width === null || o.width === undefined || o.width === '') {
+              issues.push(`Edge ${idx + 1}: Window ${j + 1} width`);
+            }
+            if (o.height === null || o.height === undefined || o.height === '') {
+              issues.push(`Edge ${idx + 1}: Window ${j + 1} height`);
+            }
+            if (!Number.isFinite(o.qty)) {
+              issues.push(`Edge ${idx + 1}: Window ${j + 1} quantity`);
+            }
+          });
+          
+          // Door quantity and size required if doors checkbox is checked
           if (edge.hasDoors) {
             // Check if doorQty is missing or not a valid number (0 is allowed as a valid value)
             if (edge.doorQty === null || edge.doorQty === undefined || edge.doorQty === '' || !Number.isFinite(edge.doorQty)) {
               issues.push(`Edge ${idx + 1}: Door quantity`);
             }
+            if (!Number.isFinite(edge.doorWidth)) issues.push(`Edge ${idx + 1}: Door width`);
+            if (!Number.isFinite(edge.doorHeight)) issues.push(`Edge ${idx + 1}: Door height`);
+          }
+
+          if (openingsExceedWall(edge)) {
+            issues.push(`Edge ${idx + 1}: Windows and doors exceed wall area`);
           }
         }
       });
@@ -2471,37 +5434,36 @@ const EDGE_HIT_BUFFER_PX = 6;
   function recalcSpaceDerived(space) {
     const floor = activeFloor();
     if (!floor) return;
-    const scale = getScaleFactorForFloor(floor);
-    if (scale <= 0) {
+    updateAutoEdgeDirections(space, floor);
+    // Per-axis factors; an axis-aligned stretch scales area by x·y and lengths per component
+    const scale = getScaleFactorsForFloor(floor);
+    if (scale.x <= 0 || scale.y <= 0) {
       space.area = 0;
       space.exteriorPerimeter = 0;
-      space.edges.forEach(e => {
+      getSpaceVoids(space).forEach(v => { v.area = 0; });
+      getAllSpaceEdges(space).forEach(e => {
         e.length = 0;
-        // Keep inputs blank when undefined; winArea should reflect only defined numbers
-        const w = clampNum(e.winWidth);
-        const h = clampNum(e.winHeight);
-        e.winArea = (isFinite(w) && isFinite(h) && w > 0 && h > 0) ? (w * h) : 0;
+        e.winArea = edgeWindowArea(e);
+        e.doorArea = edgeDoorArea(e);
       });
       return;
     }
 
-    const pts = space.vertices;
-    const pxArea = polygonArea(pts);
-    space.area = pxArea * scale * scale;
+    // Floor area is net of voids
+    let pxArea = polygonArea(space.vertices);
+    getSpaceVoids(space).forEach(v => {
+      const voidPxArea = polygonArea(v.vertices);
+      v.area = voidPxArea * scale.x * scale.y;
+      pxArea -= voidPxArea;
+    });
+    space.area = Math.max(0, pxArea) * scale.x * scale.y;
 
     ensureEdgeArrayForSpace(space);
     let exteriorPerim = 0;
-    for (let i = 0; i < pts.length; i++) {
-      const a = pts[i];
-      const b = pts[(i + 1) % pts.length];
-      const pxLen = distance(a, b);
-      const edge = space.edges[i];
-      edge.length = pxLen * scale;
-      {
-        const w = clampNum(edge.winWidth);
-        const h = clampNum(edge.winHeight);
-        edge.winArea = (isFinite(w) && isFinite(h) && w > 0 && h > 0) ? (w * h) : 0;
-      }
+    for (const { a, b, edge } of getSpaceEdgeSegments(space)) {
+      edge.length = scaledDistance(a, b, scale);
+      edge.winArea = edgeWindowArea(edge);
+      edge.doorArea = edgeDoorArea(edge);
       if (edge.isExterior) {
         exteriorPerim += edge.length;
       }
@@ -2514,6 +5476,12 @@ const EDGE_HIT_BUFFER_PX = 6;
       recalcSpaceDerived(s);
       recalcCeilingArea(s);
     });
+    refreshScaleChecks(floor);
+    if (floor === activeFloor()) {
+      renderScaleCheckList(floor);
+      drawDimensionsForFloor(floor);
+      renderDimensionList(floor);
+    }
     updatePanelsIfSelectionActive();
     saveState();
   }
@@ -2530,41 +5498,234 @@ const EDGE_HIT_BUFFER_PX = 6;
   // --------------------------
   // Floors management
   // --------------------------
-  function addFloorWithImage(imageSrc, name) {
+  // extraProps: optional floor fields set before the first save (e.g. imageDpi, pdfSource)
+  async function addFloorWithImage(imageBlob, name, extraProps = {}) {
+    let imageKey;
+    try {
+      imageKey = await storeFloorImage(imageBlob);
+    } catch (e) {
+      console.warn("Failed to store floor image", e);
+      showSaveError(e);
+      alert(`Could not add floor "${name}": the image could not be stored (${describeStorageError(e)}).`);
+      return null;
+    }
     const floor = {
       id: uid("floor"),
       name,
-      imageSrc,
+      imageKey,
       backgroundFit: null,
       scale: { realLenFeet: 0, pixelLen: 0, unit: dom.scaleUnit.value, line: null, visible: true },
       spaces: [],
+      ...extraProps,
     };
     AppState.floors.push(floor);
     AppState.activeFloorId = floor.id;
     saveState();
     updateFloorSelectOptions();
-    loadFloorIntoCanvas(floor);
+    await loadFloorIntoCanvas(floor);
+    return floor;
   }
 
   async function loadFloorIntoCanvas(floor) {
+    clearExteriorPreview();
     clearCanvasOverlays();
     await setBackgroundFromFloor(floor);
     refreshAllPolygonsForFloor(floor);
     setScaleInputsFromFloor(floor);
     updateScaleToggleLabel();
     updateUnitSuffixes();
+    updateFloorSourceInfo(floor);
+    updateOrthoAngleInput(floor);
+    updateNorthControls(floor);
     selectedSpaceId = null;
     selectedEdgeIndex = null;
     renderSpacesList();
     setStatus(`Loaded floor "${floor.name}".`);
   }
 
-  function deleteActiveFloor() {
-    const floor = activeFloor();
-    if (!floor) return;
-    if (!confirmAction(`Delete floor "${floor.name}" and all its spaces? This cannot be undone.`)) return;
-    AppState.floors = AppState.floors.filter(f => f.id !== floor.id);
-    if (AppState.floors.length > 0) {
+  function updateFloorSourceInfo(floor) {
+    const src = floor?.pdfSource;
+    if (dom.btnRerenderPdf) dom.btnRerenderPdf.style.display = src ? '' : 'none';
+    if (!dom.floorSourceInfo) return;
+    if (!src) {
+      dom.floorSourceInfo.textContent = "";
+      dom.floorSourceInfo.style.display = 'none';
+      return;
+    }
+    const page = src.pageLabel ? `page ${src.pageNumber} (${src.pageLabel})` : `page ${src.pageNumber}`;
+    dom.floorSourceInfo.textContent = `From ${src.fileName}, ${page}, rendered at ${floor.imageDpi || "?"} DPI.`;
+    dom.floorSourceInfo.style.display = '';
+  }
+
+  // --------------------------
+  // PDF import
+  // --------------------------
+  function isPdfFile(file) {
+    return file.type === "application/pdf" || /\.pdf$/i.test(file.name || "");
+  }
+
+  async function loadPdfDocument(file) {
+    if (typeof window.pdfjsLib === "undefined") {
+      throw new Error("the PDF renderer failed to load. Check network/CDN.");
+    }
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+    const data = new Uint8Array(await file.arrayBuffer());
+    return pdfjsLib.getDocument({ data }).promise;
+  }
+
+  // Parse "1-3, 5" into sorted unique page numbers; null when any part is invalid
+  function parsePageSelection(text, pageCount) {
+    const pages = new Set();
+    for (const part of text.split(",")) {
+      const trimmed = part.trim();
+      if (!trimmed) continue;
+      const m = trimmed.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+      if (!m) return null;
+      const start = parseInt(m[1], 10);
+      const end = m[2] ? parseInt(m[2], 10) : start;
+      if (start < 1 || end > pageCount || start > end) return null;
+      for (let n = start; n <= end; n++) pages.add(n);
+    }
+    return pages.size > 0 ? [...pages].sort((a, b) => a - b) : null;
+  }
+
+  function promptDpi(defaultDpi) {
+    const entered = promptText(`Render resolution in DPI (${PDF_MIN_DPI}-${PDF_MAX_DPI}):`, String(defaultDpi));
+    if (!entered) return null;
+    const dpi = parseInt(entered, 10);
+    if (!(dpi >= PDF_MIN_DPI && dpi <= PDF_MAX_DPI)) {
+      alert(`DPI must be a whole number between ${PDF_MIN_DPI} and ${PDF_MAX_DPI}.`);
+      return null;
+    }
+    return dpi;
+  }
+
+  async function renderPdfPageToBlob(pdf, pageNumber, dpi) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: dpi / PDF_POINTS_PER_INCH });
+    const el = document.createElement("canvas");
+    el.width = Math.ceil(viewport.width);
+    el.height = Math.ceil(viewport.height);
+    const ctx = el.getContext("2d");
+    // PDF pages are transparent; plans read best on white
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, el.width, el.height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    page.cleanup();
+    return new Promise((resolve, reject) => {
+      el.toBlob(blob => blob ? resolve(blob) : reject(new Error("could not encode the rendered page")), "image/png");
+    });
+  }
+
+  async function getPdfPageLabels(pdf) {
+    try {
+      return await pdf.getPageLabels();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function importPdfAsFloors(file) {
+    let pdf;
+    try {
+      pdf = await loadPdfDocument(file);
+    } catch (e) {
+      alert(`Could not open "${file.name}" as a PDF: ${e.message}`);
+      return;
+    }
+    try {
+      const pageCount = pdf.numPages;
+      const selection = promptText(`"${file.name}" has ${pageCount} page(s). Pages to import as floors (e.g. 1-3, 5):`, pageCount > 1 ? `1-${pageCount}` : "1");
+      if (!selection) return;
+      const pages = parsePageSelection(selection, pageCount);
+      if (!pages) {
+        alert(`Invalid page selection. Use page numbers between 1 and ${pageCount}, e.g. 1-3, 5.`);
+        return;
+      }
+      const dpi = promptDpi(PDF_DEFAULT_DPI);
+      if (!dpi) return;
+      const labels = await getPdfPageLabels(pdf);
+      for (const n of pages) {
+        const label = (labels && labels[n - 1]) ? labels[n - 1].trim() : "";
+        setStatus(`Rendering page ${n}...`);
+        let blob;
+        try {
+          blob = await renderPdfPageToBlob(pdf, n, dpi);
+        } catch (e) {
+          alert(`Could not render page ${n} of "${file.name}": ${e.message}`);
+          return;
+        }
+        const floor = await addFloorWithImage(blob, label || `Page ${n}`, {
+          imageDpi: dpi,
+          pdfSource: { fileName: file.name, pageNumber: n, pageLabel: label || null },
+        });
+        if (!floor) return;
+      }
+      setStatus(`Imported ${pages.length} page(s) from "${file.name}".`);
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  // Re-render the active floor's PDF page at a new DPI. The source PDF is not stored, so the
+  // user picks it again. backgroundFit is rescaled so the page keeps its canvas size and all
+  // canvas-pixel geometry (scale line, spaces) stays valid.
+  async function rerenderPdfFloor(file) {
+    const floor = activeFloor();
+    if (!floor?.pdfSource) return;
+    let pdf;
+    try {
+      pdf = await loadPdfDocument(file);
+    } catch (e) {
+      alert(`Could not open "${file.name}" as a PDF: ${e.message}`);
+      return;
+    }
+    try {
+      const pageNumber = floor.pdfSource.pageNumber;
+      if (pageNumber > pdf.numPages) {
+        alert(`"${file.name}" has only ${pdf.numPages} page(s), but floor "${floor.name}" came from page ${pageNumber}.`);
+        return;
+      }
+      const dpi = promptDpi(floor.imageDpi || PDF_DEFAULT_DPI);
+      if (!dpi) return;
+      let imageKey;
+      try {
+        const blob = await renderPdfPageToBlob(pdf, pageNumber, dpi);
+        imageKey = await storeFloorImage(blob);
+      } catch (e) {
+        console.warn("Failed to re-render PDF page", e);
+        alert(`Could not re-render page ${pageNumber}: ${describeStorageError(e)}.`);
+        return;
+      }
+      const oldDpi = floor.imageDpi || dpi;
+      if (floor.backgroundFit) {
+        floor.backgroundFit.scaleX *= oldDpi / dpi;
+        floor.backgroundFit.scaleY *= oldDpi / dpi;
+      }
+      const oldImageKey = floor.imageKey;
+      floor.imageKey = imageKey;
+      floor.imageDpi = dpi;
+      // backgroundFit keeps canvas pixels the same size, so a sheet-scale preset still holds at the new DPI
+      if (floor.scale?.preset) floor.scale.preset.dpi = dpi;
+      floor.pdfSource.fileName = file.name;
+      saveState();
+      // Undo snapshots leave images out, so nothing can bring the old one back
+      deleteFloorImage(oldImageKey);
+      await loadFloorIntoCanvas(floor);
+      setStatus(`Re-rendered page ${pageNumber} at ${dpi} DPI.`);
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  function deleteActiveFloor() {
+    const floor = activeFloor();
+    if (!floor) return;
+    if (!confirmAction(`Delete floor "${floor.name}" and all its spaces?`)) return;
+    AppState.floors = AppState.floors.filter(f => f.id !== floor.id);
+    // Undo can bring the floor back, so its image is kept until history is reset
+    retireFloorImage(floor);
+    if (AppState.floors.length > 0) {
       AppState.activeFloorId = AppState.floors[0].id;
     } else {
       AppState.activeFloorId = null;
@@ -2579,9 +5740,72 @@ const EDGE_HIT_BUFFER_PX = 6;
       canvas.setBackgroundImage(null, () => canvas.renderAll());
       setStatus("No floor selected.");
       setScaleInputsFromFloor(null);
+      updateFloorSourceInfo(null);
+      updateOrthoAngleInput(null);
     }
   }
 
+  // Leave any draw mode and drop its in-progress visuals
+  function discardTempDrawing() {
+    cancelAllModes();
+    clearExteriorPreview();
+    [...tempDrawCircles, ...tempDrawLines, ...tempCeilingCircles, ...tempCeilingLines, ...tempVoidCircles, ...tempVoidLines].forEach(o => canvas.remove(o));
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "scaleVertex").forEach(o => canvas.remove(o));
+    tempDrawPoints = [];
+    tempDrawCircles = [];
+    tempDrawLines = [];
+    tempCeilingPoints = [];
+    tempCeilingCircles = [];
+    tempCeilingLines = [];
+    tempVoidPoints = [];
+    tempVoidCircles = [];
+    tempVoidLines = [];
+    tempScalePoints = [];
+    tempCheckPoints = [];
+    tempAxisPoints = [];
+  }
+
+  function clearSelectionState() {
+    // Clear ids first so the selection:cleared handler doesn't restore the old selection
+    selectedSpaceId = null;
+    lastSelectedSpaceId = null;
+    selectedEdgeIndex = null;
+    clearBulkEdges();
+    hoverEdgeIndex = null;
+    canvas.discardActiveObject();
+    clearEdgeHighlight();
+    clearSelectedVertex();
+    clearSelectedCeilingVertex();
+  }
+
+  // Rebuild every panel and the canvas after AppState was replaced wholesale
+  async function reloadProjectIntoUI() {
+    discardTempDrawing();
+    clearSelectionState();
+    resetHistory();
+    selectedTypeKey = null;
+    renderTypeManager();
+    populateTypeDropdowns();
+    setProjectNameUI(AppState.projectName);
+    updateFloorSelectOptions();
+    updateUnitSuffixes();
+    const floor = activeFloor();
+    if (floor) {
+      await loadFloorIntoCanvas(floor);
+    } else {
+      clearCanvasOverlays();
+      canvas.setBackgroundImage(null, () => canvas.renderAll());
+      setScaleInputsFromFloor(null);
+      updateFloorSourceInfo(null);
+      updateOrthoAngleInput(null);
+      renderSpacesList();
+    }
+    updateSpacePanel();
+    updateEdgePanelFromSelection();
+    setSpaceInputsEnabled(false);
+    setEdgeInputsEnabled(false);
+  }
+
   // --------------------------
   // Space operations
   // --------------------------
@@ -2699,6 +5923,11 @@ const EDGE_HIT_BUFFER_PX = 6;
       x: A.x + ABx * t,
       y: A.y + ABy * t
     };
+    const issue = outlineVoidIssue(space, [...space.vertices.slice(0, edgeIdx + 1), newVertex, ...space.vertices.slice(edgeIdx + 1)]);
+    if (issue) {
+      alert(issue);
+      return;
+    }
     
     // Save the original edge properties before modifying the edges array
     ensureEdgeArrayForSpace(space);
@@ -2706,24 +5935,22 @@ const EDGE_HIT_BUFFER_PX = 6;
     const edgePropertiesToCopy = {
       isExterior: originalEdge.isExterior,
       height: originalEdge.height,
-      winWidth: originalEdge.winWidth,
-      winHeight: originalEdge.winHeight,
       direction: originalEdge.direction
     };
+    const splitAt = clampNum(originalEdge.length) * t;
     
-    // Insert the new vertex after edgeIdx
+    // Insert the new vertex after edgeIdx, with a new edge in step so later edges keep their data
     space.vertices.splice(edgeIdx + 1, 0, newVertex);
-    
-    // Rebuild edge array (this will create a new edge at edgeIdx+1)
+    space.edges.splice(edgeIdx + 1, 0, createEdge());
     ensureEdgeArrayForSpace(space);
     
     // Copy properties from original edge to the new edge created by the split
     if (space.edges[edgeIdx + 1]) {
       space.edges[edgeIdx + 1].isExterior = edgePropertiesToCopy.isExterior;
       space.edges[edgeIdx + 1].height = edgePropertiesToCopy.height;
-      space.edges[edgeIdx + 1].winWidth = edgePropertiesToCopy.winWidth;
-      space.edges[edgeIdx + 1].winHeight = edgePropertiesToCopy.winHeight;
       space.edges[edgeIdx + 1].direction = edgePropertiesToCopy.direction;
+      splitEdgeOpenings(originalEdge, space.edges[edgeIdx + 1], splitAt);
+      splitHeightProfile(originalEdge, space.edges[edgeIdx + 1], splitAt);
     }
     
     // Update polygon points without changing left/top: convert absolute vertices to polygon local space
@@ -2779,38 +6006,1672 @@ const EDGE_HIT_BUFFER_PX = 6;
     saveState();
   }
 
-  function deleteSelectedSpace() {
-    if (!selectedSpaceId) return;
+  function deleteSelectedSpace() {
+    if (!selectedSpaceId) return;
+    const floor = activeFloor();
+    if (!floor) return;
+    const space = floor.spaces.find(s => s.id === selectedSpaceId);
+    if (!space) return;
+    if (!confirmAction(`Delete space "${space.name || "Room"}"?`)) return;
+
+    // Remove polygon, ceiling, voids and overlays from canvas
+    removeSpaceFromCanvas(space);
+    floor.spaces = floor.spaces.filter(s => s.id !== space.id);
+    selectedSpaceId = null;
+    selectedEdgeIndex = null;
+    clearEdgeHighlight();
+    updateSpacePanel();
+    updateEdgePanelFromSelection();
+    renderSpacesList();
+    saveState();
+    setStatus("Space deleted.");
+  }
+
+  // --------------------------
+  // Split and merge
+  // --------------------------
+  const SHARED_EDGE_TOLERANCE_PX = 2; // canvas px; walls closer than this count as the same wall
+  const COLOR_SPLIT = "#ef4444";
+
+  function removeSpaceFromCanvas(space) {
+    const poly = spaceIdToPolygon.get(space.id);
+    if (poly) {
+      canvas.remove(poly);
+      polygonIdToSpaceId.delete(poly.__uid || poly.owningCursor || poly.id);
+      spaceIdToPolygon.delete(space.id);
+    }
+    const ceiling = spaceIdToCeiling.get(space.id);
+    if (ceiling) {
+      canvas.remove(ceiling);
+      spaceIdToCeiling.delete(space.id);
+    }
+    removeVoidPolygonsForSpace(space.id);
+    removeEdgeOverlaysForSpace(space.id);
+  }
+
+  function addSpaceToCanvas(space) {
+    addPolygonForSpace(space);
+    addVoidPolygonsForSpace(space);
+    updateEdgeOverlaysForSpace(space.id);
+    if (space.ceilingVertices && space.ceilingVertices.length >= 3) {
+      addCeilingForSpace(space);
+      recalcCeilingArea(space);
+    }
+  }
+
+  // Surviving wall pieces keep every property of the wall they came from
+  function cloneEdge(edge) {
+    return edge ? { ...JSON.parse(JSON.stringify(edge)), id: uid("edge") } : null;
+  }
+
+  // The part of a cut wall before (or after) fraction u along it, with only the windows on that
+  // part and its share of the height profile
+  function cutEdgeAt(edge, u, keepTail) {
+    if (!edge) return null;
+    const head = cloneEdge(edge);
+    const tail = cloneEdge(edge);
+    const splitAt = clampNum(edge.length) * u;
+    splitEdgeOpenings(head, tail, splitAt);
+    splitHeightProfile(head, tail, splitAt);
+    return keepTail ? tail : head;
+  }
+
+  function ringSignedArea(pts) {
+    let area = 0;
+    for (let i = 0; i < pts.length; i++) {
+      const j = (i + 1) % pts.length;
+      area += pts[i].x * pts[j].y - pts[j].x * pts[i].y;
+    }
+    return area / 2;
+  }
+
+  // Intersection of segments p1p2 and ab as { point, t (along p1p2), u (along ab) }, or null
+  function segmentIntersection(p1, p2, a, b) {
+    const rx = p2.x - p1.x, ry = p2.y - p1.y;
+    const sx = b.x - a.x, sy = b.y - a.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-12) return null; // parallel or collinear
+    const qx = a.x - p1.x, qy = a.y - p1.y;
+    const t = (qx * sy - qy * sx) / denom;
+    const u = (qx * ry - qy * rx) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return { point: { x: p1.x + rx * t, y: p1.y + ry * t }, t, u };
+  }
+
+  // Remove zero-length walls (e.g. a cut through a vertex) together with their edge entries
+  function dropDegenerateEdges(vertices, edges, tol) {
+    let i = 0;
+    while (i < vertices.length && vertices.length > 3) {
+      const j = (i + 1) % vertices.length;
+      if (distance(vertices[i], vertices[j]) >= tol) {
+        i++;
+      } else if (j === 0) {
+        vertices.splice(i, 1);
+        edges.splice(i, 1);
+      } else {
+        vertices.splice(j, 1);
+        edges.splice(i, 1);
+      }
+    }
+  }
+
+  // Cut a ring with segment p1p2 into two { vertices, edges } pieces. Null unless the segment
+  // crosses the outline exactly twice with the part in between inside the ring.
+  // The cut wall itself is left as null in each piece's edges for the caller to fill.
+  // Walls the cut crosses keep only the windows and height profile on each piece's side.
+  function splitRingBySegment(vertices, edges, p1, p2, tol) {
+    const n = vertices.length;
+    const hits = [];
+    for (let i = 0; i < n; i++) {
+      const hit = segmentIntersection(p1, p2, vertices[i], vertices[(i + 1) % n]);
+      if (!hit || hit.u >= 1) continue; // a vertex belongs to the edge starting there
+      if (hits.some(h => distance(h.point, hit.point) < tol)) continue;
+      hits.push({ ...hit, edgeIdx: i });
+    }
+    if (hits.length !== 2 || hits[0].edgeIdx === hits[1].edgeIdx) return null;
+    const mid = { x: (hits[0].point.x + hits[1].point.x) / 2, y: (hits[0].point.y + hits[1].point.y) / 2 };
+    if (!isPointInPolygon(mid, vertices)) return null;
+    const piece = (from, to) => {
+      const pv = [from.point];
+      const pe = [cutEdgeAt(edges?.[from.edgeIdx], from.u, true)];
+      for (let k = (from.edgeIdx + 1) % n; ; k = (k + 1) % n) {
+        pv.push(vertices[k]);
+        pe.push(k === to.edgeIdx ? cutEdgeAt(edges?.[k], to.u, false) : cloneEdge(edges?.[k]));
+        if (k === to.edgeIdx) break;
+      }
+      pv.push(to.point);
+      pe.push(null);
+      dropDegenerateEdges(pv, pe, tol);
+      return { vertices: pv.map(p => ({ x: p.x, y: p.y })), edges: pe };
+    };
+    return [piece(hits[0], hits[1]), piece(hits[1], hits[0])];
+  }
+
+  // Which side of line p1p2 a set of points is on, judged by the point farthest from it
+  function sideOfLine(p1, p2, pts) {
+    let best = 0;
+    pts.forEach(p => {
+      const c = (p2.x - p1.x) * (p.y - p1.y) - (p2.y - p1.y) * (p.x - p1.x);
+      if (Math.abs(c) > Math.abs(best)) best = c;
+    });
+    return Math.sign(best);
+  }
+
+  // Outline as directed segments with positive signed area. src identifies the original wall.
+  function ringSegments(vertices, edges, tag) {
+    const segs = vertices.map((a, i) => ({ a, b: vertices[(i + 1) % vertices.length], edge: edges?.[i] || null, src: `${tag}${i}` }));
+    if (ringSignedArea(vertices) >= 0) return segs;
+    return segs.map(s => ({ ...s, a: s.b, b: s.a })).reverse();
+  }
+
+  // Break segments wherever one of `points` lies on them, so partially shared walls line up
+  function splitSegmentsAtPoints(segs, points, tol) {
+    const out = [];
+    segs.forEach(seg => {
+      const dx = seg.b.x - seg.a.x, dy = seg.b.y - seg.a.y;
+      const len2 = dx * dx + dy * dy;
+      const cuts = points
+        .filter(p => segmentDistance(p, seg.a, seg.b) < tol && distance(p, seg.a) >= tol && distance(p, seg.b) >= tol)
+        .map(p => ({ p, t: ((p.x - seg.a.x) * dx + (p.y - seg.a.y) * dy) / (len2 || 1) }))
+        .sort((c1, c2) => c1.t - c2.t);
+      let start = seg.a;
+      cuts.forEach(c => {
+        out.push({ ...seg, a: start, b: c.p });
+        start = c.p;
+      });
+      out.push({ ...seg, a: start, b: seg.b });
+    });
+    return out;
+  }
+
+  // Closed chain of segments → { vertices, edges }, re-joining pieces of the same original wall
+  function segmentLoopToRing(loop) {
+    const merged = [];
+    loop.forEach(seg => {
+      const prev = merged[merged.length - 1];
+      if (prev && prev.src === seg.src) prev.b = seg.b;
+      else merged.push({ ...seg });
+    });
+    if (merged.length > 1 && merged[0].src === merged[merged.length - 1].src) {
+      merged[0].a = merged.pop().a;
+    }
+    return { vertices: merged.map(s => ({ x: s.a.x, y: s.a.y })), edges: merged.map(s => cloneEdge(s.edge)) };
+  }
+
+  // Union of two rings that share at least part of a wall. Shared walls (traversed in opposite
+  // directions once both outlines have the same winding) are dropped; what remains is chained
+  // into the outer ring plus any enclosed holes. Null if the rings don't share a wall.
+  function unionRings(ringA, ringB, tol) {
+    const segsA = splitSegmentsAtPoints(ringSegments(ringA.vertices, ringA.edges, "a"), ringB.vertices, tol);
+    const segsB = splitSegmentsAtPoints(ringSegments(ringB.vertices, ringB.edges, "b"), ringA.vertices, tol);
+    const shared = new Set();
+    segsA.forEach(sa => {
+      const sb = segsB.find(s => !shared.has(s) && distance(sa.a, s.b) < tol && distance(sa.b, s.a) < tol);
+      if (sb) {
+        shared.add(sa);
+        shared.add(sb);
+      }
+    });
+    if (shared.size === 0) return null;
+    const remaining = [...segsA, ...segsB].filter(s => !shared.has(s));
+    const loops = [];
+    while (remaining.length > 0) {
+      const loop = [remaining.shift()];
+      while (distance(loop[loop.length - 1].b, loop[0].a) >= tol) {
+        const last = loop[loop.length - 1];
+        const nextIdx = remaining.findIndex(s => distance(s.a, last.b) < tol);
+        if (nextIdx < 0) return null;
+        loop.push(remaining.splice(nextIdx, 1)[0]);
+      }
+      loops.push(segmentLoopToRing(loop));
+    }
+    loops.sort((l1, l2) => Math.abs(ringSignedArea(l2.vertices)) - Math.abs(ringSignedArea(l1.vertices)));
+    const [outer, ...holes] = loops;
+    // Any other outward-wound loop means the spaces only touch at a corner
+    if (outer.vertices.length < 3 || holes.some(h => ringSignedArea(h.vertices) > 0)) return null;
+    return { outer, holes: holes.filter(h => h.vertices.length >= 3) };
+  }
+
+  // Replace spaces on the active floor and select the first replacement
+  // Swap oldSpaces for newSpaces in place (or append when oldSpaces is empty) and select the first new one
+  function replaceSpaces(floor, oldSpaces, newSpaces) {
+    const insertAt = oldSpaces.length > 0 ? floor.spaces.indexOf(oldSpaces[0]) : floor.spaces.length;
+    oldSpaces.forEach(s => removeSpaceFromCanvas(s));
+    floor.spaces = floor.spaces.filter(s => !oldSpaces.includes(s));
+    floor.spaces.splice(Math.max(0, insertAt), 0, ...newSpaces);
+    newSpaces.forEach(s => {
+      ensureEdgeArrayForSpace(s);
+      recalcSpaceDerived(s);
+      addSpaceToCanvas(s);
+    });
+    clearSelectionState();
+    const poly = spaceIdToPolygon.get(newSpaces[0].id);
+    if (poly) canvas.setActiveObject(poly);
+    selectSpace(newSpaces[0].id);
+    renderSpacesList();
+    canvas.requestRenderAll();
+    saveState();
+  }
+
+  function clearSplitVisuals() {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "splitMarker").forEach(o => canvas.remove(o));
+  }
+
+  function enterSplitSpaceMode() {
+    const wasActive = isSplittingSpace;
+    const spaceId = selectedSpaceId;
+    cancelAllModes();
+    if (wasActive) {
+      canvas.renderAll();
+      setStatus("Split cancelled.");
+      return;
+    }
+    if (!spaceId) {
+      alert("Select a space first.");
+      return;
+    }
+    isSplittingSpace = true;
+    splitSpaceId = spaceId;
+    splitPoints = [];
+    canvas.defaultCursor = "crosshair";
+    if (dom.btnSplitSpace) dom.btnSplitSpace.classList.add('active');
+    setStatus("Split: click two points on either side of the space to draw the cut line. Hold Shift for ortho.");
+  }
+
+  function addSplitPoint(pointer, e) {
+    const floor = activeFloor();
+    let pt = findSnapPoint(pointer, { e }) || pointer;
+    if (splitPoints.length === 1 && !findSnapPoint(pointer, { e }) && (orthoLocked || e?.shiftKey)) {
+      pt = constrainOrtho(splitPoints[0], pointer, floor);
+    }
+    splitPoints.push({ x: pt.x, y: pt.y });
+    const marker = new fabric.Circle({
+      radius: SCALE_VERTEX_RADIUS_PX / currentZoom,
+      fill: COLOR_SPLIT,
+      left: pt.x,
+      top: pt.y,
+      originX: "center",
+      originY: "center",
+      selectable: false,
+      evented: false,
+    });
+    marker.set("fpType", "splitMarker");
+    canvas.add(marker);
+    canvas.requestRenderAll();
+    if (splitPoints.length === 2) {
+      const [p1, p2] = splitPoints;
+      const spaceId = splitSpaceId;
+      cancelAllModes();
+      splitSpace(spaceId, p1, p2);
+    }
+  }
+
+  function updateSplitPreview(pointer) {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "splitMarker" && o.type === "line").forEach(o => canvas.remove(o));
+    if (splitPoints.length !== 1) return;
+    const [p1] = splitPoints;
+    const line = new fabric.Line([p1.x, p1.y, pointer.x, pointer.y], {
+      stroke: COLOR_SPLIT,
+      strokeWidth: 2 / currentZoom,
+      strokeDashArray: [6 / currentZoom, 4 / currentZoom],
+      selectable: false,
+      evented: false,
+    });
+    line.set("fpType", "splitMarker");
+    canvas.add(line);
+  }
+
+  function splitSpace(spaceId, p1, p2) {
+    const floor = activeFloor();
+    const space = floor?.spaces.find(s => s.id === spaceId);
+    if (!space) return;
+    ensureEdgeArrayForSpace(space);
+    const tol = SHARED_EDGE_TOLERANCE_PX;
+    const pieces = splitRingBySegment(space.vertices, space.edges, p1, p2, tol);
+    if (!pieces) {
+      alert("The cut line must cross the space's outline exactly twice. Start and end it outside the space.");
+      return;
+    }
+    const sides = pieces.map(p => sideOfLine(p1, p2, p.vertices));
+    const voids = getSpaceVoids(space);
+    if (voids.some(v => v.vertices.some((a, i) => segmentIntersection(p1, p2, a, v.vertices[(i + 1) % v.vertices.length])))) {
+      alert("The cut line crosses a void. Delete or reshape the void first.");
+      return;
+    }
+
+    let ceilingPieces = null;
+    if (Array.isArray(space.ceilingVertices) && space.ceilingVertices.length >= 3) {
+      ceilingPieces = splitRingBySegment(space.ceilingVertices, null, p1, p2, tol)
+        || [{ vertices: space.ceilingVertices.map(p => ({ x: p.x, y: p.y })) }];
+    }
+
+    const totalArea = polygonArea(space.vertices);
+    const newSpaces = pieces.map((piece, i) => {
+      const s = JSON.parse(JSON.stringify(space));
+      s.id = uid("space");
+      s.name = `${space.name || "Room"} ${i === 0 ? "A" : "B"}`;
+      s.vertices = piece.vertices;
+      // The cut becomes a new interior wall on both sides
+      s.edges = piece.edges.map(e => e || createEdge());
+      s.voids = voids.filter(v => isPointInPolygon(v.vertices[0], piece.vertices)).map(v => JSON.parse(JSON.stringify(v)));
+      // Ceiling polygons follow the side of the cut they fall on
+      s.ceilingVertices = null;
+      (ceilingPieces || []).forEach(cp => {
+        if (sideOfLine(p1, p2, cp.vertices) === sides[i]) s.ceilingVertices = cp.vertices;
+      });
+      // Manual ceiling area is shared out by floor area; a skylight stays with the first piece
+      if (space.ceilingManualOverride && space.ceilingManualArea != null && totalArea > 0) {
+        s.ceilingManualArea = clampNum(space.ceilingManualArea) * polygonArea(piece.vertices) / totalArea;
+      }
+      if (i > 0) {
+        s.hasSkylight = false;
+        s.skylightArea = null;
+      }
+      return s;
+    });
+
+    replaceSpaces(floor, [space], newSpaces);
+    setStatus(`Split "${space.name || "Room"}" into two spaces.`);
+  }
+
+  function enterMergeSpaceMode() {
+    const wasActive = isPickingMergeSpace;
+    const spaceId = selectedSpaceId;
+    cancelAllModes();
+    if (wasActive) {
+      setStatus("Merge cancelled.");
+      return;
+    }
+    if (!spaceId) {
+      alert("Select a space first.");
+      return;
+    }
+    isPickingMergeSpace = true;
+    mergeSourceSpaceId = spaceId;
+    canvas.defaultCursor = "crosshair";
+    if (dom.btnMergeSpace) dom.btnMergeSpace.classList.add('active');
+    const space = activeFloor()?.spaces.find(s => s.id === spaceId);
+    setStatus(`Merge: click an adjacent space to merge into "${space?.name || "Room"}".`);
+  }
+
+  function pickMergeSpace(pointer) {
+    const floor = activeFloor();
+    const sourceId = mergeSourceSpaceId;
+    const target = floor?.spaces.find(s => s.id !== sourceId && isPointInSpace(pointer, s));
+    cancelAllModes();
+    if (!target) {
+      setStatus("Merge cancelled: no other space under the cursor.");
+      return;
+    }
+    mergeSpaces(sourceId, target.id);
+  }
+
+  function mergeSpaces(spaceIdA, spaceIdB) {
+    const floor = activeFloor();
+    const a = floor?.spaces.find(s => s.id === spaceIdA);
+    const b = floor?.spaces.find(s => s.id === spaceIdB);
+    if (!a || !b) return;
+    ensureEdgeArrayForSpace(a);
+    ensureEdgeArrayForSpace(b);
+    const tol = SHARED_EDGE_TOLERANCE_PX;
+    const union = unionRings(a, b, tol);
+    if (!union) {
+      alert(`"${a.name || "Room"}" and "${b.name || "Room"}" don't share a wall, so they can't be merged.`);
+      return;
+    }
+
+    const merged = JSON.parse(JSON.stringify(a));
+    merged.id = uid("space");
+    merged.vertices = union.outer.vertices;
+    merged.edges = union.outer.edges;
+    // Walls enclosed by the union (a courtyard between the two) become voids
+    merged.voids = [
+      ...JSON.parse(JSON.stringify([...getSpaceVoids(a), ...getSpaceVoids(b)])),
+      ...union.holes.map(h => ({ id: uid("void"), vertices: h.vertices, edges: h.edges })),
+    ];
+
+    let ceilingNote = "";
+    if (a.ceilingSameAsFloor && b.ceilingSameAsFloor) {
+      merged.ceilingVertices = null;
+    } else if (a.ceilingManualOverride && b.ceilingManualOverride) {
+      merged.ceilingManualArea = clampNum(a.ceilingManualArea) + clampNum(b.ceilingManualArea);
+    } else {
+      const ceilingA = a.ceilingSameAsFloor ? a.vertices : a.ceilingVertices;
+      const ceilingB = b.ceilingSameAsFloor ? b.vertices : b.ceilingVertices;
+      const ceilingUnion = (ceilingA?.length >= 3 && ceilingB?.length >= 3)
+        ? unionRings({ vertices: ceilingA, edges: null }, { vertices: ceilingB, edges: null }, tol)
+        : null;
+      merged.ceilingSameAsFloor = false;
+      merged.ceilingManualOverride = false;
+      merged.ceilingManualArea = null;
+      merged.ceilingVertices = ceilingUnion ? ceilingUnion.outer.vertices : null;
+      if (!ceilingUnion) ceilingNote = " Redraw its ceiling.";
+    }
+    if (b.hasSkylight) {
+      merged.hasSkylight = true;
+      merged.skylightArea = clampNum(a.hasSkylight ? a.skylightArea : 0) + clampNum(b.skylightArea);
+      merged.skylightType = merged.skylightType || b.skylightType;
+    }
+
+    replaceSpaces(floor, [a, b], [merged]);
+    setStatus(`Merged "${b.name || "Room"}" into "${a.name || "Room"}".${ceilingNote}`);
+  }
+
+  // --------------------------
+  // Copy, cut and paste
+  // --------------------------
+  const PASTE_OFFSET_PX = 20; // screen px; same-floor copies are nudged so they don't hide the original
+
+  // Session-only: { sourceFloorId, factors, spaces, pasteCount }; spaces are detached deep copies
+  let spaceClipboard = null;
+
+  // Every space in the canvas selection (Shift-click or drag-select), or the single selected space
+  function getSelectedSpaces() {
+    const floor = activeFloor();
+    if (!floor) return [];
+    const ids = new Set(canvas.getActiveObjects()
+      .filter(o => o.get && o.get("fpType") === "space")
+      .map(o => o.get("spaceId")));
+    if (selectedSpaceId) ids.add(selectedSpaceId);
+    return floor.spaces.filter(s => ids.has(s.id));
+  }
+
+  function spaceCountLabel(n) {
+    return `${n} space${n === 1 ? "" : "s"}`;
+  }
+
+  // Fresh ids throughout so the copy never shares edges or voids with its original
+  function cloneSpace(space, transformPoint) {
+    const s = JSON.parse(JSON.stringify(space));
+    s.id = uid("space");
+    s.vertices = s.vertices.map(transformPoint);
+    s.edges = (s.edges || []).map(e => cloneEdge(e));
+    s.voids = getSpaceVoids(s).map(v => ({
+      ...v,
+      id: uid("void"),
+      vertices: v.vertices.map(transformPoint),
+      edges: (v.edges || []).map(e => cloneEdge(e)),
+    }));
+    if (Array.isArray(s.ceilingVertices)) s.ceilingVertices = s.ceilingVertices.map(transformPoint);
+    return s;
+  }
+
+  function updateClipboardButtons() {
+    if (dom.btnPasteSpace) {
+      dom.btnPasteSpace.style.display = spaceClipboard?.spaces.length ? '' : 'none';
+    }
+  }
+
+  function copySelectedSpaces() {
+    const floor = activeFloor();
+    const spaces = getSelectedSpaces();
+    if (!floor || spaces.length === 0) return false;
+    spaces.forEach(s => ensureEdgeArrayForSpace(s));
+    spaceClipboard = {
+      sourceFloorId: floor.id,
+      factors: getScaleFactorsForFloor(floor),
+      spaces: JSON.parse(JSON.stringify(spaces)),
+      pasteCount: 0,
+    };
+    updateClipboardButtons();
+    setStatus(`Copied ${spaceCountLabel(spaces.length)}.`);
+    return true;
+  }
+
+  function cutSelectedSpaces() {
+    const floor = activeFloor();
+    const spaces = getSelectedSpaces();
+    if (!copySelectedSpaces()) return false;
+    clearSelectionState();
+    spaces.forEach(s => removeSpaceFromCanvas(s));
+    floor.spaces = floor.spaces.filter(s => !spaces.includes(s));
+    // Pasting back onto this floor should land exactly where the spaces were cut from
+    spaceClipboard.pasteCount = -1;
+    updateSpacePanel();
+    updateEdgePanelFromSelection();
+    renderSpacesList();
+    canvas.requestRenderAll();
+    saveState();
+    setStatus(`Cut ${spaceCountLabel(spaces.length)}.`);
+    return true;
+  }
+
+  function pasteSpaces() {
+    const floor = activeFloor();
+    if (!floor || !spaceClipboard?.spaces.length) return false;
+    cancelAllModes();
+    const sameFloor = spaceClipboard.sourceFloorId === floor.id;
+    // Sheets drawn at different resolutions: offer to keep real-world dimensions
+    const src = spaceClipboard.factors;
+    const dst = getScaleFactorsForFloor(floor);
+    let sx = 1, sy = 1;
+    const canRescale = !sameFloor && src.x > 0 && src.y > 0 && dst.x > 0 && dst.y > 0;
+    if (canRescale && (Math.abs(src.x / dst.x - 1) > 1e-6 || Math.abs(src.y / dst.y - 1) > 1e-6)) {
+      if (confirmAction(`"${floor.name}" has a different scale than the floor these spaces were copied from. Rescale them to keep their real dimensions?`)) {
+        sx = src.x / dst.x;
+        sy = src.y / dst.y;
+      }
+    }
+    // Rescale about the copied group's center so the spaces stay where they were on the sheet
+    const pts = spaceClipboard.spaces.flatMap(sp => sp.vertices);
+    const cx = (Math.min(...pts.map(p => p.x)) + Math.max(...pts.map(p => p.x))) / 2;
+    const cy = (Math.min(...pts.map(p => p.y)) + Math.max(...pts.map(p => p.y))) / 2;
+    let offset = 0;
+    if (sameFloor) {
+      spaceClipboard.pasteCount += 1;
+      offset = spaceClipboard.pasteCount * PASTE_OFFSET_PX / currentZoom;
+    }
+    const transformPoint = p => ({ x: cx + (p.x - cx) * sx + offset, y: cy + (p.y - cy) * sy + offset });
+    const pasted = spaceClipboard.spaces.map(sp => cloneSpace(sp, transformPoint));
+    replaceSpaces(floor, [], pasted);
+    setStatus(`Pasted ${spaceCountLabel(pasted.length)}${sx !== 1 || sy !== 1 ? " (rescaled)" : ""}.`);
+    return true;
+  }
+
+  function duplicateSelectedSpaces() {
+    const floor = activeFloor();
+    const spaces = getSelectedSpaces();
+    if (!floor || spaces.length === 0) return false;
+    cancelAllModes();
+    const offset = PASTE_OFFSET_PX / currentZoom;
+    const copies = spaces.map(sp => {
+      ensureEdgeArrayForSpace(sp);
+      const copy = cloneSpace(sp, p => ({ x: p.x + offset, y: p.y + offset }));
+      copy.name = `${sp.name || "Room"} Copy`;
+      return copy;
+    });
+    replaceSpaces(floor, [], copies);
+    setStatus(`Duplicated ${spaceCountLabel(copies.length)}.`);
+    return true;
+  }
+
+  // --------------------------
+  // Move, rotate and mirror
+  // --------------------------
+  const ROTATE_SNAP_DEG = 15; // Shift while rotating by drag
+  const COLOR_TRANSFORM_PREVIEW = "#0ea5e9";
+  const COMPASS_CLOCKWISE = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+  const MIRRORED_DIRECTION = {
+    horizontal: { E: "W", W: "E", NE: "NW", NW: "NE", SE: "SW", SW: "SE" },
+    vertical: { N: "S", S: "N", NE: "SE", SE: "NE", NW: "SW", SW: "NW" },
+  };
+
+  function getSpacesCenter(spaces) {
+    const pts = spaces.flatMap(s => s.vertices);
+    return {
+      x: (Math.min(...pts.map(p => p.x)) + Math.max(...pts.map(p => p.x))) / 2,
+      y: (Math.min(...pts.map(p => p.y)) + Math.max(...pts.map(p => p.y))) / 2,
+    };
+  }
+
+  // Positive degrees turn clockwise on screen (canvas y points down)
+  function rotatePointAbout(p, pivot, degrees) {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    const dx = p.x - pivot.x, dy = p.y - pivot.y;
+    return { x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos };
+  }
+
+  function reselectSpaces(ids) {
+    const polys = ids.map(id => spaceIdToPolygon.get(id)).filter(Boolean);
+    if (polys.length === 0) return;
+    if (polys.length === 1) {
+      canvas.setActiveObject(polys[0]);
+    } else {
+      canvas.setActiveObject(new fabric.ActiveSelection(polys, { canvas, hasControls: false }));
+    }
+    selectSpace(ids[0]);
+  }
+
+  function turnDirection(direction, rotateSteps, mirror) {
+    let dir = mirror ? (MIRRORED_DIRECTION[mirror][direction] || direction) : direction;
+    const i = COMPASS_CLOCKWISE.indexOf(dir);
+    if (rotateSteps && i >= 0) dir = COMPASS_CLOCKWISE[(((i + rotateSteps) % 8) + 8) % 8];
+    return dir;
+  }
+
+  // Map every ring of each space (outline, voids, ceiling) through mapPoint and redraw it.
+  // Wall and ceiling slope directions turn with the space: rotateSteps is in 45° compass steps, mirror is an axis name.
+  function transformSpaces(spaces, mapPoint, { rotateSteps = 0, mirror = null } = {}) {
+    const ids = spaces.map(s => s.id);
+    clearSelectionState();
+    spaces.forEach(space => {
+      ensureEdgeArrayForSpace(space);
+      space.vertices = space.vertices.map(mapPoint);
+      getSpaceVoids(space).forEach(v => { v.vertices = v.vertices.map(mapPoint); });
+      if (Array.isArray(space.ceilingVertices)) space.ceilingVertices = space.ceilingVertices.map(mapPoint);
+      getAllSpaceEdges(space).forEach(edge => { edge.direction = turnDirection(edge.direction, rotateSteps, mirror); });
+      getCeilingSlopes(space).forEach(slope => { slope.direction = turnDirection(slope.direction, rotateSteps, mirror); });
+      removeSpaceFromCanvas(space);
+      recalcSpaceDerived(space);
+      addSpaceToCanvas(space);
+    });
+    reselectSpaces(ids);
+    renderSpacesList();
+    canvas.requestRenderAll();
+    saveState();
+  }
+
+  function moveSelectedSpaces() {
+    const floor = activeFloor();
+    const spaces = getSelectedSpaces();
+    if (!floor || spaces.length === 0) return;
+    const factors = getScaleFactorsForFloor(floor);
+    const scaled = factors.x > 0 && factors.y > 0;
+    // Typed like any length on a scaled floor (a leading minus moves left or up), plain pixels otherwise
+    const readOffset = input => {
+      const text = input.value.trim();
+      if (!scaled) return parseFloat(text) || 0;
+      if (!text) return 0;
+      const feet = parseLengthInput(text.replace(/^-\s*/, ""));
+      if (feet === null) return NaN;
+      return text.startsWith("-") ? -feet : feet;
+    };
+    const offX = readOffset(dom.moveOffsetX);
+    const offY = readOffset(dom.moveOffsetY);
+    if (!isFinite(offX) || !isFinite(offY)) {
+      setStatus(`Could not read the move offset. Try 12'6", 12.5ft or 3.8m.`);
+      return;
+    }
+    if (offX === 0 && offY === 0) {
+      setStatus("Enter a move offset first.");
+      return;
+    }
+    const dx = scaled ? offX / factors.x : offX;
+    const dy = scaled ? offY / factors.y : offY;
+    cancelAllModes();
+    transformSpaces(spaces, p => ({ x: p.x + dx, y: p.y + dy }));
+    setStatus(`Moved ${spaceCountLabel(spaces.length)}.`);
+  }
+
+  function rotateSpaces(spaces, degrees, pivot = getSpacesCenter(spaces)) {
+    if (spaces.length === 0 || !isFinite(degrees) || degrees % 360 === 0) return;
+    transformSpaces(spaces, p => rotatePointAbout(p, pivot, degrees), { rotateSteps: Math.round(degrees / 45) });
+    setStatus(`Rotated ${spaceCountLabel(spaces.length)} by ${toFixedSmart(degrees, 1)}°.`);
+  }
+
+  function rotateSelectedSpaces() {
+    const spaces = getSelectedSpaces();
+    const degrees = parseFloat(dom.rotateAngle.value);
+    if (spaces.length === 0) return;
+    if (!isFinite(degrees)) {
+      setStatus("Enter a rotation angle first.");
+      return;
+    }
+    cancelAllModes();
+    rotateSpaces(spaces, degrees);
+  }
+
+  // axis "horizontal" flips left-right (E↔W); "vertical" flips top-bottom (N↔S)
+  function mirrorSelectedSpaces(axis) {
+    const spaces = getSelectedSpaces();
+    if (spaces.length === 0) return;
+    cancelAllModes();
+    const c = getSpacesCenter(spaces);
+    const mapPoint = axis === "horizontal"
+      ? p => ({ x: 2 * c.x - p.x, y: p.y })
+      : p => ({ x: p.x, y: 2 * c.y - p.y });
+    transformSpaces(spaces, mapPoint, { mirror: axis });
+    setStatus(`Mirrored ${spaceCountLabel(spaces.length)} ${axis === "horizontal" ? "left to right" : "top to bottom"}.`);
+  }
+
+  function clearRotateVisuals() {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "rotateMarker").forEach(o => canvas.remove(o));
+  }
+
+  function enterRotateDragMode() {
+    const wasActive = isRotatingSpaces;
+    const spaces = getSelectedSpaces();
+    cancelAllModes();
+    if (wasActive) {
+      canvas.renderAll();
+      setStatus("Rotate cancelled.");
+      return;
+    }
+    if (spaces.length === 0) {
+      alert("Select a space first.");
+      return;
+    }
+    isRotatingSpaces = true;
+    rotateSpaceIds = spaces.map(s => s.id);
+    rotatePivot = getSpacesCenter(spaces);
+    rotateStartAngle = null;
+    // Dragging must not move the polygons or start a selection box
+    canvas.selection = false;
+    canvas.skipTargetFind = true;
+    canvas.defaultCursor = "crosshair";
+    const pivot = new fabric.Circle({
+      radius: SCALE_VERTEX_RADIUS_PX / currentZoom,
+      fill: COLOR_TRANSFORM_PREVIEW,
+      left: rotatePivot.x,
+      top: rotatePivot.y,
+      originX: "center",
+      originY: "center",
+      selectable: false,
+      evented: false,
+    });
+    pivot.set("fpType", "rotateMarker");
+    canvas.add(pivot);
+    canvas.requestRenderAll();
+    if (dom.btnRotateDrag) dom.btnRotateDrag.classList.add('active');
+    setStatus("Rotate: press and drag around the blue pivot, then release. Hold Shift to snap to 15°.");
+  }
+
+  function rotateDragAngle(pointer, e) {
+    const angle = Math.atan2(pointer.y - rotatePivot.y, pointer.x - rotatePivot.x);
+    let degrees = (angle - rotateStartAngle) * 180 / Math.PI;
+    if (degrees > 180) degrees -= 360;
+    if (degrees < -180) degrees += 360;
+    if (e?.shiftKey) degrees = Math.round(degrees / ROTATE_SNAP_DEG) * ROTATE_SNAP_DEG;
+    return degrees;
+  }
+
+  function startRotateDrag(pointer) {
+    rotateStartAngle = Math.atan2(pointer.y - rotatePivot.y, pointer.x - rotatePivot.x);
+  }
+
+  function updateRotatePreview(pointer, e) {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "rotateMarker" && o.type === "polygon").forEach(o => canvas.remove(o));
+    const floor = activeFloor();
+    const degrees = rotateDragAngle(pointer, e);
+    rotateSpaceIds.forEach(id => {
+      const space = floor?.spaces.find(s => s.id === id);
+      if (!space) return;
+      const outline = new fabric.Polygon(space.vertices.map(p => rotatePointAbout(p, rotatePivot, degrees)), {
+        fill: "transparent",
+        stroke: COLOR_TRANSFORM_PREVIEW,
+        strokeWidth: 2 / currentZoom,
+        strokeDashArray: [6 / currentZoom, 4 / currentZoom],
+        objectCaching: false,
+        selectable: false,
+        evented: false,
+      });
+      outline.set("fpType", "rotateMarker");
+      canvas.add(outline);
+    });
+    setStatus(`Rotate: ${toFixedSmart(degrees, 1)}°`);
+    canvas.requestRenderAll();
+  }
+
+  function finishRotateDrag(pointer, e) {
+    const floor = activeFloor();
+    const degrees = rotateDragAngle(pointer, e);
+    const pivot = rotatePivot;
+    const spaces = (floor?.spaces || []).filter(s => rotateSpaceIds.includes(s.id));
+    cancelAllModes();
+    if (Math.abs(degrees) < 1e-6) {
+      setStatus("Rotate cancelled.");
+      canvas.requestRenderAll();
+      return;
+    }
+    rotateSpaces(spaces, degrees, pivot);
+  }
+
+  function updateTransformEditor() {
+    if (!dom.transformEditor) return;
+    dom.transformEditor.style.display = (selectedSpaceId || isRotatingSpaces) ? '' : 'none';
+    const factors = getScaleFactorsForFloor(activeFloor());
+    const unit = factors.x > 0 && factors.y > 0 ? unitAbbrev() : "px";
+    if (dom.moveOffsetXUnit) dom.moveOffsetXUnit.textContent = unit;
+    if (dom.moveOffsetYUnit) dom.moveOffsetYUnit.textContent = unit;
+  }
+
+  // --------------------------
+  // North arrow and wall directions
+  // --------------------------
+  const NORTH_ARROW_SIZE_PX = 40; // canvas px; scales with the drawing like the sheet itself
+  const COLOR_NORTH_ARROW = "#1e293b";
+
+  // floor.north = { angle: degrees clockwise from sheet-up, x, y: arrow center or null for the default spot }
+  function getFloorNorth(floor) {
+    return floor?.north || { angle: 0, x: null, y: null };
+  }
+
+  // Bearing of a canvas vector, clockwise from sheet-up (canvas y points down)
+  function screenBearing(x, y) {
+    return Math.atan2(x, -y) * 180 / Math.PI;
+  }
+
+  // Each auto edge gets the compass direction it faces away from the space: outward for the outline,
+  // into the hole for void walls. Per-axis scale factors keep bearings true on stretched sheets.
+  function updateAutoEdgeDirections(space, floor) {
+    ensureEdgeArrayForSpace(space);
+    const factors = getScaleFactorsForFloor(floor);
+    const fx = factors.x > 0 ? factors.x : 1;
+    const fy = factors.y > 0 ? factors.y : 1;
+    const northRad = clampNum(getFloorNorth(floor).angle) * Math.PI / 180;
+    const northBearing = screenBearing(Math.sin(northRad) * fx, -Math.cos(northRad) * fy);
+    const rings = [
+      { vertices: space.vertices, edges: space.edges, hole: false },
+      ...getSpaceVoids(space).map(v => ({ vertices: v.vertices, edges: v.edges, hole: true })),
+    ];
+    rings.forEach(({ vertices, edges, hole }) => {
+      // Positive signed area runs clockwise on screen, which puts the outside to the left of travel
+      const sign = (ringSignedArea(vertices) > 0 ? 1 : -1) * (hole ? -1 : 1);
+      vertices.forEach((a, i) => {
+        const edge = edges[i];
+        if (!edge || edge.directionManual) return;
+        const b = vertices[(i + 1) % vertices.length];
+        const dx = (b.x - a.x) * fx;
+        const dy = (b.y - a.y) * fy;
+        if (dx === 0 && dy === 0) return;
+        const bearing = screenBearing(sign * dy, -sign * dx) - northBearing;
+        edge.direction = COMPASS_CLOCKWISE[((Math.round(bearing / 45) % 8) + 8) % 8];
+      });
+    });
+  }
+
+  function removeNorthArrow() {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "northArrow").forEach(o => canvas.remove(o));
+  }
+
+  function drawNorthArrow(floor) {
+    removeNorthArrow();
+    if (!floor) return;
+    const north = getFloorNorth(floor);
+    const size = NORTH_ARROW_SIZE_PX;
+    const arrow = new fabric.Triangle({
+      width: size * 0.6,
+      height: size,
+      fill: COLOR_NORTH_ARROW,
+      originX: "center",
+      originY: "center",
+    });
+    const label = new fabric.Text("N", {
+      fontSize: size * 0.4,
+      fontWeight: "bold",
+      fill: "#ffffff",
+      originX: "center",
+      originY: "center",
+      top: size * 0.15,
+    });
+    // Until it is moved, the arrow sits just inside the sheet's top-left corner, clear of the panel overlay
+    const fit = floor.backgroundFit;
+    const group = new fabric.Group([arrow, label], {
+      left: north.x ?? (fit ? fit.left : PANEL_BUFFER) + size * 1.5,
+      top: north.y ?? (fit ? fit.top : 0) + size * 1.5,
+      originX: "center",
+      originY: "center",
+      angle: clampNum(north.angle),
+      hasBorders: false,
+      lockScalingX: true,
+      lockScalingY: true,
+      lockSkewingX: true,
+      lockSkewingY: true,
+      hoverCursor: "move",
+      cornerColor: COLOR_NORTH_ARROW,
+      cornerStyle: "circle",
+    });
+    // Only the rotation handle: the arrow can be dragged and turned, never stretched
+    group.setControlsVisibility({ tl: false, tr: false, bl: false, br: false, ml: false, mr: false, mt: false, mb: false, mtr: true });
+    group.set("fpType", "northArrow");
+    group.on("modified", () => {
+      const f = activeFloor();
+      if (!f) return;
+      setFloorNorth(f, { angle: group.angle, x: group.left, y: group.top });
+    });
+    canvas.add(group);
+    canvas.requestRenderAll();
+  }
+
+  function updateNorthControls(floor) {
+    if (dom.northAngle) {
+      dom.northAngle.value = floor ? toFixedSmart(clampNum(getFloorNorth(floor).angle), 1) : "";
+      dom.northAngle.disabled = !floor;
+    }
+    drawNorthArrow(floor);
+  }
+
+  function setFloorNorth(floor, north) {
+    const angle = ((clampNum(north.angle) % 360) + 360) % 360;
+    floor.north = { ...getFloorNorth(floor), ...north, angle: Math.round(angle * 10) / 10 };
+    updateNorthControls(floor);
+    // Directions of every auto wall on the floor follow the arrow
+    recalcAllSpacesForFloor(floor);
+    setStatus(`North set to ${floor.north.angle}° from sheet-up.`);
+  }
+
+  // --------------------------
+  // Wall height profiles
+  // --------------------------
+  // "flat" walls use edge.height throughout. "sloped" walls run from edge.height at the start vertex
+  // to heightEnd (a shed roof); "peaked" walls add a ridge of peakHeight at peakPosition (a gable end).
+  // peakPosition is a distance along the wall: kept in feet like edge.length, typed in the display unit
+  const HEIGHT_PROFILE_FIELDS = [
+    ["heightEnd", dom.edgeHeightEnd],
+    ["peakHeight", dom.edgePeakHeight],
+    ["peakPosition", dom.edgePeakPosition, true],
+  ];
+
+  function wallPositionToInput(feet) {
+    return Number.isFinite(feet) ? String(toFixedSmart(feetToDisplayLength(feet), 4)) : "";
+  }
+
+  function inputToWallPosition(text) {
+    const v = parseFloat(text);
+    return Number.isFinite(v) && v >= 0 ? displayLengthToFeet(v) : undefined;
+  }
+
+  function getHeightProfile(edge) {
+    return (edge?.heightProfile === "sloped" || edge?.heightProfile === "peaked") ? edge.heightProfile : "flat";
+  }
+
+  // Outline of the wall as [distance along the wall, height] pairs from start to end
+  function heightProfilePoints(edge) {
+    const length = clampNum(edge.length);
+    const start = clampNum(edge.height);
+    const profile = getHeightProfile(edge);
+    if (profile === "flat") return [[0, start], [length, start]];
+    const end = clampNum(edge.heightEnd);
+    if (profile === "sloped") return [[0, start], [length, end]];
+    const at = Math.max(0, Math.min(length, clampNum(edge.peakPosition)));
+    return [[0, start], [at, clampNum(edge.peakHeight)], [length, end]];
+  }
+
+  function wallHeightAt(edge, distanceAlong) {
+    const pts = heightProfilePoints(edge);
+    for (let i = 1; i < pts.length; i++) {
+      const [d0, h0] = pts[i - 1];
+      const [d1, h1] = pts[i];
+      if (distanceAlong > d1 && i < pts.length - 1) continue;
+      if (d1 <= d0) return h1;
+      const d = Math.max(d0, Math.min(d1, distanceAlong));
+      return h0 + (h1 - h0) * (d - d0) / (d1 - d0);
+    }
+    return clampNum(edge.height);
+  }
+
+  // A rectangle, a trapezoid, or a pentagon summed as two trapezoids either side of the peak
+  function wallProfileArea(edge) {
+    const pts = heightProfilePoints(edge);
+    let area = 0;
+    for (let i = 1; i < pts.length; i++) {
+      area += (pts[i][0] - pts[i - 1][0]) * (pts[i - 1][1] + pts[i][1]) / 2;
+    }
+    return area;
+  }
+
+  // Gives each half of a split wall its part of the outline; the half without the peak becomes sloped
+  function splitHeightProfile(edge, newEdge, splitAt) {
+    const profile = getHeightProfile(edge);
+    newEdge.heightProfile = profile;
+    HEIGHT_PROFILE_FIELDS.forEach(([field]) => { newEdge[field] = edge[field]; });
+    if (profile === "flat" || !(splitAt > 0)) return;
+    const mid = wallHeightAt(edge, splitAt);
+    newEdge.height = mid;
+    if (profile === "peaked" && clampNum(edge.peakPosition) > splitAt) {
+      newEdge.peakPosition = edge.peakPosition - splitAt;
+      edge.heightProfile = "sloped";
+    } else {
+      newEdge.heightProfile = "sloped";
+    }
+    edge.heightEnd = mid;
+  }
+
+  // Outline of two walls merged into one: the left wall's start height, the right wall's end height
+  // and the higher of their peaks, moved along by the left wall's length if it came from the right
+  function mergeHeightProfiles(merged, left, right) {
+    const peak = [left, right]
+      .map((e, i) => getHeightProfile(e) === "peaked"
+        ? { height: e.peakHeight, position: clampNum(e.peakPosition) + (i === 1 ? clampNum(left.length) : 0) }
+        : null)
+      .filter(Boolean)
+      .sort((a, b) => clampNum(b.height) - clampNum(a.height))[0];
+    const end = getHeightProfile(right) === "flat" ? right.height : right.heightEnd;
+    merged.height = left.height;
+    merged.heightEnd = end;
+    if (peak) {
+      merged.heightProfile = "peaked";
+      merged.peakHeight = peak.height;
+      merged.peakPosition = peak.position;
+    } else if (getHeightProfile(left) === "flat" && getHeightProfile(right) === "flat" && clampNum(left.height) === clampNum(end)) {
+      merged.heightProfile = "flat";
+    } else {
+      merged.heightProfile = "sloped";
+    }
+  }
+
+  function showHeightProfile(edge, enableFields) {
+    const profile = getHeightProfile(edge);
+    if (dom.edgeHeightProfile) dom.edgeHeightProfile.value = profile;
+    if (dom.edgeHeightLabel) dom.edgeHeightLabel.textContent = profile === "flat" ? "Wall Height" : "Start Height";
+    HEIGHT_PROFILE_FIELDS.forEach(([field, el, isPosition]) => {
+      if (el) el.value = isPosition ? wallPositionToInput(edge[field]) : edge[field] ?? "";
+    });
+    const showEnd = enableFields && profile !== "flat";
+    const showPeak = enableFields && profile === "peaked";
+    if (dom.edgeProfileRow) dom.edgeProfileRow.style.display = enableFields ? '' : 'none';
+    if (dom.edgeHeightEndRow) dom.edgeHeightEndRow.style.display = showEnd ? '' : 'none';
+    if (dom.edgePeakRow) dom.edgePeakRow.style.display = showPeak ? '' : 'none';
+    if (dom.edgeHeightEnd) dom.edgeHeightEnd.classList.toggle('input-error', showEnd && dom.edgeHeightEnd.value === "");
+    [dom.edgePeakHeight, dom.edgePeakPosition].forEach(el => {
+      if (el) el.classList.toggle('input-error', showPeak && el.value === "");
+    });
+  }
+
+  // --------------------------
+  // Wall openings
+  // --------------------------
+  // Sizes are entered like wall height; qty repeats one size, sill and position are optional
+  const OPENING_FIELDS = [
+    ["width", "Width", "length"],
+    ["height", "Height", "length"],
+    ["qty", "Qty", "count"],
+    ["type", "Type", "type"],
+    ["sill", "Sill", "length"],
+    ["position", "Position", "length"],
+  ];
+  const OPTIONAL_OPENING_FIELDS = ["sill", "position"];
+
+  function createOpening() {
+    return {
+      width: undefined,
+      height: undefined,
+      qty: 1,
+      type: AppState.types.window[0]?.id || "",
+      sill: undefined, // window bottom above the floor
+      position: undefined, // feet from the wall's start vertex to the window's near side
+    };
+  }
+
+  function getEdgeOpenings(edge) {
+    return Array.isArray(edge?.openings) ? edge.openings : [];
+  }
+
+  // Windows positioned past splitAt move to newEdge, measured from its start; unpositioned ones stay
+  function splitEdgeOpenings(edge, newEdge, splitAt) {
+    const moved = splitAt > 0
+      ? getEdgeOpenings(edge).filter(o => Number.isFinite(o.position) && o.position >= splitAt)
+      : [];
+    edge.openings = getEdgeOpenings(edge).filter(o => !moved.includes(o));
+    newEdge.openings = moved.map(o => ({ ...o, position: o.position - splitAt }));
+  }
+
+  function openingArea(o) {
+    const w = clampNum(o.width);
+    const h = clampNum(o.height);
+    const q = clampNum(o.qty);
+    return (w > 0 && h > 0 && q > 0) ? w * h * q : 0;
+  }
+
+  function edgeWindowArea(edge) {
+    return getEdgeOpenings(edge).reduce((sum, o) => sum + openingArea(o), 0);
+  }
+
+  // Doors are one size per wall, repeated doorQty times
+  function edgeDoorArea(edge) {
+    if (!edge?.hasDoors) return 0;
+    const w = clampNum(edge.doorWidth);
+    const h = clampNum(edge.doorHeight);
+    const q = clampNum(edge.doorQty);
+    return (w > 0 && h > 0 && q > 0) ? w * h * q : 0;
+  }
+
+  function edgeGrossArea(edge) {
+    return wallProfileArea(edge);
+  }
+
+  // Opaque wall left after windows and doors
+  function edgeNetArea(edge) {
+    return Math.max(0, edgeGrossArea(edge) - clampNum(edge.winArea) - clampNum(edge.doorArea));
+  }
+
+  function openingsExceedWall(edge) {
+    const gross = edgeGrossArea(edge);
+    return !!edge.isExterior && gross > 0 && clampNum(edge.winArea) + clampNum(edge.doorArea) > gross;
+  }
+
+  function showEdgeAreas(edges) {
+    const total = fn => edges.reduce((sum, e) => sum + fn(e), 0);
+    dom.edgeWallArea.textContent = formatWithUnit(total(edgeGrossArea), true, true);
+    dom.edgeWindowArea.textContent = formatWithUnit(total(e => clampNum(e.winArea)), true, true);
+    if (dom.edgeDoorArea) dom.edgeDoorArea.textContent = formatWithUnit(total(e => clampNum(e.doorArea)), true, true);
+    if (dom.edgeNetArea) dom.edgeNetArea.textContent = formatWithUnit(total(edgeNetArea), true, true);
+    if (!dom.edgeOpeningsWarning) return;
+    const over = edges.filter(openingsExceedWall).length;
+    dom.edgeOpeningsWarning.textContent = edges.length === 1
+      ? "Windows and doors add up to more than the gross wall area."
+      : `Windows and doors add up to more than the gross wall area on ${over} of the selected walls.`;
+    dom.edgeOpeningsWarning.style.display = over > 0 ? '' : 'none';
+  }
+
+  // Bulk edits go window-by-window, so they need the same list on every selected wall
+  function haveSameOpenings(edges) {
+    const key = e => JSON.stringify(getEdgeOpenings(e).map(o => OPENING_FIELDS.map(([field]) => o[field] ?? null)));
+    const first = key(edges[0]);
+    return edges.every(e => key(e) === first);
+  }
+
+  // Rebuilds the rows only when the selection or the number of windows changes, so typing keeps focus
+  function renderOpeningsEditor(force = false) {
+    const list = dom.edgeOpeningsList;
+    if (!list) return;
+    const edges = getSelectedEdges();
+    const enabled = edges.some(e => e.isExterior);
+    const mixed = edges.length > 1 && !haveSameOpenings(edges);
+    const key = [enabled, mixed, ...edges.map(e => `${e.id}:${getEdgeOpenings(e).length}`)].join("|");
+    if (!force && list.dataset.key === key) return;
+    list.dataset.key = key;
+    list.innerHTML = "";
+    if (edges.length === 0) return;
+    const openings = getEdgeOpenings(edges[0]);
+    if (mixed || openings.length === 0) {
+      const hint = document.createElement("div");
+      hint.className = "hint";
+      hint.textContent = mixed
+        ? "The selected walls have different windows. Add Window adds one to each wall."
+        : "No windows on this wall.";
+      list.appendChild(hint);
+      return;
+    }
+    openings.forEach((o, i) => {
+      const item = document.createElement("div");
+      item.className = "opening-item";
+      const head = document.createElement("div");
+      head.className = "void-row";
+      const title = document.createElement("span");
+      title.textContent = `Window ${i + 1}`;
+      const btnRemove = document.createElement("button");
+      btnRemove.className = "danger";
+      btnRemove.textContent = "Remove";
+      btnRemove.disabled = !enabled;
+      btnRemove.setAttribute("aria-label", `Remove window ${i + 1}`);
+      btnRemove.addEventListener("click", () => removeOpening(i));
+      head.appendChild(title);
+      head.appendChild(btnRemove);
+      const fields = document.createElement("div");
+      fields.className = "form-row opening-fields";
+      OPENING_FIELDS.forEach(([field, label, kind]) => {
+        const id = `opening${i}-${field}`;
+        const labelEl = document.createElement("label");
+        labelEl.htmlFor = id;
+        labelEl.textContent = label;
+        let input;
+        if (kind === "type") {
+          input = document.createElement("select");
+          AppState.types.window.forEach(t => {
+            const opt = document.createElement("option");
+            opt.value = t.id;
+            opt.textContent = t.name;
+            input.appendChild(opt);
+          });
+          input.value = o.type || "";
+        } else {
+          input = document.createElement("input");
+          input.type = "number";
+          input.min = "0";
+          input.step = kind === "count" ? "1" : "0.0001";
+          input.value = field === "position" ? wallPositionToInput(o.position) : o[field] ?? "";
+          if (enabled && input.value === "" && !OPTIONAL_OPENING_FIELDS.includes(field)) input.classList.add('input-error');
+        }
+        input.id = id;
+        input.disabled = !enabled;
+        input.setAttribute("aria-label", `Window ${i + 1} ${label.toLowerCase()}`);
+        input.addEventListener(kind === "type" ? "change" : "input", () => setOpeningField(i, field, kind, input));
+        fields.appendChild(labelEl);
+        fields.appendChild(input);
+      });
+      item.appendChild(head);
+      item.appendChild(fields);
+      list.appendChild(item);
+    });
+  }
+
+  function setOpeningField(index, field, kind, input) {
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
+    let value;
+    if (kind === "type") {
+      value = input.value || "";
+    } else if (field === "position") {
+      value = inputToWallPosition(input.value);
+    } else {
+      const v = kind === "count" ? parseInt(input.value, 10) : parseFloat(input.value);
+      value = Number.isFinite(v) && v >= 0 ? v : undefined;
+      const missing = value === undefined && !OPTIONAL_OPENING_FIELDS.includes(field);
+      input.classList.toggle('input-error', missing);
+    }
+    edges.forEach(edge => {
+      const o = getEdgeOpenings(edge)[index];
+      if (o) o[field] = value;
+    });
+    recalcSelectedSpaceAndRefresh();
+  }
+
+  function addOpening() {
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
+    edges.forEach(edge => { edge.openings = [...getEdgeOpenings(edge), createOpening()]; });
+    recalcSelectedSpaceAndRefresh();
+  }
+
+  function removeOpening(index) {
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
+    edges.forEach(edge => { edge.openings = getEdgeOpenings(edge).filter((_, j) => j !== index); });
+    recalcSelectedSpaceAndRefresh();
+  }
+
+  // --------------------------
+  // Bulk selection and editing
+  // --------------------------
+  // Fields shared by every edge / space in a bulk selection: [input, value getter]
+  const BULK_EDGE_FIELDS = [
+    [dom.edgeIsExterior, e => !!e.isExterior],
+    [dom.edgeDirection, e => e.direction || "N"],
+    [dom.edgeDirectionAuto, e => !e.directionManual],
+    [dom.edgeHeightProfile, e => getHeightProfile(e)],
+    [dom.edgeHeight, e => e.height ?? ""],
+    [dom.edgeHeightEnd, e => e.heightEnd ?? ""],
+    [dom.edgePeakHeight, e => e.peakHeight ?? ""],
+    [dom.edgePeakPosition, e => wallPositionToInput(e.peakPosition)],
+    [dom.wallTypeSelect, e => e.wallType || ""],
+    [dom.doorCheckbox, e => !!e.hasDoors],
+    [dom.doorQty, e => e.doorQty ?? ""],
+    [dom.doorWidth, e => e.doorWidth ?? ""],
+    [dom.doorHeight, e => e.doorHeight ?? ""],
+    [dom.doorTypeSelect, e => e.doorType || ""],
+  ];
+  const BULK_SPACE_FIELDS = [
+    [dom.spaceCeiling, s => s.ceilingHeight ?? ""],
+    [dom.skylightCheckbox, s => !!s.hasSkylight],
+    [dom.skylightArea, s => s.skylightArea ?? ""],
+    [dom.skylightTypeSelect, s => s.skylightType || ""],
+    [dom.ceilingSameAsFloor, s => !!s.ceilingSameAsFloor],
+    [dom.spaceConditioned, s => s.conditioned !== false],
+    [dom.spaceCeilingLowHeight, s => s.ceilingLowHeight ?? ""],
+  ];
+
+  // A mixed field shows as indeterminate: blank with a "Mixed" placeholder, or a tri-state checkbox
+  function setFieldMixed(el, mixed) {
+    if (!el) return;
+    if (el.type === "checkbox") {
+      el.indeterminate = mixed;
+      return;
+    }
+    if (el.dataset.placeholder === undefined) el.dataset.placeholder = el.placeholder || "";
+    el.placeholder = mixed ? "Mixed" : el.dataset.placeholder;
+    if (!mixed) return;
+    if (el.tagName === "SELECT") el.selectedIndex = -1; else el.value = "";
+    el.classList.remove('input-error');
+  }
+
+  function setFieldsMixed(fields, mixed) {
+    fields.forEach(([el]) => setFieldMixed(el, mixed));
+  }
+
+  function showMixedValues(fields, items) {
+    fields.forEach(([el, get]) => {
+      const first = get(items[0]);
+      setFieldMixed(el, items.some(it => get(it) !== first));
+    });
+  }
+
+  function showBulkEdgeValues(edges, enableFields) {
+    showMixedValues(BULK_EDGE_FIELDS, edges);
+    const lengthTotal = edges.reduce((sum, e) => sum + clampNum(e.length), 0);
+    dom.edgeLength.value = "";
+    dom.edgeLength.placeholder = `${toFixedSmart(feetToDisplayLength(lengthTotal), 2)} total`;
+    showEdgeAreas(edges);
+    const doorsShown = enableFields && edges.some(e => e.hasDoors);
+    if (dom.edgeDoorRow) dom.edgeDoorRow.style.display = doorsShown ? '' : 'none';
+    if (dom.edgeDoorSizeRow) dom.edgeDoorSizeRow.style.display = doorsShown ? '' : 'none';
+    if (dom.edgeBulkInfo) {
+      dom.edgeBulkInfo.textContent = `${edges.length} walls selected. Changes apply to all of them; Shift-click a wall to add or remove it.`;
+      dom.edgeBulkInfo.style.display = '';
+    }
+  }
+
+  function showBulkSpaceValues(spaces) {
+    showMixedValues(BULK_SPACE_FIELDS, spaces);
+    dom.spaceName.value = "";
+    dom.spaceName.placeholder = `${spaceCountLabel(spaces.length)} selected`;
+    dom.spaceName.readOnly = true;
+    dom.spaceArea.textContent = formatWithUnit(spaces.reduce((sum, s) => sum + clampNum(s.area), 0), true);
+    dom.spaceExteriorPerim.textContent = formatWithUnit(spaces.reduce((sum, s) => sum + clampNum(s.exteriorPerimeter), 0), false);
+    dom.spaceCeilingArea.textContent = formatWithUnit(spaces.reduce((sum, s) => sum + getCeilingPlanArea(s), 0), true);
+    if (dom.spaceCeilingSurfaceArea) {
+      dom.spaceCeilingSurfaceArea.textContent = formatWithUnit(spaces.reduce((sum, s) => sum + getCeilingSurfaceArea(s), 0), true);
+    }
+    // Ceiling polygons, manual ceiling areas and voids stay per-space
+    if (dom.ceilingControlsRow) dom.ceilingControlsRow.style.display = 'none';
+    if (dom.skylightAreaRow) dom.skylightAreaRow.style.display = spaces.some(s => s.hasSkylight) ? '' : 'none';
+    if (dom.ceilingLowHeightRow) dom.ceilingLowHeightRow.style.display = spaces.some(s => getCeilingSlopes(s).length > 0) ? '' : 'none';
+    renderVoidList(null);
+  }
+
+  // Every selected edge resolved to { space, edge, index } on the active floor
+  function getBulkEdgeEntries() {
+    const floor = activeFloor();
+    if (!floor || bulkEdgeIds.length === 0) return [];
+    const wanted = new Set(bulkEdgeIds);
+    const entries = [];
+    floor.spaces.forEach(space => {
+      ensureEdgeArrayForSpace(space);
+      getAllSpaceEdges(space).forEach((edge, index) => {
+        if (wanted.has(edge.id)) entries.push({ space, edge, index });
+      });
+    });
+    return entries;
+  }
+
+  // Edges the edge panel writes to: the whole bulk selection, or just the selected edge
+  function getSelectedEdges() {
+    const bulk = getBulkEdgeEntries();
+    if (bulk.length > 1) return bulk.map(en => en.edge);
+    const edge = getSelectedEdge();
+    return edge ? [edge] : [];
+  }
+
+  function getEdgeSelectionSpaces() {
+    const bulk = getBulkEdgeEntries();
+    if (bulk.length > 1) return [...new Set(bulk.map(en => en.space))];
+    const space = activeFloor()?.spaces.find(s => s.id === selectedSpaceId);
+    return space ? [space] : [];
+  }
+
+  function clearBulkEdges() {
+    if (bulkEdgeIds.length === 0) return;
+    bulkEdgeIds = [];
+    if (dom.edgeBulkInfo) dom.edgeBulkInfo.style.display = 'none';
+    activeFloor()?.spaces.forEach(sp => updateEdgeOverlaysForSpace(sp.id));
+  }
+
+  // Select a set of edges; `preferred` (an entry) becomes the edge shown in the panel
+  function setBulkEdgeSelection(entries, preferred = null) {
+    const floor = activeFloor();
+    if (!floor || entries.length === 0) return;
+    const ids = entries.map(en => en.edge.id).filter(Boolean);
+    const primary = preferred || entries.find(en => en.space.id === selectedSpaceId) || entries[0];
+    if (primary.space.id !== selectedSpaceId) {
+      const poly = spaceIdToPolygon.get(primary.space.id);
+      if (poly) canvas.setActiveObject(poly);
+      selectSpace(primary.space.id);
+    }
+    bulkEdgeIds = ids;
+    clearSelectedVertex();
+    clearSelectedCeilingVertex();
+    selectedEdgeIndex = primary.index;
+    const poly = spaceIdToPolygon.get(primary.space.id);
+    if (poly) highlightSelectedEdge(getSpaceEdgeSegments(primary.space, getPolygonAbsolutePoints(poly)), primary.index);
+    floor.spaces.forEach(sp => updateEdgeOverlaysForSpace(sp.id));
+    updateEdgePanelFromSelection();
+    showTab('tab-properties', true);
+    setStatus(entries.length > 1 ? `${entries.length} walls selected.` : `Edge ${primary.index + 1} selected.`);
+  }
+
+  // Shift-click: add or remove one edge, seeding the selection with the edge already selected
+  function toggleBulkEdge(space, index) {
+    const edge = getAllSpaceEdges(space)[index];
+    if (!edge) return;
+    let entries = getBulkEdgeEntries();
+    if (entries.length === 0 && selectedEdgeIndex != null && selectedSpaceId === space.id) {
+      const current = getAllSpaceEdges(space)[selectedEdgeIndex];
+      if (current) entries = [{ space, edge: current, index: selectedEdgeIndex }];
+    }
+    const exists = entries.some(en => en.edge === edge);
+    entries = exists ? entries.filter(en => en.edge !== edge) : [...entries, { space, edge, index }];
+    if (entries.length === 0) {
+      clearBulkEdges();
+      selectedEdgeIndex = null;
+      clearEdgeHighlight();
+      updateEdgePanelFromSelection();
+      return;
+    }
+    setBulkEdgeSelection(entries, exists ? null : entries[entries.length - 1]);
+  }
+
+  function selectAllEdgesOfSpace() {
+    const space = activeFloor()?.spaces.find(s => s.id === selectedSpaceId);
+    if (!space) return;
+    ensureEdgeArrayForSpace(space);
+    setBulkEdgeSelection(getAllSpaceEdges(space).map((edge, index) => ({ space, edge, index })));
+  }
+
+  function selectExteriorEdgesOnFloor() {
     const floor = activeFloor();
     if (!floor) return;
-    const space = floor.spaces.find(s => s.id === selectedSpaceId);
-    if (!space) return;
-    if (!confirmAction(`Delete space "${space.name || "Room"}"?`)) return;
+    const entries = [];
+    floor.spaces.forEach(space => {
+      ensureEdgeArrayForSpace(space);
+      getAllSpaceEdges(space).forEach((edge, index) => {
+        if (edge.isExterior) entries.push({ space, edge, index });
+      });
+    });
+    if (entries.length === 0) {
+      setStatus("No exterior walls on this floor yet.");
+      return;
+    }
+    setBulkEdgeSelection(entries);
+  }
 
-    // Remove polygon from canvas
-    const poly = spaceIdToPolygon.get(space.id);
-    if (poly) {
-      canvas.remove(poly);
-      polygonIdToSpaceId.delete(poly.__uid || poly.owningCursor || poly.id);
-      spaceIdToPolygon.delete(space.id);
+  function clearBoxSelectVisuals() {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "boxSelect").forEach(o => canvas.remove(o));
+  }
+
+  function enterBoxSelectEdgesMode() {
+    const wasActive = isBoxSelectingEdges;
+    cancelAllModes();
+    if (wasActive) {
+      canvas.renderAll();
+      setStatus("Box select cancelled.");
+      return;
     }
-    // Remove ceiling from canvas
-    const ceiling = spaceIdToCeiling.get(space.id);
-    if (ceiling) {
-      canvas.remove(ceiling);
-      spaceIdToCeiling.delete(space.id);
+    isBoxSelectingEdges = true;
+    boxSelectStart = null;
+    // Dragging must not move the polygons or start Fabric's own selection box
+    canvas.selection = false;
+    canvas.skipTargetFind = true;
+    canvas.defaultCursor = "crosshair";
+    if (dom.btnBoxSelectEdges) dom.btnBoxSelectEdges.classList.add('active');
+    setStatus("Drag a box around the walls to select. Hold Shift when releasing to add to the current selection.");
+  }
+
+  function updateBoxSelectPreview(pointer) {
+    clearBoxSelectVisuals();
+    const rect = new fabric.Rect({
+      left: Math.min(boxSelectStart.x, pointer.x),
+      top: Math.min(boxSelectStart.y, pointer.y),
+      width: Math.abs(pointer.x - boxSelectStart.x),
+      height: Math.abs(pointer.y - boxSelectStart.y),
+      fill: "rgba(239, 68, 68, 0.08)",
+      stroke: COLOR_EDGE_SELECTED,
+      strokeWidth: 1 / currentZoom,
+      strokeDashArray: [6 / currentZoom, 4 / currentZoom],
+      selectable: false,
+      evented: false,
+    });
+    rect.set("fpType", "boxSelect");
+    canvas.add(rect);
+    canvas.requestRenderAll();
+  }
+
+  // Walls lying entirely inside the box are selected
+  function finishBoxSelectEdges(pointer, e) {
+    const floor = activeFloor();
+    const start = boxSelectStart;
+    const addToSelection = !!e?.shiftKey;
+    const previous = addToSelection ? getBulkEdgeEntries() : [];
+    if (addToSelection && previous.length === 0 && selectedEdgeIndex != null) {
+      const space = floor?.spaces.find(s => s.id === selectedSpaceId);
+      const edge = space && getAllSpaceEdges(space)[selectedEdgeIndex];
+      if (edge) previous.push({ space, edge, index: selectedEdgeIndex });
     }
-    floor.spaces = floor.spaces.filter(s => s.id !== space.id);
-    // Remove overlays for this space
-    removeEdgeOverlaysForSpace(space.id);
-    selectedSpaceId = null;
-    selectedEdgeIndex = null;
-    clearEdgeHighlight();
-    updateSpacePanel();
-    updateEdgePanelFromSelection();
+    cancelAllModes();
+    if (!floor || !start) return;
+    const minX = Math.min(start.x, pointer.x), maxX = Math.max(start.x, pointer.x);
+    const minY = Math.min(start.y, pointer.y), maxY = Math.max(start.y, pointer.y);
+    const inBox = p => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY;
+    const entries = [...previous];
+    floor.spaces.forEach(space => {
+      ensureEdgeArrayForSpace(space);
+      getSpaceEdgeSegments(space).forEach((seg, index) => {
+        if (inBox(seg.a) && inBox(seg.b) && !entries.some(en => en.edge === seg.edge)) {
+          entries.push({ space, edge: seg.edge, index });
+        }
+      });
+    });
+    if (entries.length === 0) {
+      setStatus("No walls inside the box.");
+      canvas.requestRenderAll();
+      return;
+    }
+    setBulkEdgeSelection(entries);
+  }
+
+  // --------------------------
+  // Exterior wall detection
+  // --------------------------
+  const COLOR_TO_INTERIOR = "#64748b";
+
+  // { changes: [{ space, edge, index, a, b, toExterior, partial, apply }] } while a preview is shown
+  let exteriorProposal = null;
+
+  function getExteriorTolerancePx(floor) {
+    // Typed like any length on a scaled floor, plain pixels otherwise
+    const f = getScaleFactorForFloor(floor);
+    const val = f > 0 ? parseLengthInput(dom.exteriorTolerance?.value) : parseFloat(dom.exteriorTolerance?.value);
+    if (!(val >= 0)) return SHARED_EDGE_TOLERANCE_PX;
+    return f > 0 ? val / f : val;
+  }
+
+  // Length of a→b that lies along walls of other spaces, within tol canvas px of its line
+  function sharedLengthPx(a, b, otherSegments, tol) {
+    const len = distance(a, b);
+    if (len === 0) return 0;
+    const ux = (b.x - a.x) / len;
+    const uy = (b.y - a.y) / len;
+    const intervals = [];
+    otherSegments.forEach(({ a: c, b: d }) => {
+      const offC = Math.abs((c.x - a.x) * uy - (c.y - a.y) * ux);
+      const offD = Math.abs((d.x - a.x) * uy - (d.y - a.y) * ux);
+      if (offC > tol || offD > tol) return;
+      const tc = (c.x - a.x) * ux + (c.y - a.y) * uy;
+      const td = (d.x - a.x) * ux + (d.y - a.y) * uy;
+      const lo = Math.max(0, Math.min(tc, td));
+      const hi = Math.min(len, Math.max(tc, td));
+      if (hi > lo) intervals.push([lo, hi]);
+    });
+    intervals.sort((p, q) => p[0] - q[0]);
+    let covered = 0;
+    let reach = 0;
+    intervals.forEach(([lo, hi]) => {
+      if (hi <= reach) return;
+      covered += hi - Math.max(lo, reach);
+      reach = hi;
+    });
+    return covered;
+  }
+
+  // A wall is exterior when most of it lies on the floor's outer footprint, i.e. no other space shares it.
+  // Void walls count too: a courtyard wall is exterior unless another space fills the void.
+  function detectExteriorWalls() {
+    const floor = activeFloor();
+    if (!floor || floor.spaces.length === 0) {
+      alert("Draw some spaces first.");
+      return;
+    }
+    cancelAllModes();
+    clearExteriorPreview();
+    const tol = getExteriorTolerancePx(floor);
+    const segmentsBySpace = new Map(floor.spaces.map(sp => {
+      ensureEdgeArrayForSpace(sp);
+      return [sp.id, getSpaceEdgeSegments(sp)];
+    }));
+    const changes = [];
+    let partialCount = 0;
+    floor.spaces.forEach(space => {
+      const others = floor.spaces.filter(o => o !== space).flatMap(o => segmentsBySpace.get(o.id));
+      segmentsBySpace.get(space.id).forEach(({ a, b, edge }, index) => {
+        const len = distance(a, b);
+        if (len === 0) return;
+        const covered = sharedLengthPx(a, b, others, tol);
+        const uncovered = len - covered;
+        const partial = covered > tol && uncovered > tol;
+        if (partial) partialCount++;
+        const toExterior = uncovered > len / 2;
+        if (toExterior !== !!edge.isExterior) {
+          changes.push({ space, edge, index, a, b, toExterior, partial, apply: true });
+        }
+      });
+    });
+    if (changes.length === 0) {
+      setStatus("Exterior walls already match the building outline.");
+      return;
+    }
+    exteriorProposal = { changes };
+    drawExteriorPreview();
+    renderExteriorPreview(partialCount);
+    setStatus(`Review ${changes.length} proposed wall change${changes.length === 1 ? "" : "s"}, then Apply.`);
+  }
+
+  function drawExteriorPreview() {
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "exteriorPreview").forEach(o => canvas.remove(o));
+    if (!exteriorProposal) return;
+    exteriorProposal.changes.filter(c => c.apply).forEach(c => {
+      const line = new fabric.Line([c.a.x, c.a.y, c.b.x, c.b.y], {
+        stroke: c.toExterior ? COLOR_EDGE_EXTERIOR : COLOR_TO_INTERIOR,
+        strokeWidth: 8 / currentZoom,
+        strokeDashArray: c.toExterior ? null : [8 / currentZoom, 6 / currentZoom],
+        opacity: 0.8,
+        selectable: false,
+        evented: false,
+      });
+      line.set("fpType", "exteriorPreview");
+      canvas.add(line);
+    });
+    canvas.requestRenderAll();
+  }
+
+  function renderExteriorPreview(partialCount) {
+    if (!dom.exteriorPreview || !exteriorProposal) return;
+    const { changes } = exteriorProposal;
+    const toExt = changes.filter(c => c.toExterior).length;
+    let summary = `${toExt} wall${toExt === 1 ? "" : "s"} to mark exterior (solid), ${changes.length - toExt} to clear (dashed).`;
+    if (partialCount > 0) summary += ` ${partialCount} wall${partialCount === 1 ? " is" : "s are"} only partly shared; split ${partialCount === 1 ? "it" : "them"} for exact results.`;
+    dom.exteriorPreviewSummary.textContent = summary;
+    dom.exteriorPreviewList.innerHTML = "";
+    changes.forEach(c => {
+      const row = document.createElement("label");
+      row.className = "exterior-change-row";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = c.apply;
+      box.addEventListener("change", () => {
+        c.apply = box.checked;
+        drawExteriorPreview();
+      });
+      const text = document.createElement("span");
+      const what = c.toExterior ? "interior → exterior" : "exterior → interior";
+      text.textContent = `${c.space.name || "Room"}, wall ${c.index + 1}: ${what}${c.partial ? " (partly shared)" : ""}`;
+      row.appendChild(box);
+      row.appendChild(text);
+      dom.exteriorPreviewList.appendChild(row);
+    });
+    dom.exteriorPreview.style.display = '';
+  }
+
+  function clearExteriorPreview() {
+    exteriorProposal = null;
+    canvas.getObjects().filter(o => o.get && o.get("fpType") === "exteriorPreview").forEach(o => canvas.remove(o));
+    if (dom.exteriorPreview) dom.exteriorPreview.style.display = 'none';
+    if (dom.exteriorPreviewList) dom.exteriorPreviewList.innerHTML = "";
+  }
+
+  function applyExteriorProposal() {
+    if (!exteriorProposal) return;
+    const chosen = exteriorProposal.changes.filter(c => c.apply);
+    chosen.forEach(c => { c.edge.isExterior = c.toExterior; });
+    const spaces = new Set(chosen.map(c => c.space));
+    clearExteriorPreview();
+    spaces.forEach(space => {
+      recalcSpaceDerived(space);
+      updateEdgeOverlaysForSpace(space.id);
+    });
+    updatePanelsIfSelectionActive();
     renderSpacesList();
     saveState();
-    setStatus("Space deleted.");
+    setStatus(`Updated ${chosen.length} wall${chosen.length === 1 ? "" : "s"}.`);
   }
 
   // --------------------------
@@ -2858,10 +7719,10 @@ const EDGE_HIT_BUFFER_PX = 6;
         const windowTypes = new Set();
         const doorTypes = new Set();
         
-        space.edges.forEach(edge => {
+        getAllSpaceEdges(space).forEach(edge => {
           if (edge.isExterior) {
             if (edge.wallType) wallTypes.add(edge.wallType);
-            if (edge.windowType) windowTypes.add(edge.windowType);
+            getEdgeOpenings(edge).forEach(o => { if (o.type) windowTypes.add(o.type); });
             if (edge.hasDoors && edge.doorType) doorTypes.add(edge.doorType);
           }
         });
@@ -2873,16 +7734,6 @@ const EDGE_HIT_BUFFER_PX = 6;
           return type ? type.name : "";
         };
         
-        // Calculate ceiling area (handle manual entry and "same as floor")
-        let ceilingArea = 0;
-        if (space.ceilingSameAsFloor) {
-          ceilingArea = space.area || 0;
-        } else if (space.ceilingManualOverride) {
-          ceilingArea = space.ceilingManualArea || 0;
-        } else {
-          ceilingArea = space.ceilingArea || 0;
-        }
-        
         // Add space header row
         allRows.push({
           A: space.name || "Room",
@@ -2897,13 +7748,37 @@ const EDGE_HIT_BUFFER_PX = 6;
           D: "", E: "", F: "", G: "", H: "", I: ""
         });
         
-        // Add Ceiling Area row
+        // Add Ceiling Area rows: plan (as drawn) and true surface (with slopes)
+        allRows.push({
+          A: "Ceiling Plan Area",
+          B: roundToTenth(feet2ToDisplayArea(getCeilingPlanArea(space))),
+          C: unit + "²",
+          D: "", E: "", F: "", G: "", H: "", I: ""
+        });
         allRows.push({
-          A: "Ceiling Area",
-          B: roundToTenth(feet2ToDisplayArea(ceilingArea)),
+          A: "Ceiling Surface Area",
+          B: roundToTenth(feet2ToDisplayArea(getCeilingSurfaceArea(space))),
           C: unit + "²",
           D: "", E: "", F: "", G: "", H: "", I: ""
         });
+        allRows.push({
+          A: "Ceiling Slope",
+          B: describeCeilingSlopes(space),
+          C: "", D: "", E: "", F: "", G: "", H: "", I: ""
+        });
+        
+        // Add Volume and Conditioned rows
+        allRows.push({
+          A: "Volume",
+          B: roundToTenth(feet3ToDisplayVolume(getSpaceVolume(space, floor).volume)),
+          C: unit + "³",
+          D: "", E: "", F: "", G: "", H: "", I: ""
+        });
+        allRows.push({
+          A: "Conditioned",
+          B: isConditioned(space) ? "Yes" : "No",
+          C: "", D: "", E: "", F: "", G: "", H: "", I: ""
+        });
         
         // Add Avg Ceiling Height row
         allRows.push({
@@ -2936,25 +7811,27 @@ const EDGE_HIT_BUFFER_PX = 6;
         const wallAreaByTypeDir = {}; // key: "typeId|direction"
         const windowAreaByTypeDir = {};
         const doorQtyByTypeDir = {};
+        const doorAreaByTypeDir = {};
+        const netWallAreaByTypeDir = {};
         
-        space.edges.forEach(edge => {
+        getAllSpaceEdges(space).forEach(edge => {
           if (!edge.isExterior) return;
           
-          const wallArea = clampNum(edge.length) * clampNum(edge.height);
-          const winArea = clampNum(edge.winArea);
           const direction = edge.direction || 'N';
           
-          // Wall area by type + direction
+          // Gross and net wall area by type + direction
           const wType = edge.wallType || 'default';
           const wKey = `${wType}|${direction}`;
-          wallAreaByTypeDir[wKey] = (wallAreaByTypeDir[wKey] || 0) + wallArea;
+          wallAreaByTypeDir[wKey] = (wallAreaByTypeDir[wKey] || 0) + edgeGrossArea(edge);
+          netWallAreaByTypeDir[wKey] = (netWallAreaByTypeDir[wKey] || 0) + edgeNetArea(edge);
           
-          // Window area by type + direction
-          if (winArea > 0) {
-            const winType = edge.windowType || 'default';
-            const winKey = `${winType}|${direction}`;
+          // Window area by type + direction, one opening at a time
+          getEdgeOpenings(edge).forEach(o => {
+            const winArea = openingArea(o);
+            if (winArea <= 0) return;
+            const winKey = `${o.type || 'default'}|${direction}`;
             windowAreaByTypeDir[winKey] = (windowAreaByTypeDir[winKey] || 0) + winArea;
-          }
+          });
           
           // Door quantity by type + direction
           if (edge.hasDoors && (edge.doorQty || 0) > 0) {
@@ -2962,6 +7839,11 @@ const EDGE_HIT_BUFFER_PX = 6;
             const dKey = `${dType}|${direction}`;
             doorQtyByTypeDir[dKey] = (doorQtyByTypeDir[dKey] || 0) + (edge.doorQty || 0);
           }
+          const doorArea = clampNum(edge.doorArea);
+          if (doorArea > 0) {
+            const dKey = `${edge.doorType || 'default'}|${direction}`;
+            doorAreaByTypeDir[dKey] = (doorAreaByTypeDir[dKey] || 0) + doorArea;
+          }
         });
         
         // Add single direction header row for all types
@@ -2977,58 +7859,21 @@ const EDGE_HIT_BUFFER_PX = 6;
           I: "SW"
         });
         
-        // Group wall areas by type, with columns for each direction
-        const wallTypeIds = new Set();
-        Object.keys(wallAreaByTypeDir).forEach(key => {
-          const [typeId] = key.split('|');
-          wallTypeIds.add(typeId);
-        });
-        
-        if (wallTypeIds.size > 0) {
-          wallTypeIds.forEach(typeId => {
-            const typeName = getTypeName('wall', typeId);
-            const row = {
-              B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: unit + "²"
-            };
-            
-            // Fill in values for each direction
-            const directions = ['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW'];
-            const columns = ['B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
-            let hasNonZero = false;
-            
-            directions.forEach((dir, idx) => {
-              const key = `${typeId}|${dir}`;
-              if (wallAreaByTypeDir[key]) {
-                const area = roundToTenth(feet2ToDisplayArea(wallAreaByTypeDir[key]));
-                row[columns[idx]] = area;
-                if (area > 0) hasNonZero = true;
-              }
+        // One row per type with a column per direction; quantities stay as counts, areas convert to display units
+        const pushTypeDirectionRows = (label, category, byTypeDir, unitLabel) => {
+          const typeIds = new Set(Object.keys(byTypeDir).map(key => key.split('|')[0]));
+          if (typeIds.size === 0) {
+            allRows.push({
+              A: label,
+              B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: unitLabel
             });
-            
-            // Only show type name if row has non-zero values
-            row.A = hasNonZero ? `Wall Area (${typeName || "Wall Type 1"})` : "Wall Area";
-            
-            allRows.push(row);
-          });
-        } else {
-          allRows.push({
-            A: "Wall Area",
-            B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: unit + "²"
-          });
-        }
-        
-        // Group window areas by type, with columns for each direction
-        const windowTypeIds = new Set();
-        Object.keys(windowAreaByTypeDir).forEach(key => {
-          const [typeId] = key.split('|');
-          windowTypeIds.add(typeId);
-        });
-        
-        if (windowTypeIds.size > 0) {
-          windowTypeIds.forEach(typeId => {
-            const typeName = getTypeName('window', typeId);
+            return;
+          }
+          const fallbackName = `${category[0].toUpperCase()}${category.slice(1)} Type 1`;
+          typeIds.forEach(typeId => {
+            const typeName = getTypeName(category, typeId);
             const row = {
-              B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: unit + "²"
+              B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: unitLabel
             };
             
             // Fill in values for each direction
@@ -3037,65 +7882,26 @@ const EDGE_HIT_BUFFER_PX = 6;
             let hasNonZero = false;
             
             directions.forEach((dir, idx) => {
-              const key = `${typeId}|${dir}`;
-              if (windowAreaByTypeDir[key]) {
-                const area = roundToTenth(feet2ToDisplayArea(windowAreaByTypeDir[key]));
-                row[columns[idx]] = area;
-                if (area > 0) hasNonZero = true;
+              const value = byTypeDir[`${typeId}|${dir}`];
+              if (value) {
+                const cell = unitLabel === "Qty" ? value : roundToTenth(feet2ToDisplayArea(value));
+                row[columns[idx]] = cell;
+                if (cell > 0) hasNonZero = true;
               }
             });
             
             // Only show type name if row has non-zero values
-            row.A = hasNonZero ? `Window Area (${typeName || "Window Type 1"})` : "Window Area";
+            row.A = hasNonZero ? `${label} (${typeName || fallbackName})` : label;
             
             allRows.push(row);
           });
-        } else {
-          allRows.push({
-            A: "Window Area",
-            B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: unit + "²"
-          });
-        }
-        
-        // Group door quantities by type, with columns for each direction
-        const doorTypeIds = new Set();
-        Object.keys(doorQtyByTypeDir).forEach(key => {
-          const [typeId] = key.split('|');
-          doorTypeIds.add(typeId);
-        });
+        };
         
-        if (doorTypeIds.size > 0) {
-          doorTypeIds.forEach(typeId => {
-            const typeName = getTypeName('door', typeId);
-            const row = {
-              B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: "Qty"
-            };
-            
-            // Fill in values for each direction
-            const directions = ['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW'];
-            const columns = ['B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
-            let hasNonZero = false;
-            
-            directions.forEach((dir, idx) => {
-              const key = `${typeId}|${dir}`;
-              if (doorQtyByTypeDir[key]) {
-                const qty = doorQtyByTypeDir[key];
-                row[columns[idx]] = qty;
-                if (qty > 0) hasNonZero = true;
-              }
-            });
-            
-            // Only show type name if row has non-zero values
-            row.A = hasNonZero ? `Doors (${typeName || "Door Type 1"})` : "Doors";
-            
-            allRows.push(row);
-          });
-        } else {
-          allRows.push({
-            A: "Doors",
-            B: 0, C: 0, D: 0, E: 0, F: 0, G: 0, H: 0, I: 0, J: "Qty"
-          });
-        }
+        pushTypeDirectionRows("Gross Wall Area", 'wall', wallAreaByTypeDir, unit + "²");
+        pushTypeDirectionRows("Window Area", 'window', windowAreaByTypeDir, unit + "²");
+        pushTypeDirectionRows("Door Area", 'door', doorAreaByTypeDir, unit + "²");
+        pushTypeDirectionRows("Doors", 'door', doorQtyByTypeDir, "Qty");
+        pushTypeDirectionRows("Net Wall Area", 'wall', netWallAreaByTypeDir, unit + "²");
         
         // Add blank row between spaces
         allRows.push({
@@ -3103,6 +7909,21 @@ const EDGE_HIT_BUFFER_PX = 6;
         });
       });
       
+      // Floor totals for conditioned spaces
+      const floorTotals = getConditionedTotals([floor]);
+      allRows.push({
+        A: "Floor Conditioned Area",
+        B: roundToTenth(feet2ToDisplayArea(floorTotals.area)),
+        C: unit + "²",
+        D: "", E: "", F: "", G: "", H: "", I: "", J: ""
+      });
+      allRows.push({
+        A: "Floor Conditioned Volume",
+        B: roundToTenth(feet3ToDisplayVolume(floorTotals.volume)),
+        C: unit + "³",
+        D: "", E: "", F: "", G: "", H: "", I: "", J: ""
+      });
+      
       // Create worksheet from rows
       const ws = XLSX.utils.json_to_sheet(allRows, {
         header: ["A", "B", "C", "D", "E", "F", "G", "H", "I", "J"],
@@ -3127,6 +7948,29 @@ const EDGE_HIT_BUFFER_PX = 6;
       XLSX.utils.book_append_sheet(wb, ws, floor.name.substring(0, 31) || "Floor");
     });
 
+    // Building totals sheet: conditioned area and volume per floor, then the whole building
+    const totalsRows = [{ A: "Floor", B: `Conditioned Area (${unit}²)`, C: `Conditioned Volume (${unit}³)` }];
+    AppState.floors.forEach(floor => {
+      const totals = getConditionedTotals([floor]);
+      totalsRows.push({
+        A: floor.name || "Floor",
+        B: roundToTenth(feet2ToDisplayArea(totals.area)),
+        C: roundToTenth(feet3ToDisplayVolume(totals.volume))
+      });
+    });
+    const buildingTotals = getConditionedTotals(AppState.floors);
+    totalsRows.push({
+      A: "Building Total",
+      B: roundToTenth(feet2ToDisplayArea(buildingTotals.area)),
+      C: roundToTenth(feet3ToDisplayVolume(buildingTotals.volume))
+    });
+    const totalsWs = XLSX.utils.json_to_sheet(totalsRows, { header: ["A", "B", "C"], skipHeader: true });
+    totalsWs['!cols'] = [{ wch: 25 }, { wch: 22 }, { wch: 24 }];
+    // Floor sheets are named after floors, so avoid taking one of their names
+    let totalsName = "Building Totals";
+    for (let n = 2; wb.SheetNames.includes(totalsName); n++) totalsName = `Building Totals ${n}`;
+    XLSX.utils.book_append_sheet(wb, totalsWs, totalsName);
+
     // Generate filename: "Project Name - Area Takeoffs - Timestamp.xlsx"
     const projectName = AppState.projectName && AppState.projectName.trim() ? AppState.projectName.trim() : "Project";
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5); // Format: YYYY-MM-DDTHH-MM-SS
@@ -3151,8 +7995,11 @@ const EDGE_HIT_BUFFER_PX = 6;
     const realLenFeet = displayLengthToFeet(realLenDisplay);
     floor.scale = floor.scale || { realLenFeet: 0, pixelLen: 0, unit: dom.scaleUnit.value, line: null };
     floor.scale.realLenFeet = realLenFeet;
+    // Editing the real length by hand makes it a custom scale
+    delete floor.scale.preset;
     saveState();
     recalcAllSpacesForFloor(floor);
+    updateScaleFactorInfo(floor);
     setStatus("Scale real length updated.");
   });
 
@@ -3164,6 +8011,29 @@ const EDGE_HIT_BUFFER_PX = 6;
     setStatus("Scale unit updated.");
   });
 
+  dom.edgeLength.addEventListener("change", () => {
+    const floor = activeFloor();
+    const space = floor?.spaces.find(s => s.id === selectedSpaceId);
+    if (!space || selectedEdgeIndex == null || selectedEdgeIndex >= space.vertices.length) return;
+    const val = parseFloat(dom.edgeLength.value);
+    if (!(val > 0)) {
+      alert("Wall length must be a positive number.");
+      updateEdgePanelFromSelection();
+      return;
+    }
+    const fixedEnd = dom.edgeLengthAnchor ? dom.edgeLengthAnchor.value : "start";
+    if (!setEdgeLength(space, selectedEdgeIndex, displayLengthToFeet(val), fixedEnd)) {
+      updateEdgePanelFromSelection();
+      return;
+    }
+    setStatus(`Wall length set to ${toFixedSmart(val, 2)} ${unitAbbrev()}.`);
+  });
+
+  if (dom.vertexX && dom.vertexY) {
+    dom.vertexX.addEventListener("change", () => onVertexCoordinateChange("x", dom.vertexX));
+    dom.vertexY.addEventListener("change", () => onVertexCoordinateChange("y", dom.vertexY));
+  }
+
   dom.spaceName.addEventListener("input", () => {
     if (!selectedSpaceId) return;
     const floor = activeFloor();
@@ -3176,22 +8046,19 @@ const EDGE_HIT_BUFFER_PX = 6;
 
   dom.spaceCeiling.addEventListener("change", () => {
     if (!selectedSpaceId) return;
+    const spaces = getSelectedSpaces();
     const val = parseFloat(dom.spaceCeiling.value);
     if (!(val >= 0)) {
       // revert to blank and mark error immediately
       dom.spaceCeiling.value = "";
-      const floor0 = activeFloor();
-      const space0 = floor0?.spaces.find(s => s.id === selectedSpaceId);
-      if (space0) space0.ceilingHeight = undefined;
+      spaces.forEach(space => { space.ceilingHeight = undefined; });
       if (dom.spaceCeiling) dom.spaceCeiling.classList.add('input-error');
       renderSpacesList();
       saveState();
       return;
     }
-    const floor = activeFloor();
-    const space = floor?.spaces.find(s => s.id === selectedSpaceId);
-    if (!space) return;
-    space.ceilingHeight = val;
+    if (spaces.length === 0) return;
+    spaces.forEach(space => { space.ceilingHeight = val; });
     if (dom.spaceCeiling) dom.spaceCeiling.classList.remove('input-error');
     renderSpacesList();
     saveState();
@@ -3199,16 +8066,15 @@ const EDGE_HIT_BUFFER_PX = 6;
 
   dom.spaceCeiling.addEventListener("input", () => {
     if (!selectedSpaceId) return;
-    const floor = activeFloor();
-    const space = floor?.spaces.find(s => s.id === selectedSpaceId);
-    if (!space) return;
+    const spaces = getSelectedSpaces();
+    if (spaces.length === 0) return;
     const raw = dom.spaceCeiling.value;
     const val = parseFloat(raw);
     if (raw === "" || !isFinite(val) || val < 0) {
-      space.ceilingHeight = undefined;
+      spaces.forEach(space => { space.ceilingHeight = undefined; });
       if (dom.spaceCeiling) dom.spaceCeiling.classList.add('input-error');
     } else {
-      space.ceilingHeight = val;
+      spaces.forEach(space => { space.ceilingHeight = val; });
       if (dom.spaceCeiling) dom.spaceCeiling.classList.remove('input-error');
     }
     renderSpacesList();
@@ -3216,13 +8082,12 @@ const EDGE_HIT_BUFFER_PX = 6;
   });
 
   dom.edgeIsExterior.addEventListener("change", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
-    edge.isExterior = !!dom.edgeIsExterior.checked;
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
+    edges.forEach(edge => { edge.isExterior = !!dom.edgeIsExterior.checked; });
     recalcSelectedSpaceAndRefresh();
     // Refresh overlays so persistent exterior color applies immediately
-    const floor = activeFloor();
-    if (floor && selectedSpaceId) updateEdgeOverlaysForSpace(selectedSpaceId);
+    getEdgeSelectionSpaces().forEach(space => updateEdgeOverlaysForSpace(space.id));
     // Also refresh panel enablement and error coloring immediately
     updateEdgePanelFromSelection();
     // Update validation display
@@ -3230,113 +8095,75 @@ const EDGE_HIT_BUFFER_PX = 6;
   });
 
   dom.edgeHeight.addEventListener("change", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
     const val = parseFloat(dom.edgeHeight.value);
     if (!(val >= 0)) {
       // Revert to blank on invalid
       dom.edgeHeight.value = "";
-      edge.height = undefined;
+      edges.forEach(edge => { edge.height = undefined; });
       recalcSelectedSpaceAndRefresh();
       return;
     }
-    edge.height = val;
+    edges.forEach(edge => { edge.height = val; });
     recalcSelectedSpaceAndRefresh();
   });
 
   // Live updates while typing
   dom.edgeHeight.addEventListener("input", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
     const val = parseFloat(dom.edgeHeight.value);
-    edge.height = isFinite(val) && val >= 0 ? val : undefined;
+    edges.forEach(edge => { edge.height = isFinite(val) && val >= 0 ? val : undefined; });
     recalcSelectedSpaceAndRefresh();
   });
 
-  dom.edgeWinWidth.addEventListener("change", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
-    const val = parseFloat(dom.edgeWinWidth.value);
-    if (!(val >= 0)) {
-      dom.edgeWinWidth.value = "";
-      edge.winWidth = undefined;
-      recalcSelectedSpaceAndRefresh();
-      return;
-    }
-    edge.winWidth = val;
-    recalcSelectedSpaceAndRefresh();
-  });
-
-  dom.edgeWinWidth.addEventListener("input", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
-    const val = parseFloat(dom.edgeWinWidth.value);
-    edge.winWidth = isFinite(val) && val >= 0 ? val : undefined;
-    recalcSelectedSpaceAndRefresh();
-  });
-
-  dom.edgeWinHeight.addEventListener("change", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
-    const val = parseFloat(dom.edgeWinHeight.value);
-    if (!(val >= 0)) {
-      dom.edgeWinHeight.value = "";
-      edge.winHeight = undefined;
-      recalcSelectedSpaceAndRefresh();
-      return;
-    }
-    edge.winHeight = val;
-    recalcSelectedSpaceAndRefresh();
-  });
-
-  dom.edgeWinHeight.addEventListener("input", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
-    const val = parseFloat(dom.edgeWinHeight.value);
-    edge.winHeight = isFinite(val) && val >= 0 ? val : undefined;
-    recalcSelectedSpaceAndRefresh();
-  });
+  if (dom.btnAddOpening) dom.btnAddOpening.addEventListener('click', () => addOpening());
 
   dom.edgeDirection.addEventListener("change", () => {
-    const edge = getSelectedEdge();
-    if (!edge) return;
-    edge.direction = dom.edgeDirection.value;
+    const edges = getSelectedEdges();
+    if (edges.length === 0) return;
+    // Picking a direction by hand pins it against automatic updates
+    edges.forEach(edge => {
+      edge.direction = dom.edgeDirection.value;
+      edge.directionManual = true;
+    });
+    if (dom.edgeDirectionAuto) {
+      dom.edgeDirectionAuto.indeterminate = false;
+      dom.edgeDirectionAuto.checked = false;
+    }
     saveState();
   });
 
+  if (dom.edgeDirectionAuto) {
+    dom.edgeDirectionAuto.addEventListener("change", () => {
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
+      edges.forEach(edge => { edge.directionManual = !dom.edgeDirectionAuto.checked; });
+      recalcSelectedSpaceAndRefresh();
+    });
+  }
+
   // Doors toggle
   const doorToggleEl = document.getElementById('doorCheckbox');
   if (doorToggleEl) {
     doorToggleEl.addEventListener('change', () => {
-      const edge = getSelectedEdge();
+      const edges = getSelectedEdges();
       const floor = activeFloor();
-      if (!edge || !floor) return;
+      if (edges.length === 0 || !floor) return;
       // Store flag and show/hide row
-      edge.hasDoors = !!doorToggleEl.checked;
-      const show = !!doorToggleEl.checked;
-      const row = document.getElementById('edgeDoorRow');
-      if (row) row.style.display = show ? '' : 'none';
-      // Update validation display
-      renderSpacesList();
-      updateEdgePanelFromSelection();
-      saveState();
+      edges.forEach(edge => { edge.hasDoors = !!doorToggleEl.checked; });
+      // Door area counts only while doors are on; the panel shows/hides the door rows
+      recalcSelectedSpaceAndRefresh();
     });
   }
 
-  // Wall/Window type selects (store selected names on edge)
+  // Wall type select (stores the type id on the edge)
   if (dom.wallTypeSelect) {
     dom.wallTypeSelect.addEventListener('change', () => {
-      const edge = getSelectedEdge();
-      if (!edge) return;
-      edge.wallType = dom.wallTypeSelect.value || '';
-      saveState();
-    });
-  }
-  if (dom.windowTypeSelect) {
-    dom.windowTypeSelect.addEventListener('change', () => {
-      const edge = getSelectedEdge();
-      if (!edge) return;
-      edge.windowType = dom.windowTypeSelect.value || '';
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
+      edges.forEach(edge => { edge.wallType = dom.wallTypeSelect.value || ''; });
       saveState();
     });
   }
@@ -3344,26 +8171,59 @@ const EDGE_HIT_BUFFER_PX = 6;
   // Doors qty/type
   if (dom.doorQty) {
     dom.doorQty.addEventListener('input', () => {
-      const edge = getSelectedEdge();
-      if (!edge) return;
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
       const v = parseInt(dom.doorQty.value, 10);
-      edge.doorQty = Number.isFinite(v) && v >= 0 ? v : undefined;
-      // Update error styling immediately
-      if (edge.hasDoors && (dom.doorQty.value === "" || dom.doorQty.value == null)) {
-        dom.doorQty.classList.add('input-error');
-      } else {
-        dom.doorQty.classList.remove('input-error');
-      }
-      // Update validation display
-      renderSpacesList();
-      saveState();
+      edges.forEach(edge => { edge.doorQty = Number.isFinite(v) && v >= 0 ? v : undefined; });
+      onEdgeAreaInput(dom.doorQty, edges, edges.some(edge => edge.hasDoors));
+    });
+  }
+  [[dom.doorWidth, "doorWidth"], [dom.doorHeight, "doorHeight"]].forEach(([el, field]) => {
+    if (!el) return;
+    el.addEventListener('input', () => {
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
+      const v = parseFloat(el.value);
+      edges.forEach(edge => { edge[field] = Number.isFinite(v) && v >= 0 ? v : undefined; });
+      onEdgeAreaInput(el, edges, edges.some(edge => edge.hasDoors));
+    });
+  });
+
+  if (dom.edgeHeightProfile) {
+    dom.edgeHeightProfile.addEventListener('change', () => {
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
+      edges.forEach(edge => { edge.heightProfile = dom.edgeHeightProfile.value; });
+      recalcSelectedSpaceAndRefresh();
+    });
+  }
+  HEIGHT_PROFILE_FIELDS.forEach(([field, el, isPosition]) => {
+    if (!el) return;
+    el.addEventListener('input', () => {
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
+      const v = parseFloat(el.value);
+      const value = isPosition ? inputToWallPosition(el.value) : Number.isFinite(v) && v >= 0 ? v : undefined;
+      edges.forEach(edge => { edge[field] = value; });
+      onEdgeAreaInput(el, edges, edges.some(edge => edge.isExterior));
     });
+  });
+
+  // Door and height profile fields update areas in place rather than re-rendering the panel,
+  // which would reset the input being typed in
+  function onEdgeAreaInput(el, edges, required) {
+    el.classList.toggle('input-error', required && el.value === "");
+    getEdgeSelectionSpaces().forEach(sp => recalcSpaceDerived(sp));
+    showEdgeAreas(edges);
+    // Update validation display
+    renderSpacesList();
+    saveState();
   }
   if (dom.doorTypeSelect) {
     dom.doorTypeSelect.addEventListener('change', () => {
-      const edge = getSelectedEdge();
-      if (!edge) return;
-      edge.doorType = dom.doorTypeSelect.value || '';
+      const edges = getSelectedEdges();
+      if (edges.length === 0) return;
+      edges.forEach(edge => { edge.doorType = dom.doorTypeSelect.value || ''; });
       saveState();
     });
   }
@@ -3373,9 +8233,10 @@ const EDGE_HIT_BUFFER_PX = 6;
     dom.skylightCheckbox.addEventListener('change', () => {
       const floor = activeFloor();
       if (!floor || !selectedSpaceId) return;
+      const spaces = getSelectedSpaces();
       const space = floor.spaces.find(s => s.id === selectedSpaceId);
       if (!space) return;
-      space.hasSkylight = !!dom.skylightCheckbox.checked;
+      spaces.forEach(sp => { sp.hasSkylight = !!dom.skylightCheckbox.checked; });
       if (dom.skylightAreaRow) dom.skylightAreaRow.style.display = space.hasSkylight ? '' : 'none';
       // Update validation display and error styling
       renderSpacesList();
@@ -3387,12 +8248,12 @@ const EDGE_HIT_BUFFER_PX = 6;
     dom.skylightArea.addEventListener('input', () => {
       const floor = activeFloor();
       if (!floor || !selectedSpaceId) return;
-      const space = floor.spaces.find(s => s.id === selectedSpaceId);
-      if (!space) return;
+      const spaces = getSelectedSpaces();
+      if (spaces.length === 0) return;
       const v = parseFloat(dom.skylightArea.value);
-      space.skylightArea = isFinite(v) && v >= 0 ? v : undefined;
+      spaces.forEach(space => { space.skylightArea = isFinite(v) && v >= 0 ? v : undefined; });
       // Update error styling immediately
-      if (space.hasSkylight && (dom.skylightArea.value === "" || dom.skylightArea.value == null)) {
+      if (spaces.some(space => space.hasSkylight) && (dom.skylightArea.value === "" || dom.skylightArea.value == null)) {
         dom.skylightArea.classList.add('input-error');
       } else {
         dom.skylightArea.classList.remove('input-error');
@@ -3406,9 +8267,9 @@ const EDGE_HIT_BUFFER_PX = 6;
     dom.skylightTypeSelect.addEventListener('change', () => {
       const floor = activeFloor();
       if (!floor || !selectedSpaceId) return;
-      const space = floor.spaces.find(s => s.id === selectedSpaceId);
-      if (!space) return;
-      space.skylightType = dom.skylightTypeSelect.value || '';
+      const spaces = getSelectedSpaces();
+      if (spaces.length === 0) return;
+      spaces.forEach(space => { space.skylightType = dom.skylightTypeSelect.value || ''; });
       saveState();
     });
   }
@@ -3420,21 +8281,83 @@ const EDGE_HIT_BUFFER_PX = 6;
       if (!floor || !selectedSpaceId) return;
       const space = floor.spaces.find(s => s.id === selectedSpaceId);
       if (!space) return;
-      space.ceilingSameAsFloor = !!dom.ceilingSameAsFloor.checked;
       // When checked: hide all ceiling controls, override area with floor area, and hide ceiling polygon
       // When unchecked: show ceiling controls and ceiling polygon
-      updateCeilingVisibility(space);
+      getSelectedSpaces().forEach(sp => {
+        sp.ceilingSameAsFloor = !!dom.ceilingSameAsFloor.checked;
+        updateCeilingVisibility(sp);
+      });
       updateSpacePanel(space);
       renderSpacesList(); // Update validation display
       saveState();
     });
   }
   
+  if (dom.btnAddCeilingSlope) dom.btnAddCeilingSlope.addEventListener('click', () => addCeilingSlope());
+  if (dom.spaceCeilingLowHeight) {
+    dom.spaceCeilingLowHeight.addEventListener('input', () => {
+      const spaces = getSelectedSpaces();
+      if (spaces.length === 0) return;
+      const v = parseFloat(dom.spaceCeilingLowHeight.value);
+      spaces.forEach(space => { space.ceilingLowHeight = Number.isFinite(v) && v >= 0 ? v : undefined; });
+      renderSpacesList();
+      saveState();
+    });
+  }
+  if (dom.spaceConditioned) {
+    dom.spaceConditioned.addEventListener('change', () => {
+      const spaces = getSelectedSpaces();
+      if (spaces.length === 0) return;
+      spaces.forEach(space => { space.conditioned = !!dom.spaceConditioned.checked; });
+      renderSpacesList();
+      saveState();
+    });
+  }
+
   if (dom.btnDrawCeiling) {
     dom.btnDrawCeiling.addEventListener('click', () => {
       enterDrawCeilingMode();
     });
   }
+
+  if (dom.btnDrawVoid) {
+    dom.btnDrawVoid.addEventListener('click', () => {
+      enterDrawVoidMode();
+    });
+  }
+
+  if (dom.btnSplitSpace) {
+    dom.btnSplitSpace.addEventListener('click', () => {
+      enterSplitSpaceMode();
+    });
+  }
+
+  if (dom.btnMergeSpace) {
+    dom.btnMergeSpace.addEventListener('click', () => {
+      enterMergeSpaceMode();
+    });
+  }
+
+  if (dom.btnCopySpace) dom.btnCopySpace.addEventListener('click', () => copySelectedSpaces());
+  if (dom.btnCutSpace) dom.btnCutSpace.addEventListener('click', () => cutSelectedSpaces());
+  if (dom.btnPasteSpace) dom.btnPasteSpace.addEventListener('click', () => pasteSpaces());
+  if (dom.btnDuplicateSpace) dom.btnDuplicateSpace.addEventListener('click', () => duplicateSelectedSpaces());
+  if (dom.btnMoveSpaces) dom.btnMoveSpaces.addEventListener('click', () => moveSelectedSpaces());
+  if (dom.btnRotateSpaces) dom.btnRotateSpaces.addEventListener('click', () => rotateSelectedSpaces());
+  if (dom.btnRotateDrag) dom.btnRotateDrag.addEventListener('click', () => enterRotateDragMode());
+  if (dom.btnMirrorH) dom.btnMirrorH.addEventListener('click', () => mirrorSelectedSpaces("horizontal"));
+  if (dom.btnMirrorV) dom.btnMirrorV.addEventListener('click', () => mirrorSelectedSpaces("vertical"));
+  if (dom.btnSelectSpaceEdges) dom.btnSelectSpaceEdges.addEventListener('click', () => selectAllEdgesOfSpace());
+  if (dom.btnSelectExteriorEdges) dom.btnSelectExteriorEdges.addEventListener('click', () => selectExteriorEdgesOnFloor());
+  if (dom.btnBoxSelectEdges) dom.btnBoxSelectEdges.addEventListener('click', () => enterBoxSelectEdgesMode());
+  if (dom.btnDetectExterior) dom.btnDetectExterior.addEventListener('click', () => detectExteriorWalls());
+  if (dom.btnApplyExterior) dom.btnApplyExterior.addEventListener('click', () => applyExteriorProposal());
+  if (dom.btnDiscardExterior) {
+    dom.btnDiscardExterior.addEventListener('click', () => {
+      clearExteriorPreview();
+      setStatus("Exterior wall changes discarded.");
+    });
+  }
   
   if (dom.btnToggleCeilingVisibility) {
     dom.btnToggleCeilingVisibility.addEventListener('click', () => {
@@ -3506,7 +8429,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     const space = floor.spaces.find(s => s.id === selectedSpaceId);
     if (!space) return null;
     ensureEdgeArrayForSpace(space);
-    return space.edges[selectedEdgeIndex] || null;
+    return getAllSpaceEdges(space)[selectedEdgeIndex] || null;
   }
 
   function recalcSelectedSpaceAndRefresh() {
@@ -3514,7 +8437,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (!floor || !selectedSpaceId) return;
     const space = floor.spaces.find(s => s.id === selectedSpaceId);
     if (!space) return;
-    recalcSpaceDerived(space);
+    new Set([space, ...getEdgeSelectionSpaces()]).forEach(sp => recalcSpaceDerived(sp));
     updateSpacePanel(space);
     updateEdgePanelFromSelection();
     renderSpacesList();
@@ -3592,14 +8515,21 @@ const EDGE_HIT_BUFFER_PX = 6;
   function updateScaleToggleLabel() {
     const floor = activeFloor();
     if (!dom.btnScaleToggle || !floor) return;
-    const isVisible = floor.scale?.visible !== false && !!floor.scale?.line;
+    const isVisible = floor.scale?.visible !== false && hasScaleLines(floor);
     dom.btnScaleToggle.textContent = isVisible ? "Hide Scale" : "Show Scale";
     const statusEl = document.getElementById('scaleStatus');
     if (statusEl) {
-      if (!floor.scale?.line) statusEl.textContent = "No scale defined"; else statusEl.textContent = "";
+      if (!getScaleFactorForFloor(floor)) statusEl.textContent = "No scale defined"; else statusEl.textContent = "";
     }
   }
 
+  // Reference, two-axis or check lines that Show/Hide Scale applies to
+  function hasScaleLines(floor) {
+    if (floor?.scale?.line) return true;
+    if (floor?.scale?.twoAxis && (floor.scale.axes?.horizontal || floor.scale.axes?.vertical)) return true;
+    return (floor?.scaleVerification?.checks?.length || 0) > 0;
+  }
+
   if (dom.btnScaleToggle) {
     dom.btnScaleToggle.addEventListener("click", () => {
       const floor = activeFloor();
@@ -3607,8 +8537,8 @@ const EDGE_HIT_BUFFER_PX = 6;
         alert("Add a floor first.");
         return;
       }
-      if (!floor.scale?.line) {
-        alert("No scale line to show or hide. Use Draw Scale first.");
+      if (!hasScaleLines(floor)) {
+        alert(floor.scale?.preset ? "Scale is set from a sheet scale preset; there is no line to show." : "No scale line to show or hide. Use Draw Scale first.");
         return;
       }
       const newVisible = !(floor.scale.visible !== false);
@@ -3624,10 +8554,213 @@ const EDGE_HIT_BUFFER_PX = 6;
     });
   }
 
+  if (dom.scaleTwoAxis) {
+    dom.scaleTwoAxis.addEventListener("change", () => {
+      const floor = activeFloor();
+      if (!floor) return;
+      floor.scale = floor.scale || { realLenFeet: 0, pixelLen: 0, unit: dom.scaleUnit.value, line: null };
+      floor.scale.twoAxis = dom.scaleTwoAxis.checked;
+      saveState();
+      recalcAllSpacesForFloor(floor);
+      setScaleInputsFromFloor(floor);
+      removeScaleVisuals();
+      drawScaleLineForFloor(floor);
+      updateScaleToggleLabel();
+      canvas.renderAll();
+      if (floor.scale.twoAxis && !solveTwoAxisScale(floor.scale.axes)) {
+        setStatus("Two-axis scale: draw a horizontal and a vertical reference line.");
+      } else {
+        setStatus(floor.scale.twoAxis ? "Two-axis scale on." : "Two-axis scale off.");
+      }
+    });
+  }
+
+  if (dom.btnScaleAxisH) {
+    dom.btnScaleAxisH.addEventListener("click", () => {
+      enterScaleAxisMode("horizontal");
+    });
+  }
+
+  if (dom.btnScaleAxisV) {
+    dom.btnScaleAxisV.addEventListener("click", () => {
+      enterScaleAxisMode("vertical");
+    });
+  }
+
+  if (dom.btnDrawRectangle) {
+    dom.btnDrawRectangle.addEventListener("click", () => {
+      if (!activeFloor()) {
+        alert("Add a floor first.");
+        return;
+      }
+      enterDrawSpaceMode("rectangle");
+    });
+  }
+
+  if (dom.btnOrtho) {
+    dom.btnOrtho.addEventListener("click", () => {
+      orthoLocked = !orthoLocked;
+      dom.btnOrtho.classList.toggle('active', orthoLocked);
+      setStatus(orthoLocked ? "Ortho lock on." : "Ortho lock off. Hold Shift for ortho while drawing.");
+    });
+  }
+
+  if (dom.orthoAngle) {
+    dom.orthoAngle.addEventListener("change", () => {
+      const floor = activeFloor();
+      if (!floor) return;
+      const val = parseFloat(dom.orthoAngle.value);
+      if (!isFinite(val)) {
+        updateOrthoAngleInput(floor);
+        return;
+      }
+      setFloorReferenceAngle(floor, val);
+    });
+  }
+
+  if (dom.btnPickOrthoAngle) {
+    dom.btnPickOrthoAngle.addEventListener("click", () => {
+      enterPickOrthoAngleMode();
+    });
+  }
+
+  if (dom.northAngle) {
+    dom.northAngle.addEventListener("change", () => {
+      const floor = activeFloor();
+      if (!floor) return;
+      const val = parseFloat(dom.northAngle.value);
+      if (!isFinite(val)) {
+        updateNorthControls(floor);
+        return;
+      }
+      setFloorNorth(floor, { angle: val });
+    });
+  }
+
+  [
+    [dom.snapEnabled, "enabled"],
+    [dom.snapVertices, "vertices"],
+    [dom.snapMidpoints, "midpoints"],
+    [dom.snapEdges, "edges"],
+  ].forEach(([input, key]) => {
+    if (!input) return;
+    input.addEventListener("change", () => {
+      snapSettings[key] = input.checked;
+      saveSnapSettings();
+      if (!snapSettings.enabled) {
+        hideSnapIndicator();
+        canvas.requestRenderAll();
+      }
+    });
+  });
+
+  if (dom.snapRadius) {
+    dom.snapRadius.addEventListener("change", () => {
+      const val = parseFloat(dom.snapRadius.value);
+      if (!(val > 0)) {
+        dom.snapRadius.value = snapSettings.radiusPx;
+        return;
+      }
+      snapSettings.radiusPx = val;
+      saveSnapSettings();
+    });
+  }
+
+  if (dom.dimensionEntry) {
+    dom.dimensionEntry.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        applyDimensionEntry();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        closeDimensionEntry();
+        setStatus("Dimension entry cancelled.");
+      }
+    });
+    dom.dimensionEntry.addEventListener("blur", () => {
+      if (dom.dimensionEntry.style.display !== 'none') closeDimensionEntry();
+    });
+  }
+
+  if (dom.btnMeasure) {
+    dom.btnMeasure.addEventListener("click", () => {
+      enterMeasureMode("segment");
+    });
+  }
+
+  if (dom.btnMeasurePolyline) {
+    dom.btnMeasurePolyline.addEventListener("click", () => {
+      enterMeasureMode("polyline");
+    });
+  }
+
+  if (dom.btnScaleVerify) {
+    dom.btnScaleVerify.addEventListener("click", () => {
+      enterVerifyScaleMode();
+    });
+  }
+
+  if (dom.btnScaleAverage) {
+    dom.btnScaleAverage.addEventListener("click", () => {
+      const floor = activeFloor();
+      if (!floor) return;
+      averageScaleCalibrations(floor);
+    });
+  }
+
+  if (dom.scaleTolerance) {
+    dom.scaleTolerance.addEventListener("change", () => {
+      const floor = activeFloor();
+      if (!floor) return;
+      const verification = getScaleVerification(floor);
+      const val = parseFloat(dom.scaleTolerance.value);
+      if (!(val >= 0)) {
+        alert("Tolerance must be zero or a positive percentage.");
+        dom.scaleTolerance.value = verification.tolerancePct;
+        return;
+      }
+      verification.tolerancePct = val;
+      saveState();
+      renderScaleCheckList(floor);
+    });
+  }
+
+  if (dom.btnScalePreset && dom.scaleDialog) {
+    populateScalePresetSelect();
+    dom.btnScalePreset.addEventListener("click", () => {
+      showScaleDialog();
+    });
+    dom.scalePresetSelect.addEventListener("change", updateScaleDialogResult);
+    dom.scaleCustomRatio.addEventListener("input", updateScaleDialogResult);
+    dom.scaleDpi.addEventListener("input", updateScaleDialogResult);
+    dom.btnApplyScalePreset.addEventListener("click", () => {
+      applyScalePreset();
+    });
+    dom.btnCloseScaleDialog.addEventListener("click", () => {
+      hideScaleDialog();
+    });
+    // Click on the backdrop (outside the dialog) closes it
+    dom.scaleDialog.addEventListener("click", (e) => {
+      if (e.target === dom.scaleDialog) hideScaleDialog();
+    });
+  }
+
   dom.btnDeleteSpace.addEventListener("click", () => {
     deleteSelectedSpace();
   });
 
+  if (dom.btnUndo) {
+    dom.btnUndo.addEventListener("click", () => {
+      undo();
+    });
+  }
+
+  if (dom.btnRedo) {
+    dom.btnRedo.addEventListener("click", () => {
+      redo();
+    });
+  }
+
   // Delete Vertex button
   if (dom.btnDeleteVertex) {
     dom.btnDeleteVertex.addEventListener("click", () => {
@@ -3745,16 +8878,8 @@ const EDGE_HIT_BUFFER_PX = 6;
         dom.wallTypeSelect.appendChild(opt);
       });
     }
-    // Window type
-    if (dom.windowTypeSelect) {
-      dom.windowTypeSelect.innerHTML = '';
-      AppState.types.window.forEach(t => {
-        const opt = document.createElement('option');
-        opt.value = t.id;
-        opt.textContent = t.name;
-        dom.windowTypeSelect.appendChild(opt);
-      });
-    }
+    // Window types live in each opening's row
+    renderOpeningsEditor(true);
     // Skylight type
     if (dom.skylightTypeSelect) {
       dom.skylightTypeSelect.innerHTML = '';
@@ -3885,12 +9010,12 @@ const EDGE_HIT_BUFFER_PX = 6;
           const edgeIdx = parseInt(match[1], 10) - 1; // Convert to 0-based index
           
           // Select the edge
-          if (space.edges && space.edges[edgeIdx] !== undefined) {
+          if (getAllSpaceEdges(space)[edgeIdx] !== undefined) {
             selectedEdgeIndex = edgeIdx;
             const edgePoly = spaceIdToPolygon.get(space.id);
             if (edgePoly) {
               const absPts = getPolygonAbsolutePoints(edgePoly);
-              highlightSelectedEdge(absPts, edgeIdx);
+              highlightSelectedEdge(getSpaceEdgeSegments(space, absPts), edgeIdx);
             }
             updateEdgePanelFromSelection();
             setStatus(`Edge ${edgeIdx + 1} selected - please fill in required field.`);
@@ -3920,6 +9045,7 @@ const EDGE_HIT_BUFFER_PX = 6;
   
   // Render Spaces list
   function renderSpacesList() {
+    updateVolumeReadouts();
     if (!dom.spacesList) return;
     dom.spacesList.innerHTML = '';
     const floor = activeFloor();
@@ -4050,6 +9176,72 @@ const EDGE_HIT_BUFFER_PX = 6;
     exportToExcel();
   });
 
+  if (dom.btnSaveProject) {
+    dom.btnSaveProject.addEventListener("click", () => {
+      saveProjectToFile();
+    });
+  }
+
+  if (dom.btnSaveRetry) {
+    dom.btnSaveRetry.addEventListener("click", () => {
+      persistState();
+    });
+  }
+
+  if (dom.btnSaveErrorToFile) {
+    dom.btnSaveErrorToFile.addEventListener("click", () => {
+      saveProjectToFile();
+    });
+  }
+
+  // Write any debounced save before the tab goes away
+  window.addEventListener("pagehide", e => {
+    flushPendingSave();
+    // Undo history ends with the page, so images of deleted floors can go
+    if (!e.persisted) purgeRetiredFloorImages();
+  });
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushPendingSave();
+  });
+
+  if (dom.btnOpenProject && dom.fileProjectOpen) {
+    dom.btnOpenProject.addEventListener("click", () => {
+      dom.fileProjectOpen.value = "";
+      dom.fileProjectOpen.click();
+    });
+    dom.fileProjectOpen.addEventListener("change", (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      openProjectFromFile(file);
+    });
+  }
+
+  if (dom.btnProjects) {
+    dom.btnProjects.addEventListener("click", () => {
+      showProjectLibrary();
+    });
+  }
+
+  if (dom.btnNewProject) {
+    dom.btnNewProject.addEventListener("click", async () => {
+      await createProject();
+      hideProjectLibrary();
+    });
+  }
+
+  if (dom.btnCloseProjectLibrary) {
+    dom.btnCloseProjectLibrary.addEventListener("click", () => {
+      hideProjectLibrary();
+    });
+  }
+
+  if (dom.projectLibrary) {
+    // Click on the backdrop (outside the dialog) closes the library
+    dom.projectLibrary.addEventListener("click", (e) => {
+      if (e.target === dom.projectLibrary) hideProjectLibrary();
+    });
+  }
+
   dom.btnAddFloor.addEventListener("click", () => {
     dom.fileFloorImage.value = "";
     dom.fileFloorImage.click();
@@ -4058,15 +9250,31 @@ const EDGE_HIT_BUFFER_PX = 6;
   dom.fileFloorImage.addEventListener("change", (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
+    // PDFs become one floor per selected page, named from the page label or number
+    if (isPdfFile(file)) {
+      importPdfAsFloors(file);
+      return;
+    }
     const floorName = promptText("Enter floor name:", "First Floor");
     if (!floorName) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      addFloorWithImage(reader.result, floorName);
-    };
-    reader.readAsDataURL(file);
+    addFloorWithImage(file, floorName);
   });
 
+  if (dom.btnRerenderPdf && dom.filePdfRerender) {
+    dom.btnRerenderPdf.addEventListener("click", () => {
+      const floor = activeFloor();
+      if (!floor?.pdfSource) return;
+      alert(`Choose the PDF that floor "${floor.name}" came from (${floor.pdfSource.fileName}).`);
+      dom.filePdfRerender.value = "";
+      dom.filePdfRerender.click();
+    });
+    dom.filePdfRerender.addEventListener("change", (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      rerenderPdfFloor(file);
+    });
+  }
+
   dom.btnDeleteFloor.addEventListener("click", () => {
     deleteActiveFloor();
   });
@@ -4101,10 +9309,47 @@ const EDGE_HIT_BUFFER_PX = 6;
   canvas.on("selection:created", onCanvasSelectionCreated);
   canvas.on("selection:updated", onCanvasSelectionUpdated);
   canvas.on("selection:cleared", onCanvasSelectionCleared);
-  canvas.on("mouse:up", function(){ suppressDeselectUntilMouseUp = false; });
+  canvas.on("mouse:up", function(opt){
+    suppressDeselectUntilMouseUp = false;
+    if (isRotatingSpaces && rotateStartAngle != null) {
+      finishRotateDrag(canvas.getPointer(opt.e, false), opt.e);
+    }
+    if (isBoxSelectingEdges && boxSelectStart) {
+      finishBoxSelectEdges(canvas.getPointer(opt.e, false), opt.e);
+    }
+    // Vertex drags leave their snap indicator behind; drawing modes refresh it on the next move
+    if (!isDrawingSpace && !isDrawingCeiling && !isDrawingVoid) hideSnapIndicator();
+  });
+  canvas.on("mouse:dblclick", function() {
+    if (measureMode === "polyline") finishMeasurement();
+  });
   // Update cursor on hover to show pointer only when a space is selected and near an edge
   canvas.on("mouse:move", function(opt) {
-    if (isDrawingSpace || isDrawingScale || isDrawingCeiling) {
+    if (measureMode && measurePoints.length > 0) {
+      renderMeasureInProgress(canvas.getPointer(opt.e, false));
+    }
+    if (isDrawingSpace || isDrawingCeiling || isDrawingVoid || isSplittingSpace) {
+      const movePointer = canvas.getPointer(opt.e, false);
+      lastPointerCanvas = { x: movePointer.x, y: movePointer.y };
+      lastPointerClient = { x: opt.e.clientX, y: opt.e.clientY };
+      const snap = findSnapPoint(movePointer, { e: opt.e });
+      if (isDrawingSpace && drawSpaceShape === "rectangle" && tempDrawPoints.length === 1) {
+        updateRectPreview(snap || movePointer);
+      }
+      if (isSplittingSpace && splitPoints.length === 1) {
+        const ortho = !snap && (orthoLocked || opt.e.shiftKey);
+        updateSplitPreview(ortho ? constrainOrtho(splitPoints[0], movePointer, activeFloor()) : (snap || movePointer));
+      }
+      showSnapIndicator(snap);
+      canvas.requestRenderAll();
+    }
+    if (isRotatingSpaces && rotateStartAngle != null) {
+      updateRotatePreview(canvas.getPointer(opt.e, false), opt.e);
+    }
+    if (isBoxSelectingEdges && boxSelectStart) {
+      updateBoxSelectPreview(canvas.getPointer(opt.e, false));
+    }
+    if (isDrawingSpace || isDrawingScale || scaleAxisDrawing || isVerifyingScale || measureMode || isPickingOrthoAngle || isDrawingCeiling || isDrawingVoid || isSplittingSpace || isPickingMergeSpace || isRotatingSpaces || isBoxSelectingEdges) {
       canvas.defaultCursor = "crosshair";
       return;
     }
@@ -4115,7 +9360,7 @@ const EDGE_HIT_BUFFER_PX = 6;
       let overAny = false;
       if (f && Array.isArray(f.spaces)) {
         for (const sp of f.spaces) {
-          if (isPointInPolygon(pointer, sp.vertices)) { overAny = true; break; }
+          if (isPointInSpace(pointer, sp)) { overAny = true; break; }
         }
       }
       canvas.defaultCursor = overAny ? "pointer" : "default";
@@ -4143,7 +9388,8 @@ const EDGE_HIT_BUFFER_PX = 6;
       ceilingEdgeIdx = findClosestEdgeIndex(ceilingAbsPts, pointer, getZoomAdjustedEdgeHitBuffer());
     }
     
-    const nearVertex = absPts.some(p => distance(pointer, p) <= getZoomAdjustedVertexDragRadius());
+    const segments = space ? getSpaceEdgeSegments(space, absPts) : [];
+    const nearVertex = segments.some(seg => distance(pointer, seg.a) <= getZoomAdjustedVertexDragRadius());
     // Keep edge overlays perfectly aligned during hover/move
     updateEdgeOverlaysForSpace(selectedSpaceId);
     
@@ -4157,7 +9403,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     }
     
     if (nearVertex && !isInsertingVertex) { hoverEdgeIndex = null; canDragSelectedSpace = false; canvas.defaultCursor = "default"; return; }
-    const idx = findClosestEdgeIndex(absPts, pointer, getZoomAdjustedEdgeHitBuffer());
+    const idx = findClosestSegmentIndex(segments, pointer, getZoomAdjustedEdgeHitBuffer());
     hoverEdgeIndex = (idx !== null) ? idx : null;
     // Keep selected vertex highlight in sync (space and ceiling)
     if (selectedVertexIndex != null && Array.isArray(absPts) && absPts[selectedVertexIndex]) {
@@ -4191,10 +9437,13 @@ const EDGE_HIT_BUFFER_PX = 6;
       // If pointer is inside the polygon (not near an edge), show move and allow dragging
       const floor = activeFloor();
       const space = floor?.spaces.find(s => s.id === selectedSpaceId);
-      const inside = space ? isPointInPolygon(pointer, space.vertices) : false;
+      const inside = space ? isPointInSpace(pointer, space) : false;
       canDragSelectedSpace = !!inside;
       if (inside) {
         canvas.defaultCursor = "move";
+      } else if (space && getSpaceVoids(space).some(v => isPointInPolygon(pointer, v.vertices))) {
+        // Voids of the selected space can be dragged as a whole
+        canvas.defaultCursor = "move";
       } else {
         // Not near selected edge and not inside selected space: show pointer if over any other space
         let overOther = false;
@@ -4202,7 +9451,7 @@ const EDGE_HIT_BUFFER_PX = 6;
         if (f && Array.isArray(f.spaces)) {
           for (const sp of f.spaces) {
             if (sp.id === selectedSpaceId) continue;
-            if (isPointInPolygon(pointer, sp.vertices)) { overOther = true; break; }
+            if (isPointInSpace(pointer, sp)) { overOther = true; break; }
           }
         }
         canvas.defaultCursor = overOther ? "pointer" : "default";
@@ -4217,7 +9466,7 @@ const EDGE_HIT_BUFFER_PX = 6;
 
   // Deselect when clicking empty background within the canvas area (but not outside app)
   canvas.on("mouse:down", function(opt) {
-    if (isDrawingSpace || isDrawingScale) return;
+    if (isDrawingSpace || isDrawingScale || scaleAxisDrawing || isVerifyingScale || measureMode || isPickingOrthoAngle || isDrawingVoid || isSplittingSpace || isPickingMergeSpace || isRotatingSpaces || isBoxSelectingEdges) return;
     if (opt.target) return; // clicking on object
     // Do not clear selection if an edge is currently selected via custom logic
     if (selectedEdgeIndex != null) return;
@@ -4233,6 +9482,23 @@ const EDGE_HIT_BUFFER_PX = 6;
     canvas.defaultCursor = "default";
   });
 
+  // Dragging a multi-space selection moves every space in it (Fabric only moves the group visually)
+  canvas.on("object:modified", function(opt){
+    const t = opt && opt.target;
+    if (!t || t.type !== "activeSelection") return;
+    const floor = activeFloor();
+    const spaces = t.getObjects()
+      .filter(o => o.get("fpType") === "space")
+      .map(o => floor?.spaces.find(s => s.id === o.get("spaceId")))
+      .filter(Boolean);
+    if (spaces.length === 0) return;
+    const now = getPolygonAbsolutePoints(spaceIdToPolygon.get(spaces[0].id))[0];
+    const dx = now.x - spaces[0].vertices[0].x;
+    const dy = now.y - spaces[0].vertices[0].y;
+    if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) return;
+    transformSpaces(spaces, p => ({ x: p.x + dx, y: p.y + dy }));
+  });
+
   // Keep vertex highlight synced after polygon/object modifications
   canvas.on("object:modified", function(opt){
     const t = opt && opt.target;
@@ -4248,8 +9514,14 @@ const EDGE_HIT_BUFFER_PX = 6;
       if (Array.isArray(pts) && pts[selectedVertexIndex]) {
         updateVertexHighlightPosition(pts[selectedVertexIndex]);
       }
+      updateVertexEditor();
     }
     
+    if (fpType === "void" && selectedVoidVertex) {
+      const p = selectedVoidVertexPoint();
+      if (p) updateVertexHighlightPosition(p);
+    }
+
     // Ceiling vertex highlight
     if (fpType === "ceiling" && selectedCeilingVertexIndex != null) {
       const ceiling = spaceIdToCeiling.get(selectedSpaceId);
@@ -4261,6 +9533,124 @@ const EDGE_HIT_BUFFER_PX = 6;
     }
   });
 
+  // --------------------------
+  // Numeric geometry editing
+  // --------------------------
+  // Move a space's vertices (same count) and keep its polygon, overlays and panels in sync
+  // False (after telling the user) when the new outline would leave a void outside it
+  function applySpaceVertices(space, vertices) {
+    const issue = outlineVoidIssue(space, vertices);
+    if (issue) {
+      alert(issue);
+      return false;
+    }
+    space.vertices = vertices.map(v => ({ x: v.x, y: v.y }));
+    const poly = spaceIdToPolygon.get(space.id);
+    if (poly) {
+      // Same approach as vertex deletion: absolute → polygon local space, then compensate the container resize
+      const invMat = fabric.util.invertTransform(poly.calcTransformMatrix());
+      poly.set({
+        points: space.vertices.map(v => {
+          const local = fabric.util.transformPoint(new fabric.Point(v.x, v.y), invMat);
+          return { x: local.x + poly.pathOffset.x, y: local.y + poly.pathOffset.y };
+        }),
+      });
+      const absPtsBefore = getPolygonAbsolutePoints(poly);
+      if (typeof poly._setPositionDimensions === 'function') {
+        poly._setPositionDimensions({});
+      }
+      const absPtsAfter = getPolygonAbsolutePoints(poly);
+      if (absPtsBefore.length > 0 && absPtsAfter.length > 0) {
+        poly.left += absPtsBefore[0].x - absPtsAfter[0].x;
+        poly.top += absPtsBefore[0].y - absPtsAfter[0].y;
+      }
+      poly.setCoords();
+      poly.dirty = true;
+      space.vertices = getPolygonAbsolutePoints(poly).map(p => ({ x: p.x, y: p.y }));
+    }
+    recalcSpaceDerived(space);
+    updateEdgeOverlaysForSpace(space.id);
+    if (space.id === selectedSpaceId) {
+      if (selectedEdgeIndex != null) highlightSelectedEdge(getSpaceEdgeSegments(space), selectedEdgeIndex);
+      if (selectedVertexIndex != null && space.vertices[selectedVertexIndex]) {
+        updateVertexHighlightPosition(space.vertices[selectedVertexIndex]);
+      }
+      updatePanelsIfSelectionActive();
+      updateVertexEditor();
+    }
+    renderSpacesList();
+    canvas.requestRenderAll();
+    saveState();
+    return true;
+  }
+
+  // Change edge i (vertex i → i+1) to lengthFeet by moving the end that is not fixed along the edge
+  function setEdgeLength(space, edgeIdx, lengthFeet, fixedEnd = "start") {
+    const floor = activeFloor();
+    const n = space.vertices.length;
+    const iStart = edgeIdx;
+    const iEnd = (edgeIdx + 1) % n;
+    const fixed = fixedEnd === "end" ? space.vertices[iEnd] : space.vertices[iStart];
+    const moving = fixedEnd === "end" ? space.vertices[iStart] : space.vertices[iEnd];
+    const d = distance(fixed, moving);
+    if (!floor || d === 0) return false;
+    const dir = { x: (moving.x - fixed.x) / d, y: (moving.y - fixed.y) / d };
+    const pxLen = pixelsForFeetAlong(floor, dir, lengthFeet);
+    if (!(pxLen > 0)) return false;
+    const vertices = space.vertices.map(v => ({ x: v.x, y: v.y }));
+    vertices[fixedEnd === "end" ? iStart : iEnd] = { x: fixed.x + dir.x * pxLen, y: fixed.y + dir.y * pxLen };
+    return applySpaceVertices(space, vertices);
+  }
+
+  // Canvas position of the sheet image's top-left corner (the canvas origin on floors without one)
+  function getSheetOrigin(floor) {
+    return { x: clampNum(floor?.backgroundFit?.left), y: clampNum(floor?.backgroundFit?.top) };
+  }
+
+  // Vertex X/Y in the display unit, measured from the sheet's top-left corner (pixels when unscaled)
+  function updateVertexEditor() {
+    if (!dom.vertexEditor) return;
+    const floor = activeFloor();
+    const space = floor?.spaces.find(s => s.id === selectedSpaceId);
+    const v = (space && selectedVertexIndex != null) ? space.vertices[selectedVertexIndex] : null;
+    if (!v) {
+      dom.vertexEditor.style.display = 'none';
+      return;
+    }
+    dom.vertexEditor.style.display = '';
+    const factors = getScaleFactorsForFloor(floor);
+    const scaled = factors.x > 0 && factors.y > 0;
+    const unit = scaled ? unitAbbrev() : "px";
+    const origin = getSheetOrigin(floor);
+    const x = v.x - origin.x;
+    const y = v.y - origin.y;
+    dom.vertexX.value = toFixedSmart(scaled ? feetToDisplayLength(x * factors.x) : x, 3);
+    dom.vertexY.value = toFixedSmart(scaled ? feetToDisplayLength(y * factors.y) : y, 3);
+    if (dom.vertexXUnit) dom.vertexXUnit.textContent = unit;
+    if (dom.vertexYUnit) dom.vertexYUnit.textContent = unit;
+  }
+
+  function onVertexCoordinateChange(axis, input) {
+    const floor = activeFloor();
+    const space = floor?.spaces.find(s => s.id === selectedSpaceId);
+    if (!space || selectedVertexIndex == null || !space.vertices[selectedVertexIndex]) return;
+    const val = parseFloat(input.value);
+    if (!isFinite(val)) {
+      updateVertexEditor();
+      return;
+    }
+    const factors = getScaleFactorsForFloor(floor);
+    const scaled = factors.x > 0 && factors.y > 0;
+    const px = (scaled ? displayLengthToFeet(val) / factors[axis] : val) + getSheetOrigin(floor)[axis];
+    const vertices = space.vertices.map(v => ({ x: v.x, y: v.y }));
+    vertices[selectedVertexIndex][axis] = px;
+    if (!applySpaceVertices(space, vertices)) {
+      updateVertexEditor();
+      return;
+    }
+    setStatus("Vertex moved.");
+  }
+
   // --------------------------
   // Delete selected vertex
   // --------------------------
@@ -4270,6 +9660,10 @@ const EDGE_HIT_BUFFER_PX = 6;
       deleteSelectedCeilingVertex();
       return;
     }
+    if (selectedVoidVertex) {
+      deleteSelectedVoidVertex();
+      return;
+    }
     
     if (!selectedSpaceId || selectedVertexIndex == null) return;
     const floor = activeFloor();
@@ -4282,6 +9676,11 @@ const EDGE_HIT_BUFFER_PX = 6;
     }
     const poly = spaceIdToPolygon.get(selectedSpaceId);
     if (!poly) return;
+    const issue = outlineVoidIssue(space, space.vertices.filter((_, i) => i !== selectedVertexIndex));
+    if (issue) {
+      alert(issue);
+      return;
+    }
 
     // Preserve edges prior to mutation
     ensureEdgeArrayForSpace(space);
@@ -4342,9 +9741,19 @@ const EDGE_HIT_BUFFER_PX = 6;
     if (space.edges[mergedIdx] && candidate) {
       space.edges[mergedIdx].isExterior = !!candidate.isExterior;
       space.edges[mergedIdx].height = clampNum(candidate.height);
-      space.edges[mergedIdx].winWidth = clampNum(candidate.winWidth);
-      space.edges[mergedIdx].winHeight = clampNum(candidate.winHeight);
       space.edges[mergedIdx].direction = candidate.direction || "N";
+      // Both walls' windows end up on the merged wall; the right one's positions shift by the left length
+      const leftEdge = prevEdges[leftOldIdx];
+      const rightEdge = prevEdges[selectedVertexIndex % prevVertexCount];
+      if (leftEdge && rightEdge && rightEdge !== leftEdge) mergeHeightProfiles(space.edges[mergedIdx], leftEdge, rightEdge);
+      const leftLength = clampNum(leftEdge?.length);
+      space.edges[mergedIdx].openings = [
+        ...getEdgeOpenings(leftEdge).map(o => ({ ...o })),
+        ...(rightEdge === leftEdge ? [] : getEdgeOpenings(rightEdge)).map(o => ({
+          ...o,
+          position: Number.isFinite(o.position) ? o.position + leftLength : o.position,
+        })),
+      ];
     }
 
     // Recalculate derived values
@@ -4362,6 +9771,60 @@ const EDGE_HIT_BUFFER_PX = 6;
     setStatus("Vertex deleted.");
   }
   
+  function deleteSelectedVoidVertex() {
+    const floor = activeFloor();
+    const space = floor?.spaces.find(s => s.id === selectedSpaceId);
+    const ring = getSpaceVoids(space).find(v => v.id === selectedVoidVertex?.voidId);
+    if (!space || !ring) return;
+    if (ring.vertices.length <= 3) {
+      alert("A void must have at least 3 vertices.");
+      return;
+    }
+    const idx = selectedVoidVertex.index;
+    const vertices = ring.vertices.filter((_, i) => i !== idx);
+    const issue = voidPlacementIssue(space, vertices, ring.id);
+    if (issue) {
+      alert(issue);
+      return;
+    }
+
+    // The wall before the vertex absorbs the one after it, windows and all, as on the outer ring
+    ensureEdgeArrayForSpace(space);
+    const n = ring.vertices.length;
+    const leftIdx = (idx - 1 + n) % n;
+    const leftEdge = ring.edges[leftIdx];
+    const rightEdge = ring.edges[idx];
+    const leftLength = clampNum(leftEdge?.length);
+    ring.edges[leftIdx] = {
+      ...leftEdge,
+      openings: [
+        ...getEdgeOpenings(leftEdge).map(o => ({ ...o })),
+        ...getEdgeOpenings(rightEdge).map(o => ({
+          ...o,
+          position: Number.isFinite(o.position) ? o.position + leftLength : o.position,
+        })),
+      ],
+    };
+    mergeHeightProfiles(ring.edges[leftIdx], leftEdge, rightEdge);
+    ring.edges.splice(idx, 1);
+    ring.vertices = vertices;
+
+    // Flat edge indices shift when a ring loses a wall
+    selectedEdgeIndex = null;
+    hoverEdgeIndex = null;
+    clearEdgeHighlight();
+    clearSelectedVertex();
+    removeVoidPolygonsForSpace(space.id);
+    addVoidPolygonsForSpace(space);
+    recalcSpaceDerived(space);
+    updateEdgeOverlaysForSpace(space.id);
+    updateSpacePanel(space);
+    updateEdgePanelFromSelection();
+    canvas.renderAll();
+    saveState();
+    setStatus("Void vertex deleted.");
+  }
+
   function deleteSelectedCeilingVertex() {
     if (!selectedSpaceId || selectedCeilingVertexIndex == null) return;
     const floor = activeFloor();
@@ -4458,7 +9921,7 @@ const EDGE_HIT_BUFFER_PX = 6;
     });
   }
 
-  // Keyboard shortcuts for zoom (Ctrl/Cmd + Plus/Minus/0)
+  // Keyboard shortcuts for undo/redo, clipboard and zoom (Ctrl/Cmd + Z/Shift+Z/Y, C/X/V/D, Plus/Minus/0)
   document.addEventListener("keydown", (e) => {
     // Avoid intercepting typing in inputs/selects/textarea
     const tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
@@ -4468,9 +9931,53 @@ const EDGE_HIT_BUFFER_PX = 6;
     const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
     const modKey = isMac ? e.metaKey : e.ctrlKey;
 
+    // Typing a digit while drawing opens the dimension entry
+    if (!modKey && /^[0-9.]$/.test(e.key) && isDimensionEntryAvailable()) {
+      e.preventDefault();
+      openDimensionEntry(e.key);
+      return;
+    }
+
+    // Measure tool: Enter finishes a polyline, Escape leaves the tool
+    if (measureMode && e.key === 'Enter') {
+      e.preventDefault();
+      finishMeasurement();
+      return;
+    }
+    if (measureMode && e.key === 'Escape') {
+      e.preventDefault();
+      cancelAllModes();
+      canvas.renderAll();
+      setStatus("Measure tool off.");
+      return;
+    }
+
     if (modKey) {
+      // Undo: Ctrl/Cmd + Z; Redo: Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y
+      if (e.key === 'z' || e.key === 'Z') {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+      }
+      else if (e.key === 'y' || e.key === 'Y') {
+        e.preventDefault();
+        redo();
+      }
+      // Clipboard: only claim the keys when there is something to act on
+      else if (e.key === 'c' || e.key === 'C') {
+        if (copySelectedSpaces()) e.preventDefault();
+      }
+      else if (e.key === 'x' || e.key === 'X') {
+        if (cutSelectedSpaces()) e.preventDefault();
+      }
+      else if (e.key === 'v' || e.key === 'V') {
+        if (pasteSpaces()) e.preventDefault();
+      }
+      else if (e.key === 'd' || e.key === 'D') {
+        e.preventDefault(); // browser bookmark shortcut
+        duplicateSelectedSpaces();
+      }
       // Zoom in: Ctrl/Cmd + Plus or Ctrl/Cmd + =
-      if (e.key === '+' || e.key === '=') {
+      else if (e.key === '+' || e.key === '=') {
         e.preventDefault();
         zoomIn();
       }
@@ -4490,12 +9997,15 @@ const EDGE_HIT_BUFFER_PX = 6;
   // --------------------------
   // Initialization
   // --------------------------
-  function init() {
+  async function init() {
     // Canvas base size
     canvas.setWidth(DEFAULT_CANVAS_WIDTH);
     canvas.setHeight(DEFAULT_CANVAS_HEIGHT);
 
-    loadState();
+    await loadState();
+    resetHistory();
+    loadSnapSettings();
+    syncSnapInputs();
     // Render Type Manager and populate dropdowns
     renderTypeManager();
     populateTypeDropdowns();